@@ -64,9 +64,31 @@ const state = {
   nextId:        1,
   lastResult:    null,
   activePattern: null,
+  tilePrices:    {},    // sizeKey ("60x30") → {amount, unit: 'sqm'|'box'}
+  tileBoxes:     {},    // sizeKey → {tilesPerBox}
 
   // Wallpaper
-  wpLastResult:  null
+  wpOpenings:    [],    // [{id, type, width, height, x, sill, wallIndex}, …]  sill = up from the floor
+  wpNextId:      1,
+  wpLastResult:  null,
+
+  // Paint
+  ptOpenings:    [],    // same shape as wpOpenings
+  ptNextId:      1,
+  ptLastResult:  null,
+
+  // Flooring
+  flLastResult:  null,
+
+  // Projects
+  projectId:     null,  // id of the saved project that is open, or null
+
+  // Rooms
+  rooms:          [],    // [{name, include, …captureRoom()}] — the open one is refreshed by syncActiveRoom()
+  activeRoom:     0,
+  blankRoom:      null,  // captureRoom() of a fresh page: new rooms start from it
+  summaryOpen:    false,
+  summaryFigures: null   // per room results behind the summary view
 };
 
 // Single drag-state declaration at module scope
@@ -93,6 +115,13 @@ function getNum(input) {
   return parseFloat(el.value) || 0;
 }
 
+/** Escapes user text (project, room and wall names) for use inside HTML strings. */
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, function(ch) {
+    return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch];
+  });
+}
+
 /** Updates a range slider's filled-track CSS gradient.
  *  @param {HTMLElement} rangeEl  — the <input type="range"> element
  *  @param {string}      color    — CSS colour string (default: var(--blue))
@@ -112,15 +141,30 @@ function updateRangeBackground(rangeEl, color) {
    MODULE: SPA Navigation
    ============================================================ */
 
+/**
+ * One entry per material tab: its view, sidebar nav and tab button (DOM keys),
+ * the calculation Ctrl+Enter runs, what to redraw when the tab is shown, and
+ * the PDF file name / hero colour.
+ */
+const MATERIAL_VIEWS = {
+  tiles:     { app: 'appTiles',     nav: 'navTiles',     tab: 'tabTiles',     run: runCalculation,          refresh: updateLivePreview,      pdfName: 'ფილების-ანგარიში.pdf',   pdfColor: '#3b82f6' },
+  wallpaper: { app: 'appWallpaper', nav: 'navWallpaper', tab: 'tabWallpaper', run: runWallpaperCalculation, refresh: updateWallpaperPreview, pdfName: 'შპალერის-ანგარიში.pdf',  pdfColor: '#e11d48' },
+  paint:     { app: 'appPaint',     nav: 'navPaint',     tab: 'tabPaint',     run: runPaintCalculation,     refresh: runPaintCalculation,    pdfName: 'საღებავის-ანგარიში.pdf', pdfColor: '#14b8a6' },
+  flooring:  { app: 'appFlooring',  nav: 'navFlooring',  tab: 'tabFlooring',  run: runFlooringCalculation,  refresh: runFlooringCalculation, pdfName: 'იატაკის-ანგარიში.pdf',   pdfColor: '#f59e0b' }
+};
+
 function switchMaterial(material) {
   state.activeMaterial = material;
-  if (DOM.appTiles)     DOM.appTiles.style.display     = material === 'tiles'     ? 'block' : 'none';
-  if (DOM.appWallpaper) DOM.appWallpaper.style.display = material === 'wallpaper' ? 'block' : 'none';
-  if (DOM.navTiles)     DOM.navTiles.style.display     = material === 'tiles'     ? 'flex'  : 'none';
-  if (DOM.navWallpaper) DOM.navWallpaper.style.display = material === 'wallpaper' ? 'flex'  : 'none';
-  if (DOM.tabTiles)     DOM.tabTiles.classList.toggle('active',     material === 'tiles');
-  if (DOM.tabWallpaper) DOM.tabWallpaper.classList.toggle('active', material === 'wallpaper');
-  if (material === 'tiles') { updateLivePreview(); } else { updateWallpaperPreview(); }
+  state.summaryOpen    = false;
+  if (DOM.appSummary) DOM.appSummary.style.display = 'none';
+  Object.keys(MATERIAL_VIEWS).forEach(function(key) {
+    const view = MATERIAL_VIEWS[key];
+    const on   = key === material;
+    if (DOM[view.app]) DOM[view.app].style.display = on ? 'block' : 'none';
+    if (DOM[view.nav]) DOM[view.nav].style.display = on ? 'flex'  : 'none';
+    if (DOM[view.tab]) DOM[view.tab].classList.toggle('active', on);
+  });
+  if (MATERIAL_VIEWS[material]) MATERIAL_VIEWS[material].refresh();
 }
 
 function initTilesSectionNav() {
@@ -149,26 +193,42 @@ function initWallpaperSectionNav() {
   });
 }
 
+function initPaintSectionNav() {
+  if (!DOM.navPaint) return;
+  DOM.navPaint.querySelectorAll('.nav-item[data-pt-section]').forEach(function(item) {
+    item.addEventListener('click', function(e) {
+      e.preventDefault();
+      const target = document.getElementById(item.getAttribute('data-pt-section'));
+      if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      DOM.navPaint.querySelectorAll('.nav-item').forEach(function(n) { n.classList.remove('active'); });
+      item.classList.add('active');
+    });
+  });
+}
+
+function initFlooringSectionNav() {
+  if (!DOM.navFlooring) return;
+  DOM.navFlooring.querySelectorAll('.nav-item[data-fl-section]').forEach(function(item) {
+    item.addEventListener('click', function(e) {
+      e.preventDefault();
+      const target = document.getElementById(item.getAttribute('data-fl-section'));
+      if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      DOM.navFlooring.querySelectorAll('.nav-item').forEach(function(n) { n.classList.remove('active'); });
+      item.classList.add('active');
+    });
+  });
+}
+
 /* ============================================================
    MODULE: Tile — Layout Pattern
    ============================================================ */
 
+/**
+ * Selects a layout pattern.  The pattern is laid out geometrically by the
+ * engine; the waste slider stays an independent safety margin on top.
+ */
 function applyLayoutPattern(patternKey) {
   state.activePattern = patternKey;
-  let wasteVal = 0;
-  switch (patternKey) {
-    case 'standard': wasteVal = 5;  break;
-    case 'brick':    wasteVal = 10; break;
-    case 'diagonal': wasteVal = 15; break;
-    case 'custom':   wasteVal = 0;  break;
-    default:         wasteVal = 0;
-  }
-  state.wastePercent = wasteVal;
-  if (DOM.wastePct) {
-    DOM.wastePct.value = wasteVal;
-    if (DOM.wasteBadge) DOM.wasteBadge.textContent = wasteVal + '%';
-    updateRangeBackground(DOM.wastePct);
-  }
   if (DOM.patternGrid) {
     DOM.patternGrid.querySelectorAll('.pattern-btn').forEach(function(btn) {
       const isSel = btn.getAttribute('data-pattern') === patternKey;
@@ -176,33 +236,108 @@ function applyLayoutPattern(patternKey) {
       btn.classList.toggle('active', isSel);
     });
   }
+  updateLivePreview();
   runCalculation();
 }
 
-function clearActivePattern() {
-  state.activePattern = null;
-  if (DOM.patternGrid) {
-    DOM.patternGrid.querySelectorAll('.pattern-btn').forEach(function(btn) {
-      btn.setAttribute('aria-pressed', 'false');
-      btn.classList.remove('active');
-    });
-  }
-  if (DOM.patternActiveBanner) DOM.patternActiveBanner.style.display = 'none';
-}
-
 /* ============================================================
    MODULE: Tile — Openings Manager
    ============================================================ */
 
 const OPENING_DEFAULTS = {
-  door:   { width: 0.90, height: 2.10 },
-  window: { width: 1.20, height: 1.40 },
-  mirror: { width: 0.80, height: 1.00 }
+  door:    { width: 0.90, height: 2.10 },
+  window:  { width: 1.20, height: 1.40 },
+  mirror:  { width: 0.80, height: 1.00 },
+  // Floor obstacles — width × depth seen from above
+  bathtub: { width: 1.70, height: 0.75 },
+  island:  { width: 2.00, height: 0.90 }
 };
 
+/**
+ * Parses floor corners typed as "x,y; x,y; …" (metres) into a polygon.
+ * The polygon is shifted so its bounding box starts at 0,0 — the frame the
+ * preview and the openings use.  Returns null for fewer than three corners
+ * or an outline without area.
+ */
+function parseFloorCorners(text) {
+  const pts = String(text || '').split(/[;\n]+/).reduce(function(list, pair) {
+    const nums = pair.match(/-?\d+(?:\.\d+)?/g);
+    if (nums && nums.length === 2) list.push({ x: parseFloat(nums[0]), y: parseFloat(nums[1]) });
+    return list;
+  }, []);
+  if (pts.length < 3) return null;
+
+  const b = GeometryLogic.bounds(pts);
+  const poly = pts.map(function(p) { return { x: p.x - b.minX, y: p.y - b.minY }; });
+  return GeometryLogic.area(poly) > 0 ? poly : null;
+}
+
+/**
+ * Corners of a custom wall typed as "x,y; …" with y measured UP from the
+ * floor, turned into the surface frame (y down from the top) outlines use.
+ */
+function parseWallCorners(text) {
+  const poly = parseFloorCorners(text);
+  if (!poly) return null;
+  const top = GeometryLogic.bounds(poly).maxY;
+  return poly.map(function(p) { return { x: p.x, y: top - p.y }; });
+}
+
+/**
+ * Outline of a non-rectangular wall from its shape row, or null for a plain
+ * rectangle.  `leftH` is the wall's own height field — the left edge of a
+ * slope; an empty right height repeats it.
+ */
+function readWallOutline(el, widthM, leftH) {
+  const shapeEl = el.querySelector('.wall-shape');
+  const shape   = shapeEl ? shapeEl.value : 'rect';
+  if (shape === 'custom') return parseWallCorners((el.querySelector('.wall-corners') || {}).value);
+  if (shape !== 'sloped' || widthM <= 0) return null;
+
+  const rightEl = el.querySelector('.wall-height-right');
+  const rightH  = (rightEl && rightEl.value !== '') ? getNum(rightEl) : leftH;
+  const apexH   = getNum(el.querySelector('.wall-apex'));
+  const apexX   = getNum(el.querySelector('.wall-apex-x')) || widthM / 2;
+  if (Math.abs(rightH - leftH) < 1e-9 && apexH <= Math.max(leftH, rightH)) return null;
+
+  const outline = GeometryLogic.wallOutline(widthM, leftH, rightH, apexH, apexX);
+  return GeometryLogic.area(outline) > 0 ? outline : null;
+}
+
+/**
+ * Shows the inputs of the chosen wall shape.  A wall drawn by its corners
+ * takes its size from them, so its width / height fields are locked.
+ */
+function applyWallShape(el) {
+  const shapeEl = el.querySelector('.wall-shape');
+  const shape   = shapeEl ? shapeEl.value : 'rect';
+  el.querySelectorAll('.wall-shape-slope').forEach(function(r) { r.style.display = shape === 'sloped' ? '' : 'none'; });
+  el.querySelectorAll('.wall-shape-custom').forEach(function(r) { r.style.display = shape === 'custom' ? '' : 'none'; });
+  el.querySelectorAll('.wall-width, .wall-height, .wp-wall-width, .wp-wall-height').forEach(function(inp) {
+    inp.disabled = shape === 'custom';
+  });
+  const badge = el.querySelector('.wall-shape-badge');
+  if (badge && shapeEl) {
+    badge.textContent = shapeEl.options[shapeEl.selectedIndex].text;
+    badge.classList.toggle('wall-tile-badge--custom', shape !== 'rect');
+  }
+}
+
+/** Back to a plain rectangle with empty shape fields. */
+function resetWallShape(el) {
+  const shapeEl = el.querySelector('.wall-shape');
+  if (shapeEl) shapeEl.value = 'rect';
+  el.querySelectorAll('.wall-height-right, .wall-apex, .wall-apex-x, .wall-corners').forEach(function(inp) { inp.value = ''; });
+  applyWallShape(el);
+}
+
 /**
  * Reads all current walls from the DOM.
- * Returns [{w, h, name, tileLCm, tileWCm}, …].
+ * Returns [{w, h, name, tileLCm, tileWCm, index, surface, outline, area}, …]
+ * — `index` is the wall's position in the list, the same number openings
+ * store as wallIndex.  Floors (surface 'floor') carry their corner polygon
+ * as `outline`, sloped or gable walls theirs from readWallOutline; w × h is
+ * then its bounding box.
  *
  * Per-wall tile sizes fall back to the global defaults (DOM.tileLength / DOM.tileWidth)
  * when the per-wall fields are empty or zero.  This keeps backward compatibility
@@ -219,16 +354,35 @@ function getCurrentWalls() {
     const nameEl = el.querySelector('.wall-name');
     const tlEl   = el.querySelector('.wall-tile-length');
     const twEl   = el.querySelector('.wall-tile-width');
-
-    const w       = wEl ? (parseFloat(wEl.value)  || 0) : 0;
-    const h       = hEl ? (parseFloat(hEl.value)  || 0) : 0;
-    // Custom name: use entered value, fall back to "კედელი N"
-    const name    = (nameEl && nameEl.value.trim()) ? nameEl.value.trim() : ('კედელი ' + (idx + 1));
+    const typeEl = el.querySelector('.wall-surface-type');
+    const crEl   = el.querySelector('.floor-corners');
+
+    const surface = (typeEl && typeEl.value === 'floor') ? 'floor' : 'wall';
+
+    let w = wEl ? (parseFloat(wEl.value)  || 0) : 0;
+    let h = hEl ? (parseFloat(hEl.value)  || 0) : 0;
+    const outline = surface === 'floor'
+      ? (crEl ? parseFloorCorners(crEl.value) : null)
+      : readWallOutline(el, w, h);
+    const bounds  = outline ? GeometryLogic.bounds(outline) : null;
+    if (surface === 'floor' || outline) {
+      w = bounds ? bounds.maxX : 0;
+      h = bounds ? bounds.maxY : 0;
+    }
+    // Custom name: use entered value, fall back to "კედელი N" / "იატაკი N"
+    const name    = (nameEl && nameEl.value.trim()) ? nameEl.value.trim()
+                  : ((surface === 'floor' ? 'იატაკი ' : 'კედელი ') + (idx + 1));
     // Per-wall tile sizes: use entered value, fall back to global defaults
     const tileLCm = (tlEl && parseFloat(tlEl.value) > 0) ? parseFloat(tlEl.value) : globalTileL;
     const tileWCm = (twEl && parseFloat(twEl.value) > 0) ? parseFloat(twEl.value) : globalTileW;
 
-    walls.push({ w: w, h: h, name: name, tileLCm: tileLCm, tileWCm: tileWCm });
+    walls.push({
+      w: w, h: h, name: name, tileLCm: tileLCm, tileWCm: tileWCm, index: idx,
+      surface: surface,
+      outline: outline,
+      area:    outline ? GeometryLogic.area(outline) : w * h,
+      zones:   surface === 'wall' ? readWallZones(el) : []
+    });
   });
   return walls;
 }
@@ -270,8 +424,7 @@ function updateOpeningField(id, field, value) {
   if (!opening) return;
   opening[field] = parseFloat(value) || 0;
   updateOpeningAreaDisplay(id);
-  updateLivePreview();
-  runCalculation();
+  scheduleCalculation();
 }
 
 function updateOpeningType(id, type) {
@@ -403,7 +556,7 @@ function updateDeductionBar() {
 /**
  * Draws one wall panel onto the given canvas.
  * @param {HTMLCanvasElement} canvas
- * @param {Object}  wall      — {w, h} in metres
+ * @param {Object}  wall      — {w, h} in metres; floors also carry `outline`
  * @param {number}  wallIndex — index in the wall list (for openings filter)
  * @param {number}  [explicitW] — pixel width  (pass in to avoid clientWidth=0 bug)
  * @param {number}  [explicitH] — pixel height (pass in to avoid clientHeight=0 bug)
@@ -426,6 +579,7 @@ function drawWallPanel(canvas, wall, wallIndex, explicitW, explicitH) {
     bg:          '#0f1117',
     tileA:       '#242d40',
     tileB:       '#1e2535',
+    tileCut:     '#3a3424',
     grout:       '#0f1117',
     opening:     '#0d1219',
     accentBlue:  '#3b82f6',
@@ -453,7 +607,7 @@ function drawWallPanel(canvas, wall, wallIndex, explicitW, explicitH) {
   // Falls back to global defaults if not set (e.g. quick-mode virtual wall)
   const tileL  = ((wall.tileLCm || getNum(DOM.tileLength) || 60)) / 100;
   const tileWd = ((wall.tileWCm || getNum(DOM.tileWidth)  || 30)) / 100;
-  const groutM = (getNum(DOM.groutJoint) || 3) / 1000;
+  const groutM = getNum(DOM.groutJoint) / 1000;
 
   const PAD   = 40;
   const LABEL = 30;
@@ -467,37 +621,79 @@ function drawWallPanel(canvas, wall, wallIndex, explicitW, explicitH) {
   const ox    = (PW - drawW) / 2;
   const oy    = LABEL + (PH - LABEL - drawH) / 2;
 
-  const tpx = tileL  * scale;
-  const tpy = tileWd * scale;
-  const gpx = Math.max(0.5, groutM * scale);
+  // Tiles come from the same layout the count uses, so the preview shows the
+  // selected pattern and its real cut pieces (highlighted).
+  const wallOpenings = (state.openings || []).filter(function(op) { return op.wallIndex === wallIndex; });
+  const surface = { w: surfW, h: surfH, outline: wall.outline };
+  const layoutOpts = function(lM, wM, pattern) {
+    return { tLenM: lM, tWidM: wM, groutM: groutM, pattern: pattern || state.activePattern,
+             originMode: getOriginMode(), minCutFraction: getNum(DOM.minCutPct) / 100 };
+  };
+  // Tile zones are laid band by band, each with its own tile and pattern
+  const zones = TileLogic.splitZones({ w: surfW, h: surfH, outline: wall.outline, zones: wall.zones,
+                                       tileLCm: tileL * 100, tileWCm: tileWd * 100 });
+  const cells = zones.length === 0
+    ? TileLogic.calcWallLayout(surface, wallOpenings, layoutOpts(tileL, tileWd))
+    : zones.reduce(function(list, z) {
+        const band = { w: surfW, h: surfH, outline: z.outline };
+        return list.concat(TileLogic.calcWallLayout(band, TileLogic.zoneOpenings(z, wallOpenings),
+          layoutOpts(z.tileLCm / 100, z.tileWCm / 100, z.pattern)));
+      }, []);
+
+  // Wall rectangle or floor polygon, in panel pixels
+  const tracePath = function(poly) {
+    ctx.beginPath();
+    poly.forEach(function(p, k) {
+      const px = ox + p.x * scale;
+      const py = oy + p.y * scale;
+      if (k === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+    });
+    ctx.closePath();
+  };
+  const outline = TileLogic.surfaceOutline(surface);
 
   ctx.save();
-  ctx.beginPath();
-  ctx.rect(ox, oy, drawW, drawH);
+  tracePath(outline);
   ctx.clip();
 
-  let row = 0;
-  for (let y = oy; y < oy + drawH + tpy; y += tpy + gpx, row++) {
-    let col = 0;
-    for (let x = ox; x < ox + drawW + tpx; x += tpx + gpx, col++) {
-      ctx.fillStyle = (row + col) % 2 === 0 ? c.tileA : c.tileB;
-      ctx.fillRect(x, y, tpx, tpy);
-    }
-  }
+  ctx.fillStyle = c.grout;
+  ctx.fillRect(ox, oy, drawW, drawH);
 
-  ctx.strokeStyle = c.grout;
-  ctx.lineWidth   = gpx;
-  for (let y = oy; y <= oy + drawH + tpy; y += tpy + gpx) {
-    ctx.beginPath(); ctx.moveTo(ox, y); ctx.lineTo(ox + drawW, y); ctx.stroke();
-  }
-  for (let x = ox; x <= ox + drawW + tpx; x += tpx + gpx) {
-    ctx.beginPath(); ctx.moveTo(x, oy); ctx.lineTo(x, oy + drawH); ctx.stroke();
-  }
+  cells.forEach(function(cell, i) {
+    tracePath(cell.poly);
+    ctx.fillStyle = cell.kind === 'cut' ? c.tileCut : (i % 2 === 0 ? c.tileA : c.tileB);
+    ctx.fill();
+    ctx.strokeStyle = c.grout;
+    ctx.lineWidth   = 0.5;
+    ctx.stroke();
+  });
   ctx.restore();
 
+  // Zone bands: dashed line on each boundary, tile size beside the band
+  zones.forEach(function(z) {
+    const yTop = oy + (surfH - z.toM) * scale;
+    const yBot = oy + (surfH - z.fromM) * scale;
+    ctx.save();
+    ctx.setLineDash([4, 3]);
+    ctx.strokeStyle = c.accentAmber;
+    ctx.lineWidth   = 1;
+    [yTop, yBot].forEach(function(y) {
+      ctx.beginPath();
+      ctx.moveTo(ox, y);
+      ctx.lineTo(ox + drawW, y);
+      ctx.stroke();
+    });
+    ctx.restore();
+    ctx.fillStyle = c.accentAmber;
+    ctx.font      = "10px 'JetBrains Mono', monospace";
+    ctx.textAlign = 'left';
+    ctx.fillText(z.tileLCm + '×' + z.tileWCm, ox + drawW + 4, (yTop + yBot) / 2 + 3);
+  });
+
   ctx.strokeStyle = c.accentBlue;
   ctx.lineWidth   = 2;
-  ctx.strokeRect(ox, oy, drawW, drawH);
+  tracePath(outline);
+  ctx.stroke();
 
   ctx.fillStyle = c.text;
   ctx.font      = "12px 'JetBrains Mono', monospace";
@@ -511,7 +707,7 @@ function drawWallPanel(canvas, wall, wallIndex, explicitW, explicitH) {
   ctx.restore();
 
   // Openings (doors/windows)
-  const ICONS = { door: '🚪', window: '🪟', mirror: '🪞' };
+  const ICONS = { door: '🚪', window: '🪟', mirror: '🪞', bathtub: '🛁', island: '🔲' };
   if (state.openings) {
     state.openings
       .filter(function(op) { return op.wallIndex === wallIndex; })
@@ -536,9 +732,12 @@ function drawWallPanel(canvas, wall, wallIndex, explicitW, explicitH) {
   ctx.fillStyle = c.label;
   ctx.font      = "bold 12px 'JetBrains Mono', monospace";
   ctx.textAlign = 'center';
-  const tileSizeLabel = wall.tileLCm + '×' + wall.tileWCm + 'სმ';
+  const tileSizeLabel = zones.length > 0 ? zones.length + ' ზონა' : wall.tileLCm + '×' + wall.tileWCm + 'სმ';
+  const sizeLabel = wall.outline
+    ? GeometryLogic.area(wall.outline).toFixed(2) + 'მ²'
+    : surfW.toFixed(2) + '×' + surfH.toFixed(2) + 'მ';
   ctx.fillText(
-    wallLabel + '  ' + surfW.toFixed(2) + '×' + surfH.toFixed(2) + 'მ  [' + tileSizeLabel + ']',
+    wallLabel + '  ' + sizeLabel + '  [' + tileSizeLabel + ']',
     PW / 2, LABEL - 10
   );
 }
@@ -635,9 +834,11 @@ function updateLivePreview() {
             canvas = panel.querySelector('canvas');
         }
 
-        // Tag the canvas for drag-drop hit testing (needs to happen before rAF)
-        canvas._wallIndex = index;
-        canvas.setAttribute('data-wall-index', index);
+        // Tag the canvas for drag-drop hit testing (needs to happen before rAF).
+        // wall.index is the position in the full wall list — the same number
+        // openings store as wallIndex, even when an earlier wall is still empty.
+        canvas._wallIndex = wall.index;
+        canvas.setAttribute('data-wall-index', wall.index);
     });
 
     // ── Phase 2: Draw after ONE animation frame (layout is resolved) ─────────
@@ -662,7 +863,7 @@ function updateLivePreview() {
             canvas.style.width  = PW + 'px';
             canvas.style.height = PH + 'px';
 
-            drawWallPanel(canvas, wall, index, PW, PH);
+            drawWallPanel(canvas, wall, wall.index, PW, PH);
         });
 
         updateIndicators(scrollEl, validWalls.length);
@@ -745,7 +946,7 @@ function updateIndicators(scrollEl, count) {
 function updateGrossDisplay() {
   if (!DOM.grossAreaDisplay) return;
   const walls = getCurrentWalls();
-  const gross = walls.reduce(function(sum, w) { return sum + w.w * w.h; }, 0);
+  const gross = walls.reduce(function(sum, w) { return sum + w.area; }, 0);
   DOM.grossAreaDisplay.textContent = gross.toFixed(2) + ' მ²';
 }
 
@@ -756,16 +957,41 @@ function updateGrossDisplay() {
 function gatherTileParams() {
   const walls = getCurrentWalls().filter(function(w) { return w.w > 0 && w.h > 0; });
   return {
-    walls:        walls.map(function(w) { return { w: w.w, h: w.h }; }),
-    openings:     state.openings.map(function(o) { return { width: o.width, height: o.height }; }),
+    walls:        walls,
+    openings:     mapOpeningsToWalls(walls),
     tileLengthCm: getNum(DOM.tileLength),
     tileWidthCm:  getNum(DOM.tileWidth),
     groutMm:      getNum(DOM.groutJoint),
+    pattern:      state.activePattern || 'standard',
     wastePercent: getNum(DOM.wastePct),
-    sqmPerBox:    getNum(DOM.sqmPerBox)
+    sqmPerBox:    getNum(DOM.sqmPerBox) || 1.44,
+    originMode:     getOriginMode(),
+    minCutFraction: getNum(DOM.minCutPct) / 100,
+    prices:         state.tilePrices,
+    boxes:          state.tileBoxes,
+    spareBoxes:     { wall: getNum(DOM.spareBoxesWall), floor: getNum(DOM.spareBoxesFloor) },
+    boxesPerPallet: getNum(DOM.boxesPerPallet)
   };
 }
 
+/** Selected grid start ('corner' | 'centre' | 'optimal'). */
+function getOriginMode() {
+  return DOM.gridOrigin ? DOM.gridOrigin.value : 'corner';
+}
+
+/**
+ * Converts state.openings into engine openings whose wallIndex points into the
+ * given (filtered) wall list.  Openings on a wall that was filtered out (no
+ * dimensions yet) are left out — there is nothing to deduct them from.
+ */
+function mapOpeningsToWalls(walls) {
+  return state.openings.reduce(function(list, o) {
+    const pos = walls.findIndex(function(w) { return w.index === o.wallIndex; });
+    if (pos !== -1) list.push({ type: o.type, width: o.width, height: o.height, x: o.x, y: o.y, wallIndex: pos });
+    return list;
+  }, []);
+}
+
 function renderTileResults(result) {
   if (DOM.rTilesCount)  DOM.rTilesCount.textContent  = result.finalCount.toLocaleString();
   if (DOM.rBoxes)       DOM.rBoxes.textContent        = result.boxCount + ' კოლ.';
@@ -777,25 +1003,43 @@ function renderTileResults(result) {
   if (DOM.sDeduction) DOM.sDeduction.textContent = '−' + result.totalDeduction.toFixed(2) + ' მ²';
   if (DOM.sNet)       DOM.sNet.textContent       = result.netArea.toFixed(2) + ' მ²';
 
-  const tileAreaCm2 = result.effectiveTileArea
-    ? (result.effectiveTileArea * 10000).toFixed(1)
-    : ((getNum(DOM.tileLength) * getNum(DOM.tileWidth)) || 0).toFixed(1);
-  if (DOM.sTileArea)   DOM.sTileArea.textContent   = tileAreaCm2 + ' სმ²';
+  // Effective tile = tile face + grout joint; walls with different tiles have no single value
+  if (DOM.sTileArea) {
+    DOM.sTileArea.textContent = result.tilePitchCm
+      ? result.tilePitchCm.length.toFixed(1) + '×' + result.tilePitchCm.width.toFixed(1) + ' სმ (' +
+        (result.effectiveTileArea * 10000).toFixed(1) + ' სმ²)'
+      : 'შერეული ზომები';
+  }
   if (DOM.sBaseCount)  DOM.sBaseCount.textContent  = result.baseCount + ' ც.';
   if (DOM.sFinalCount) DOM.sFinalCount.textContent = result.finalCount + ' ც.';
+  if (DOM.sCutSummary) DOM.sCutSummary.textContent = result.fullTiles + ' / ' + result.cutCount + ' ც.';
+  if (DOM.sTilesSaved) DOM.sTilesSaved.textContent = '−' + result.tilesSaved + ' ც.';
+  if (DOM.sThinnestCut) DOM.sThinnestCut.textContent = formatThinnestCut(result.thinnestCut);
+  if (DOM.rTotalPrice)  DOM.rTotalPrice.textContent  = formatPrice(result.totalCost);
+  if (DOM.sLeftoverTiles) DOM.sLeftoverTiles.textContent = result.leftoverTiles + ' ც.';
+  if (DOM.sPallet)        DOM.sPallet.textContent        = formatPallet(result.bySize);
+  renderTilePrices(result.bySize);
+  renderConsumables(result.consumables);
 
   const grossDisplay  = document.getElementById('grossAreaDisplay');
   const lengthDisplay = document.getElementById('totalLengthDisplay');
   if (grossDisplay)  grossDisplay.textContent  = (result.grossArea || 0).toFixed(2) + ' მ²';
   if (lengthDisplay) lengthDisplay.textContent = (result.totalWallLength || 0).toFixed(2) + ' მ';
 
+  // Pattern waste comes from the layout; the slider is a margin on top of it
+  const pat = TileLogic.getLayoutPattern(state.activePattern);
   if (DOM.sLayout) {
-    if (state.activePattern) {
-      const pat = TileLogic.getLayoutPattern(state.activePattern);
-      DOM.sLayout.textContent = pat.labelKa + ' (' + pat.wastePercent + '%)';
-    } else {
-      DOM.sLayout.textContent = 'მომხმარებელი (' + getNum(DOM.wastePct) + '%)';
-    }
+    DOM.sLayout.textContent = pat.labelKa + ' (ჭრა ' + result.cutWastePercent.toFixed(1) + '% + ' + getNum(DOM.wastePct) + '%)';
+  }
+  if (DOM.patternActiveBanner) {
+    DOM.patternActiveBanner.style.display = 'flex';
+    if (DOM.patternActiveName)  DOM.patternActiveName.textContent  = pat.labelKa;
+    if (DOM.patternActiveWaste) DOM.patternActiveWaste.textContent = result.cutWastePercent.toFixed(1) + '%';
+  }
+  if (DOM.sBySize) {
+    const row = DOM.sBySize.closest('.stats-row');
+    if (row) row.style.display = (result.bySize && result.bySize.length > 1) ? '' : 'none';
+    DOM.sBySize.textContent = formatBySize(result.bySize);
   }
 
   const card = document.querySelector('.results-card:not(.results-card--rose)');
@@ -817,6 +1061,59 @@ function renderTileResults(result) {
  * Called by addWall() and also used for the initial wall in HTML.
  * Kept as a function so the structure is defined in one place.
  */
+/**
+ * Shape row shared by tile walls and wallpaper walls: rectangle, a slope /
+ * gable from edge heights, or corners typed by hand (see readWallOutline).
+ */
+function buildWallShapeHTML() {
+  return `
+      <details class="wall-tile-details wall-shape-details">
+        <summary class="wall-tile-summary">
+          <svg viewBox="0 0 16 16" fill="currentColor" width="11" height="11">
+            <path d="M8 1l7 6v8H1V7z"/>
+          </svg>
+          კედლის ფორმა <span class="wall-tile-badge wall-shape-badge">მართკუთხა</span>
+        </summary>
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label">ფორმა</label>
+            <select class="form-input wall-shape">
+              <option value="rect">მართკუთხა</option>
+              <option value="sloped">დახრილი / ფრონტონი</option>
+              <option value="custom">კუთხეებით</option>
+            </select>
+          </div>
+        </div>
+        <div class="form-row wall-shape-slope" style="display:none">
+          <div class="form-group">
+            <label class="form-label">მარჯვ. სიმაღლე</label>
+            <div class="input-wrap">
+              <input type="number" class="form-input wall-height-right" placeholder="=" min="0" step="0.01">
+              <span class="input-unit">მ</span>
+            </div>
+          </div>
+          <div class="form-group">
+            <label class="form-label">წვერო</label>
+            <div class="input-wrap">
+              <input type="number" class="form-input wall-apex" placeholder="—" min="0" step="0.01">
+              <span class="input-unit">მ</span>
+            </div>
+          </div>
+          <div class="form-group">
+            <label class="form-label">წვეროს x</label>
+            <div class="input-wrap">
+              <input type="number" class="form-input wall-apex-x" placeholder="შუა" min="0" step="0.01">
+              <span class="input-unit">მ</span>
+            </div>
+          </div>
+        </div>
+        <div class="wall-shape-custom" style="display:none">
+          <input type="text" class="form-input wall-corners" placeholder="0,0; 4,0; 4,1.2; 2,2.8; 0,1.2">
+        </div>
+        <p class="wall-tile-hint">სიმაღლე = მარცხენა კიდე; ცარიელი წვერო = არ არის. კუთხეები: x — კედლის გასწვრივ, y — სიმაღლე იატაკიდან</p>
+      </details>`;
+}
+
 function buildWallHTML(wallId, wallNum, defaultW, defaultH) {
   const w = defaultW || '';
   const h = defaultH || '';
@@ -836,8 +1133,12 @@ function buildWallHTML(wallId, wallNum, defaultW, defaultH) {
                  maxlength="32"
                  title="კედლის სახელი" />
         </div>
+        <select class="wall-surface-type" title="ზედაპირის ტიპი">
+          <option value="wall">კედელი</option>
+          <option value="floor">იატაკი</option>
+        </select>
         <button type="button" class="btn-remove-wall"
-                onclick="this.closest('.wall-item').remove(); updateLivePreview(); runCalculation();"
+                onclick="removeWall(this.closest('.wall-item'));"
                 title="კედლის წაშლა">
           <svg viewBox="0 0 16 16" fill="currentColor" width="13" height="13">
             <path d="M5.5 5.5A.5.5 0 016 6v6a.5.5 0 01-1 0V6a.5.5 0 01.5-.5zm2.5 0a.5.5 0 01.5.5v6a.5.5 0 01-1 0V6a.5.5 0 01.5-.5zm2.5.5a.5.5 0 00-1 0v6a.5.5 0 001 0V6z"/>
@@ -864,6 +1165,13 @@ function buildWallHTML(wallId, wallNum, defaultW, defaultH) {
         </div>
       </div>
 
+      <!-- ── Row 2b: Floor outline (floor surfaces only) ── -->
+      <div class="floor-dims-row" style="display:none">
+        <label class="form-label">კუთხეების კოორდინატები (x,y მ)</label>
+        <input type="text" class="form-input floor-corners" placeholder="0,0; 4,0; 4,3; 2,3; 2,5; 0,5">
+        <p class="wall-tile-hint">კუთხეები თანმიმდევრობით, „;“-ით გამოყოფილი. აბაზანა / კუნძული — „გამოქვითვაში“</p>
+      </div>
+
       <!-- ── Row 3: Per-wall tile size (collapsible) ── -->
       <details class="wall-tile-details">
         <summary class="wall-tile-summary">
@@ -891,6 +1199,22 @@ function buildWallHTML(wallId, wallNum, defaultW, defaultH) {
         <p class="wall-tile-hint">ცარიელი = გლობალური ფილის ზომა</p>
       </details>
 
+      <!-- ── Row 3b: Wall shape — gable, attic slope, stair wall (walls only) ── -->
+      ${buildWallShapeHTML()}
+
+      <!-- ── Row 4: Horizontal tile zones (collapsible) ── -->
+      <details class="wall-tile-details wall-zones-details">
+        <summary class="wall-tile-summary">
+          <svg viewBox="0 0 16 16" fill="currentColor" width="11" height="11">
+            <path d="M0 1h16v3H0zm0 5h16v2H0zm0 4h16v5H0z"/>
+          </svg>
+          ფილის ზონები <span class="wall-tile-badge wall-zones-badge">მთლიანი კედელი</span>
+        </summary>
+        <div class="wall-zones-list"></div>
+        <button type="button" class="btn btn-sm btn-outline btn-add-zone">+ ზონა</button>
+        <p class="wall-tile-hint">სიმაღლე იატაკიდან. ზონების გარეთ კედელი არ იფილება; ცარიელი ფილა / სტილი = კედლის</p>
+      </details>
+
     </div>`;
 }
 
@@ -909,13 +1233,64 @@ function addWall() {
     newWall.querySelectorAll('input').forEach(function(input) {
       input.addEventListener('input', function() {
         updateWallTileBadge(newWall);
-        updateLivePreview();
-        runCalculation();
+        scheduleCalculation();
       });
     });
   }
 }
 
+/**
+ * Removes a wall together with the openings that belong to it.  Openings on
+ * later walls keep pointing at the same wall (their wallIndex shifts down).
+ */
+function removeWall(wallEl) {
+  if (!wallEl) return;
+  const removedIdx = Array.prototype.indexOf.call(document.querySelectorAll('.wall-item'), wallEl);
+  wallEl.remove();
+
+  if (removedIdx !== -1) {
+    state.openings = state.openings.filter(function(o) { return o.wallIndex !== removedIdx; });
+    state.openings.forEach(function(o) { if (o.wallIndex > removedIdx) o.wallIndex--; });
+  }
+
+  renderOpenings();
+  updateLivePreview();
+  runCalculation();
+}
+
+/**
+ * Shows the length × height row for walls and the corner list for floors.
+ * A floor switched on with no corners yet starts as the rectangle the
+ * length × height fields describe, ready to be edited into an L or a bay.
+ */
+function applySurfaceType(wallEl) {
+  const typeEl  = wallEl.querySelector('.wall-surface-type');
+  const isFloor = !!typeEl && typeEl.value === 'floor';
+  const dimsRow  = wallEl.querySelector('.wall-dims-row');
+  const floorRow = wallEl.querySelector('.floor-dims-row');
+  const crEl     = wallEl.querySelector('.floor-corners');
+  const nameEl   = wallEl.querySelector('.wall-name');
+
+  const zonesEl  = wallEl.querySelector('.wall-zones-details');
+  const shapeEl  = wallEl.querySelector('.wall-shape-details');
+
+  if (dimsRow)  dimsRow.style.display  = isFloor ? 'none' : '';
+  if (floorRow) floorRow.style.display = isFloor ? '' : 'none';
+  if (zonesEl)  zonesEl.style.display  = isFloor ? 'none' : '';
+  if (shapeEl)  shapeEl.style.display  = isFloor ? 'none' : '';
+
+  if (isFloor && crEl && !crEl.value.trim()) {
+    const w = getNum(wallEl.querySelector('.wall-width'));
+    const h = getNum(wallEl.querySelector('.wall-height'));
+    if (w > 0 && h > 0) crEl.value = '0,0; ' + w + ',0; ' + w + ',' + h + '; 0,' + h;
+  }
+
+  if (nameEl) {
+    const num = Array.prototype.indexOf.call(document.querySelectorAll('.wall-item'), wallEl) + 1;
+    nameEl.placeholder = (isFloor ? 'იატაკი ' : 'კედელი ') + num;
+  }
+}
+
 /**
  * Updates the "გლობალური / custom" badge shown inside the per-wall tile
  * <details> summary whenever the user types into the tile-size fields.
@@ -938,94 +1313,145 @@ function updateWallTileBadge(wallEl) {
   }
 }
 
+/**
+ * One row of a wall's tile zone list.  Heights are metres up from the floor;
+ * empty tile size / pattern fields fall back to the wall's own.
+ */
+function buildZoneRowHTML(zone) {
+  const z = zone || {};
+  const patterns = TileLogic.LAYOUT_PATTERNS;
+  return `
+    <div class="wall-zone-row">
+      <input type="number" class="form-input zone-from" title="ქვედა კიდე (მ)" placeholder="0.00" step="0.01" min="0" value="${z.fromM != null ? z.fromM : ''}">
+      <input type="number" class="form-input zone-to" title="ზედა კიდე (მ)" placeholder="0.00" step="0.01" min="0" value="${z.toM != null ? z.toM : ''}">
+      <input type="number" class="form-input zone-tile-length" title="ფილის სიგრძე (სმ)" placeholder="სიგრ." min="1" step="1" value="${z.tileLCm || ''}">
+      <input type="number" class="form-input zone-tile-width" title="ფილის სიგანე (სმ)" placeholder="სიგ." min="1" step="1" value="${z.tileWCm || ''}">
+      <select class="form-input zone-pattern" title="დაგების სტილი">
+        <option value="">გლობალური</option>
+        ${Object.keys(patterns).map(function(k) {
+          return `<option value="${k}"${z.pattern === k ? ' selected' : ''}>${patterns[k].labelKa}</option>`;
+        }).join('')}
+      </select>
+      <button type="button" class="btn-remove btn-remove-zone" title="ზონის წაშლა">✕</button>
+    </div>`;
+}
+
+/** Adds a zone starting where the wall's last zone ends and running to the ceiling. */
+function addZone(wallEl) {
+  const list = wallEl.querySelector('.wall-zones-list');
+  if (!list) return;
+  const rows = list.querySelectorAll('.wall-zone-row');
+  const last = rows[rows.length - 1];
+  const from = last ? getNum(last.querySelector('.zone-to')) : 0;
+  const h    = getNum(wallEl.querySelector('.wall-height'));
+  list.insertAdjacentHTML('beforeend', buildZoneRowHTML({ fromM: from, toM: h > from ? h : '' }));
+  updateZonesBadge(wallEl);
+}
+
+/** Zones entered on one wall element, in list order. */
+function readWallZones(wallEl) {
+  return Array.prototype.map.call(wallEl.querySelectorAll('.wall-zone-row'), function(row) {
+    return {
+      fromM:   getNum(row.querySelector('.zone-from')),
+      toM:     getNum(row.querySelector('.zone-to')),
+      tileLCm: getNum(row.querySelector('.zone-tile-length')) || null,
+      tileWCm: getNum(row.querySelector('.zone-tile-width'))  || null,
+      pattern: row.querySelector('.zone-pattern').value || null
+    };
+  });
+}
+
+/** "3 ზონა" in the zones summary, or "მთლიანი კედელი" with none. */
+function updateZonesBadge(wallEl) {
+  const badge = wallEl.querySelector('.wall-zones-badge');
+  if (!badge) return;
+  const n = wallEl.querySelectorAll('.wall-zone-row').length;
+  badge.textContent = n > 0 ? n + ' ზონა' : 'მთლიანი კედელი';
+  badge.classList.toggle('wall-tile-badge--custom', n > 0);
+}
+
 /* ============================================================
    MODULE: Tile — Main Calculation
    ============================================================ */
 
+const TILE_CALC_DELAY_MS = 250;
+let tileCalcTimer = null;
+
+/**
+ * Redraws the preview and recalculates once typing pauses.  The 'optimal'
+ * grid start tries about a hundred layouts per wall — too slow for every
+ * keystroke.  Clicks and selects still recalculate at once.
+ */
+function scheduleCalculation() {
+  clearTimeout(tileCalcTimer);
+  tileCalcTimer = setTimeout(function() {
+    tileCalcTimer = null;
+    updateLivePreview();
+    runCalculation();
+  }, TILE_CALC_DELAY_MS);
+}
+
+/** Runs a pending scheduled recalculation now, for code that reads state.lastResult. */
+function flushCalculation() {
+  if (!tileCalcTimer) return;
+  clearTimeout(tileCalcTimer);
+  tileCalcTimer = null;
+  updateLivePreview();
+  runCalculation();
+}
+
 function runCalculation() {
-  let finalWallsForLogic = [];
+  let params;
 
   if (isQuickMode) {
     // --- სწრაფი რეჟიმი ---
     const directArea = parseFloat(document.getElementById('directAreaInput').value) || 0;
     if (directArea <= 0) { clearResults(); return; }
-    // Virtual single wall; uses global tile size
+    // Virtual square surface of the same area; uses global tile size and owns
+    // every opening.  Openings have no position on it, so they go by area.
     const globalTileL = getNum(DOM.tileLength) || 60;
     const globalTileW = getNum(DOM.tileWidth)  || 30;
-    finalWallsForLogic = [{ w: directArea, h: 1, name: 'სწრაფი', tileLCm: globalTileL, tileWCm: globalTileW }];
+    const side        = Math.sqrt(directArea);
+    params = gatherTileParams();
+    params.walls    = [{ w: side, h: side, name: 'სწრაფი', tileLCm: globalTileL, tileWCm: globalTileW }];
+    params.openings = state.openings.map(function(o) { return { type: o.type, width: o.width, height: o.height, wallIndex: 0 }; });
   } else {
     // --- დეტალური რეჟიმი ---
-    const walls = getCurrentWalls().filter(function(w) { return w.w > 0 && w.h > 0; });
-    if (walls.length === 0) { clearResults(); return; }
-    finalWallsForLogic = walls;
+    params = gatherTileParams();
+    if (params.walls.length === 0) { clearResults(); return; }
   }
 
-  const groutMm     = getNum(DOM.groutJoint);
-  const wastePercent= getNum(DOM.wastePct);
-  const sqmPerBox   = getNum(DOM.sqmPerBox) || 1.44;
-
-  // Run per-wall calculations, aggregating totals
-  let totalGross      = 0;
-  let totalDeduction  = 0;
-  let totalNet        = 0;
-  let totalBase       = 0;
-  let totalFinal      = 0;
-  let totalPurchase   = 0;
-  const wallBreakdown = [];
-
   try {
     if (!window.TileLogic || typeof window.TileLogic.calculateAll !== 'function') return;
 
-    const openingsForCalc = state.openings.map(function(o) { return { width: o.width, height: o.height }; });
-
-    finalWallsForLogic.forEach(function(wall) {
-      // Each wall uses its own tile size
-      const params = {
-        walls:        [{ w: wall.w, h: wall.h }],
-        openings:     openingsForCalc,  // openings shared across walls (by wallIndex filtering is visual only)
-        tileLengthCm: wall.tileLCm,
-        tileWidthCm:  wall.tileWCm,
-        groutMm:      groutMm,
-        wastePercent: wastePercent,
-        sqmPerBox:    sqmPerBox
-      };
-
-      const r = window.TileLogic.calculateAll(params);
-      totalGross     += r.grossArea;
-      totalDeduction += r.totalDeduction;
-      totalNet       += r.netArea;
-      totalBase      += r.baseCount;
-      totalFinal     += r.finalCount;
-      totalPurchase  += r.purchaseArea;
+    const result = window.TileLogic.calculateAll(params);
+    result.consumables = window.TileLogic.calcConsumables(params, result, gatherConsumableOpts());
 
-      wallBreakdown.push({
+    const wallBreakdown = params.walls.map(function(wall, idx) {
+      const r = result.walls[idx];
+      return {
         name:       wall.name,
         tileLCm:    wall.tileLCm,
         tileWCm:    wall.tileWCm,
         grossArea:  r.grossArea,
+        deduction:  r.deduction,
         netArea:    r.netArea,
+        fullTiles:  r.fullTiles,
+        cutPieces:  r.cutPieces,
+        tilesSaved: r.tilesSaved,
         finalCount: r.finalCount,
-        boxCount:   r.boxCount
-      });
+        boxCount:   r.boxCount,
+        cost:       r.cost,
+        originCm:   r.originCm,
+        thinnestCut: r.thinnestCut,
+        belowMinCut: r.belowMinCut,
+        zones:      r.zones
+      };
     });
 
-    // Aggregate box count from total purchase area
-    const totalBoxes = sqmPerBox > 0 ? Math.ceil(totalPurchase / sqmPerBox) : 0;
-
-    const aggregated = {
-      grossArea:       totalGross,
-      totalDeduction:  totalDeduction,
-      netArea:         totalNet,
-      baseCount:       totalBase,
-      finalCount:      totalFinal,
-      purchaseArea:    totalPurchase,
-      boxCount:        totalBoxes,
-      wasteTiles:      totalFinal - totalBase,
-      effectiveTileArea: null  // mixed tiles — don't show single value
-    };
-
-    renderTileResults(aggregated);
+    renderTileResults(result);
     renderWallBreakdown(wallBreakdown);
+    renderCutWarnings(wallBreakdown);
 
   } catch (e) {
     console.error('გამოთვლა ვერ მოხერხდა:', e);
@@ -1054,7 +1480,7 @@ function renderWallBreakdown(breakdown) {
     }
   }
 
-  if (breakdown.length <= 1) {
+  if (breakdown.length === 0) {
     container.style.display = 'none';
     return;
   }
@@ -1065,25 +1491,215 @@ function renderWallBreakdown(breakdown) {
       <svg viewBox="0 0 16 16" fill="currentColor" width="12" height="12">
         <path d="M0 0h7v7H0zm9 0h7v7H9zM0 9h7v7H0zm9 0h7v7H9z"/>
       </svg>
-      კედელი → ფილა (დეტალური)
+      ზედაპირი → ფილა (დეტალური)
     </div>
     <div class="breakdown-rows">
       ${breakdown.map(function(b) {
         return `<div class="breakdown-row">
-          <span class="breakdown-name">${b.name}</span>
-          <span class="breakdown-tile mono">${b.tileLCm}×${b.tileWCm}სმ</span>
+          <span class="breakdown-name">${escapeHTML(b.name)}</span>
+          <span class="breakdown-tile mono">${b.zones && b.zones.length ? b.zones.length + ' ზონა' : b.tileLCm + '×' + b.tileWCm + 'სმ'}</span>
+          <span class="breakdown-area mono" title="ბრუტო − გამოქვითვა">${b.grossArea.toFixed(2)} − ${b.deduction.toFixed(2)}</span>
           <span class="breakdown-area mono">${b.netArea.toFixed(2)}მ²</span>
           <span class="breakdown-count mono accent-blue">${b.finalCount}ც.</span>
-        </div>`;
+          <span class="breakdown-cost mono">${b.cost != null ? formatPrice(b.cost) : ''}</span>
+        </div>
+        <div class="breakdown-cuts mono">${formatCutPieces(b)}</div>
+        ${(b.zones || []).map(function(z) { return `<div class="breakdown-cuts mono">${formatZone(z)}</div>`; }).join('')}
+        ${getOriginMode() !== 'corner' ? `<div class="breakdown-cuts mono">${formatOrigin(b)}</div>` : ''}`;
       }).join('')}
     </div>`;
 }
 
+/**
+ * One-line cut list for a wall: "12 მთელი · 4× 35.0×30.0 · 2× 60.0×7.6 (♻ 3)".
+ * ♻ marks pieces taken from offcuts of earlier cuts.
+ */
+function formatCutPieces(b) {
+  const parts = [b.fullTiles + ' მთელი'];
+  (b.cutPieces || []).forEach(function(p) {
+    parts.push(p.count + '× ' + p.wCm.toFixed(1) + '×' + p.hCm.toFixed(1));
+  });
+  return parts.join(' · ') + (b.tilesSaved > 0 ? '  (♻ ' + b.tilesSaved + ')' : '');
+}
+
+/** "0.10–1.20 მ · 30×30 სმ · აგურისებური ½ · 31 ც." — one tile zone of a wall. */
+function formatZone(z) {
+  return z.fromM.toFixed(2) + '–' + z.toM.toFixed(2) + ' მ · ' + z.tileLCm + '×' + z.tileWCm + ' სმ · ' +
+    TileLogic.getLayoutPattern(z.pattern).labelKa + ' · ' + z.finalCount + ' ც.';
+}
+
+/** "ბადე ↔ 12.5 ↕ 7.0 სმ · უთხელესი ჭრილი 34%" — where the wall's grid starts. */
+function formatOrigin(b) {
+  return 'ბადე ↔ ' + b.originCm.x.toFixed(1) + ' ↕ ' + b.originCm.y.toFixed(1) + ' სმ · უთხელესი ჭრილი ' +
+    formatThinnestCut(b.thinnestCut);
+}
+
+/**
+ * Names the walls where no grid start keeps every cut above the minimum —
+ * those need a narrower joint, another tile or a cut the fitter accepts.
+ */
+function renderCutWarnings(breakdown) {
+  if (!DOM.tileCutWarnings) return;
+  const thin = (breakdown || []).filter(function(b) { return b.belowMinCut; });
+  if (thin.length === 0) { DOM.tileCutWarnings.style.display = 'none'; return; }
+  DOM.tileCutWarnings.style.display = 'block';
+  DOM.tileCutWarnings.innerHTML = thin.map(function(b) {
+    return '<div class="wp-seam-warning">⚠️ ' + escapeHTML(b.name) + ': უთხელესი ჭრილი ' + Math.round(b.thinnestCut * 100) + '%' +
+      ' — მინიმუმზე (' + getNum(DOM.minCutPct) + '%) ნაკლები</div>';
+  }).join('');
+}
+
+/** Thinnest cut as % of the tile; ⚠ when it is below the minimum set. */
+function formatThinnestCut(fraction) {
+  const pct = Math.round(fraction * 100);
+  return pct + '%' + (fraction < getNum(DOM.minCutPct) / 100 - 1e-9 ? ' ⚠' : '');
+}
+
+/** Consumable settings from the "სამონტაჟო მასალები" card. */
+function gatherConsumableOpts() {
+  return {
+    notchMm:         DOM.adhesiveNotch ? DOM.adhesiveNotch.value : 'auto',
+    adhesiveBagKg:   getNum(DOM.adhesiveBagKg),
+    groutDepthMm:    getNum(DOM.groutDepthMm),
+    groutBagKg:      getNum(DOM.groutBagKg),
+    spacersPerTile:  DOM.spacersPerTile ? getNum(DOM.spacersPerTile) : 4,
+    spacerPack:      getNum(DOM.spacerPack),
+    externalCorners: getNum(DOM.externalCorners),
+    trimTopEdge:     !!(DOM.trimTopEdge && DOM.trimTopEdge.checked),
+    trimOpenings:    !!(DOM.trimOpenings && DOM.trimOpenings.checked),
+    trimLengthM:     getNum(DOM.trimLengthM)
+  };
+}
+
+function renderConsumables(c) {
+  if (!c) return;
+  const lines = formatConsumables(c);
+  if (DOM.cAdhesive) DOM.cAdhesive.textContent = lines.adhesive;
+  if (DOM.cGrout)    DOM.cGrout.textContent    = lines.grout;
+  if (DOM.cSpacers)  DOM.cSpacers.textContent  = lines.spacers;
+  if (DOM.cTrims)    DOM.cTrims.textContent    = lines.trims;
+}
+
+/** Display lines for calcConsumables() output (results card and copy). */
+function formatConsumables(c) {
+  return {
+    adhesive: c.adhesive.kg.toFixed(1) + ' კგ → ' + c.adhesive.bags + ' × ' + c.adhesive.bagKg + ' კგ (' + c.adhesive.notchMm + ' მმ კბილი)',
+    grout:    c.grout.kg.toFixed(1) + ' კგ → ' + c.grout.bags + ' × ' + c.grout.bagKg + ' კგ',
+    spacers:  c.spacers.count + ' ც. → ' + c.spacers.packs + ' × ' + c.spacers.pack + ' ც.',
+    trims:    c.trims.metres > 0
+              ? c.trims.metres.toFixed(2) + ' მ → ' + c.trims.pieces + ' × ' + c.trims.lengthM + ' მ'
+              : '—'
+  };
+}
+
+/** "1 234.50 ₾", or "—" when nothing is priced. */
+function formatPrice(amount) {
+  return amount != null ? amount.toFixed(2) + ' ₾' : '—';
+}
+
+/**
+ * One price row per tile size in use (global, per-wall and the extra
+ * Versailles sizes).  Rows are rebuilt only when the set of sizes changes,
+ * so typing a price does not lose focus; values live in state.tilePrices.
+ */
+function renderTilePrices(bySize) {
+  if (!DOM.tilePriceList) return;
+  const keys = (bySize || []).map(function(sz) { return TileLogic.sizeKey(sz.lCm, sz.wCm); });
+  if (DOM.tilePriceList.getAttribute('data-sizes') !== keys.join('|')) buildTilePriceRows(bySize, keys);
+  renderBoxHints(bySize);
+}
+
+function buildTilePriceRows(bySize, keys) {
+  DOM.tilePriceList.setAttribute('data-sizes', keys.join('|'));
+  if (keys.length === 0) {
+    DOM.tilePriceList.innerHTML = '<p class="wall-tile-hint">ზომები გამოჩნდება გამოთვლის შემდეგ</p>';
+    return;
+  }
+  DOM.tilePriceList.innerHTML = bySize.map(function(sz, i) {
+    const price = state.tilePrices[keys[i]] || { amount: '', unit: 'sqm' };
+    const box   = state.tileBoxes[keys[i]] || { tilesPerBox: '' };
+    return `<div class="tile-price-row" data-size="${keys[i]}">
+      <span class="tile-price-size mono">${sz.lCm}×${sz.wCm} სმ</span>
+      <div class="input-wrap">
+        <input class="form-input tile-price-amount" type="number" min="0" step="0.01" placeholder="0.00" value="${price.amount}">
+        <span class="input-unit">₾</span>
+      </div>
+      <select class="form-input tile-price-unit">
+        <option value="sqm"${price.unit === 'sqm' ? ' selected' : ''}>/ მ²</option>
+        <option value="box"${price.unit === 'box' ? ' selected' : ''}>/ კოლოფი</option>
+      </select>
+      <div class="input-wrap">
+        <input class="form-input tile-box-count" type="number" min="1" step="1" placeholder="—" value="${box.tilesPerBox}" title="ფილა კოლოფში">
+        <span class="input-unit">ც./კოლ.</span>
+      </div>
+      <span class="tile-box-hint"></span>
+    </div>`;
+  }).join('');
+}
+
+/**
+ * Refreshes each price row's box hint after a calculation: the m² a box
+ * holds when tiles per box is given (⚠ when it disagrees with the global
+ * m²/box), else the tiles that fit the global box.
+ */
+function renderBoxHints(bySize) {
+  (bySize || []).forEach(function(sz) {
+    const row  = DOM.tilePriceList.querySelector('.tile-price-row[data-size="' + TileLogic.sizeKey(sz.lCm, sz.wCm) + '"]');
+    const hint = row && row.querySelector('.tile-box-hint');
+    if (!hint) return;
+    hint.classList.toggle('tile-box-hint--warn', !!sz.sqmMismatch);
+    hint.textContent = (sz.sqmMismatch ? '⚠ ' : '') + sz.boxSqm.toFixed(2) + ' მ²/კოლ. · ' +
+      sz.tilesPerBox + ' ც./კოლ. · ' + sz.boxCount + ' კოლ.' +
+      (sz.spareBoxes > 0 ? ' (+' + sz.spareBoxes + ' სათადარიგო)' : '');
+  });
+}
+
+/**
+ * "1 პალეტი + 4 კოლ." per size, or how many boxes are short of a full
+ * pallet; "—" without a pallet size.  The pallet size defaults to the
+ * open room's field.
+ */
+function formatPallet(bySize, boxesPerPallet) {
+  const bpp = boxesPerPallet != null ? boxesPerPallet : getNum(DOM.boxesPerPallet);
+  if (!(bpp > 0) || !bySize || bySize.length === 0) return '—';
+  return bySize.map(function(sz) {
+    const label = bySize.length > 1 ? sz.lCm + '×' + sz.wCm + ': ' : '';
+    if (!sz.fullPallet) return label + 'სრული პალეტი არ გამოდის (აკლია ' + (bpp - sz.boxCount) + ' კოლ.)';
+    return label + sz.pallets + ' პალეტი' + (sz.palletRest > 0 ? ' + ' + sz.palletRest + ' კოლ.' : '');
+  }).join(' · ');
+}
+
+/** Stores the price and tiles per box typed into one row of #tilePriceList and recalculates. */
+function updateTilePrice(rowEl) {
+  const amountEl = rowEl.querySelector('.tile-price-amount');
+  const unitEl   = rowEl.querySelector('.tile-price-unit');
+  const boxEl    = rowEl.querySelector('.tile-box-count');
+  const key      = rowEl.getAttribute('data-size');
+  state.tilePrices[key] = {
+    amount: amountEl ? (parseFloat(amountEl.value) || 0) : 0,
+    unit:   unitEl ? unitEl.value : 'sqm'
+  };
+  state.tileBoxes[key] = { tilesPerBox: boxEl ? (parseInt(boxEl.value, 10) || '') : '' };
+  runCalculation();
+}
+
+/** "24× 60×60 · 38× 60×29.8" — tile count per size (patterns with several sizes). */
+function formatBySize(bySize) {
+  return (bySize || []).map(function(sz) {
+    return sz.finalCount + '× ' + sz.lCm + '×' + sz.wCm;
+  }).join(' · ');
+}
+
 // დამხმარე ფუნქცია შედეგების გასასუფთავებლად, როცა ინპუტი ცარიელია
 function clearResults() {
   [DOM.rTilesCount, DOM.rBoxes, DOM.rPurchaseSqm, DOM.rNetSqm, DOM.rWasteTiles,
-   DOM.sGross, DOM.sDeduction, DOM.sNet, DOM.sTileArea, DOM.sBaseCount, DOM.sFinalCount, DOM.sLayout]
+   DOM.sGross, DOM.sDeduction, DOM.sNet, DOM.sTileArea, DOM.sBaseCount, DOM.sFinalCount, DOM.sLayout,
+   DOM.sCutSummary, DOM.sTilesSaved, DOM.sBySize, DOM.sThinnestCut, DOM.rTotalPrice,
+   DOM.sLeftoverTiles, DOM.sPallet,
+   DOM.cAdhesive, DOM.cGrout, DOM.cSpacers, DOM.cTrims]
     .forEach(function(el) { if (el) el.textContent = '—'; });
+  if (DOM.patternActiveBanner) DOM.patternActiveBanner.style.display = 'none';
+  if (DOM.tileCutWarnings) DOM.tileCutWarnings.style.display = 'none';
 }
 
 function resetTiles() {
@@ -1098,12 +1714,20 @@ function resetTiles() {
         const ni  = item.querySelector('.wall-name');
         const tli = item.querySelector('.wall-tile-length');
         const twi = item.querySelector('.wall-tile-width');
+        const sti = item.querySelector('.wall-surface-type');
+        const cri = item.querySelector('.floor-corners');
+        if (sti) sti.value = 'wall';
+        if (cri) cri.value = '';
         if (wi)  wi.value  = '';
         if (hi)  hi.value  = '';
         if (ni)  ni.value  = '';
         if (tli) tli.value = '';
         if (twi) twi.value = '';
+        item.querySelectorAll('.wall-zone-row').forEach(function(row) { row.remove(); });
+        resetWallShape(item);
         updateWallTileBadge(item);
+        updateZonesBadge(item);
+        applySurfaceType(item);
       } else {
         item.remove();
       }
@@ -1115,11 +1739,28 @@ function resetTiles() {
   if (DOM.groutJoint)  DOM.groutJoint.value  = '3';
   if (DOM.wastePct)    DOM.wastePct.value    = '0';
   if (DOM.sqmPerBox)   DOM.sqmPerBox.value   = '1.44';
+  if (DOM.gridOrigin)  DOM.gridOrigin.value  = 'corner';
+  if (DOM.minCutPct)   DOM.minCutPct.value   = '30';
+  if (DOM.adhesiveNotch)   DOM.adhesiveNotch.value   = 'auto';
+  if (DOM.adhesiveBagKg)   DOM.adhesiveBagKg.value   = '25';
+  if (DOM.groutDepthMm)    DOM.groutDepthMm.value    = '8';
+  if (DOM.groutBagKg)      DOM.groutBagKg.value      = '5';
+  if (DOM.spacersPerTile)  DOM.spacersPerTile.value  = '4';
+  if (DOM.spacerPack)      DOM.spacerPack.value      = '200';
+  if (DOM.externalCorners) DOM.externalCorners.value = '0';
+  if (DOM.trimLengthM)     DOM.trimLengthM.value     = '2.5';
+  if (DOM.trimTopEdge)     DOM.trimTopEdge.checked   = false;
+  if (DOM.trimOpenings)    DOM.trimOpenings.checked  = false;
+  if (DOM.boxesPerPallet)  DOM.boxesPerPallet.value  = '';
+  if (DOM.spareBoxesWall)  DOM.spareBoxesWall.value  = '0';
+  if (DOM.spareBoxesFloor) DOM.spareBoxesFloor.value = '0';
   if (DOM.wasteBadge)  DOM.wasteBadge.textContent = '0%';
   updateRangeBackground(DOM.wastePct);
-  clearActivePattern();
   state.openings = [];
   state.nextId   = 1;
+  state.tilePrices = {};
+  state.tileBoxes  = {};
+  if (DOM.tilePriceList) DOM.tilePriceList.removeAttribute('data-sizes');
   renderOpenings();
 
   // Clear breakdown table
@@ -1127,11 +1768,14 @@ function resetTiles() {
   if (bt) bt.style.display = 'none';
 
   [DOM.rTilesCount, DOM.rBoxes, DOM.rPurchaseSqm, DOM.rNetSqm, DOM.rWasteTiles,
-   DOM.sGross, DOM.sDeduction, DOM.sNet, DOM.sTileArea, DOM.sBaseCount, DOM.sFinalCount, DOM.sLayout]
+   DOM.sGross, DOM.sDeduction, DOM.sNet, DOM.sTileArea, DOM.sBaseCount, DOM.sFinalCount, DOM.sLayout,
+   DOM.sCutSummary, DOM.sTilesSaved, DOM.sBySize, DOM.sThinnestCut, DOM.rTotalPrice,
+   DOM.sLeftoverTiles, DOM.sPallet,
+   DOM.cAdhesive, DOM.cGrout, DOM.cSpacers, DOM.cTrims]
     .forEach(function(el) { if (el) el.textContent = '—'; });
 
   state.lastResult = null;
-  updateLivePreview();
+  applyLayoutPattern('standard');
 }
 
 function copyTileResult() {
@@ -1139,24 +1783,48 @@ function copyTileResult() {
   const r = state.lastResult;
   const groutMm     = getNum(DOM.groutJoint);
   const wastePercent= getNum(DOM.wastePct);
-  const sqmPerBox   = getNum(DOM.sqmPerBox) || 1.44;
-  const patternLine = state.activePattern
-    ? TileLogic.getLayoutPattern(state.activePattern).labelKa
-    : 'მომხმარებელი';
+  const boxLines    = r.bySize.map(function(sz) {
+    return '    ' + sz.lCm + '×' + sz.wCm + ' სმ : ' + sz.boxCount + ' კოლ. × ' + sz.tilesPerBox + ' ც. (' +
+      sz.boxSqm.toFixed(2) + ' მ²/კოლ.)' + (sz.spareBoxes > 0 ? ', მათ შორის ' + sz.spareBoxes + ' სათადარიგო' : '') +
+      (sz.sqmMismatch ? ' ⚠ მ²/კოლოფი არ ემთხვევა' : '');
+  });
+  const patternLine = TileLogic.getLayoutPattern(state.activePattern).labelKa +
+    ' (ჭრის ნარჩენი ' + r.cutWastePercent.toFixed(1) + '%)';
+  const consumables = formatConsumables(r.consumables);
+  const priceLines  = r.bySize.map(function(sz) {
+    const price = state.tilePrices[TileLogic.sizeKey(sz.lCm, sz.wCm)];
+    if (!price || !(price.amount > 0)) return '  ' + sz.lCm + '×' + sz.wCm + ' სმ : ფასი არ არის';
+    return '  ' + sz.lCm + '×' + sz.wCm + ' სმ : ' + price.amount.toFixed(2) + ' ₾/' +
+      (price.unit === 'box' ? 'კოლ. × ' + sz.boxCount : 'მ² × ' + sz.purchaseArea.toFixed(2)) +
+      ' = ' + formatPrice(sz.cost);
+  });
+  const originLine  = DOM.gridOrigin
+    ? DOM.gridOrigin.options[DOM.gridOrigin.selectedIndex].text +
+      (getOriginMode() === 'optimal' ? ' (მინ. ჭრილი ' + getNum(DOM.minCutPct) + '%)' : '')
+    : 'კუთხიდან';
 
   // Build per-wall lines
   const walls = getCurrentWalls().filter(function(w) { return w.w > 0 && w.h > 0; });
-  const wallLines = walls.map(function(w, i) {
-    return '  ' + (i + 1) + '. ' + w.name +
-           '  (' + w.w.toFixed(2) + '×' + w.h.toFixed(2) + 'მ)' +
-           '  ფილა: ' + w.tileLCm + '×' + w.tileWCm + 'სმ';
+  const wallLines = [];
+  walls.forEach(function(w, i) {
+    const size = w.outline
+      ? w.area.toFixed(2) + 'მ², ' + w.outline.length + ' კუთხე'
+      : w.w.toFixed(2) + '×' + w.h.toFixed(2) + 'მ';
+    wallLines.push('  ' + (i + 1) + '. ' + w.name + '  (' + size + ')' +
+           '  ფილა: ' + w.tileLCm + '×' + w.tileWCm + 'სმ');
+    if (!isQuickMode && r.walls && r.walls[i]) {
+      wallLines.push('     ჭრა: ' + formatCutPieces(r.walls[i]));
+      r.walls[i].zones.forEach(function(z) { wallLines.push('     ზონა ' + formatZone(z)); });
+      if (r.walls[i].cost != null) wallLines.push('     ღირებულება: ' + formatPrice(r.walls[i].cost));
+      if (getOriginMode() !== 'corner') wallLines.push('     ' + formatOrigin(r.walls[i]));
+    }
   });
 
   const txt = [
     '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
     '  ჭკვიანი ფილების კალკულატორი',
     '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
-    '', '📐 კედლები',
+    '', '📐 ზედაპირები',
     ...wallLines,
     '', '📐 ფართობი',
     '  ბრუტო ფართობი     : ' + r.grossArea.toFixed(2)      + ' მ²',
@@ -1166,12 +1834,27 @@ function copyTileResult() {
     '  ზომა               : ' + (getNum(DOM.tileLength) || 60) + ' × ' + (getNum(DOM.tileWidth) || 30) + ' სმ',
     '  ნაკეთობა           : ' + groutMm      + ' მმ',
     '  დაგების სტილი      : ' + patternLine,
-    '  ნარჩენი ფაქტორი    : ' + wastePercent + '%',
+    '  დამატებითი მარაგი  : ' + wastePercent + '%',
+    '  ბადის დასაწყისი    : ' + originLine,
     '', '📦 შედეგი',
     '  ფილები (ნარჩენის გარეშე) : ' + r.baseCount  + ' ც.',
     '  ფილები (ნარჩენით)        : ' + r.finalCount + ' ც.',
+    '  მთელი / ჭრილი            : ' + r.fullTiles + ' / ' + r.cutCount + ' ც.',
+    '  ნარჩენიდან დაზოგილი      : ' + r.tilesSaved + ' ც.',
+    '  უთხელესი ჭრილი           : ' + formatThinnestCut(r.thinnestCut),
+    ...(r.bySize.length > 1 ? ['  ზომების მიხედვით          : ' + formatBySize(r.bySize)] : []),
     '  შესყიდვის ფართობი        : ' + r.purchaseArea.toFixed(2) + ' მ²',
-    '  საჭირო კოლოფები          : ' + r.boxCount + ' ც. (' + sqmPerBox + ' მ²/კოლ.)',
+    '  საჭირო კოლოფები          : ' + r.boxCount + ' ც.',
+    ...boxLines,
+    '  ზედმეტი ფილა კოლოფებში   : ' + r.leftoverTiles + ' ც.',
+    ...(getNum(DOM.boxesPerPallet) > 0 ? ['  პალეტი                   : ' + formatPallet(r.bySize)] : []),
+    '', '🧰 სამონტაჟო მასალები',
+    '  წებო          : ' + consumables.adhesive,
+    '  ფუგა          : ' + consumables.grout,
+    '  სეპარატორები  : ' + consumables.spacers,
+    '  პროფილი       : ' + consumables.trims,
+    ...(r.totalCost != null ? ['', '💰 ღირებულება', ...priceLines,
+      '  ჯამური ღირებულება        : ' + formatPrice(r.totalCost)] : []),
     '', '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'
   ].join('\n');
 
@@ -1187,21 +1870,219 @@ function copyTileResult() {
 }
 
 /* ============================================================
-   MODULE: Wallpaper — Canvas Preview
+   MODULE: Wallpaper — Walls & Openings
    ============================================================ */
 
-function updateWallpaperPreview() {
-    const canvas = DOM.wpCanvas;
-    if (!canvas) return;
+const WP_OPENING_DEFAULTS = {
+  door:   { width: 0.90, height: 2.10, sill: 0 },
+  window: { width: 1.20, height: 1.40, sill: 0.90 }
+};
 
-    const dpr = window.devicePixelRatio || 1;
-    const W   = canvas.clientWidth || 360;
-    const H   = Math.round(W * 0.55);
-    canvas.width        = W * dpr;
-    canvas.height       = H * dpr;
-    canvas.style.height = H + 'px';
+/**
+ * Walls to paper: the walls list, or in perimeter mode the room's four walls
+ * (length, width, length, width).  An empty wall height means the room height;
+ * a sloped or gable wall carries its `outline` and its bounding size.
+ */
+function getWallpaperWalls() {
+  const roomH = getNum(DOM.wpWallHeight);
+  const perimeterEl = document.getElementById('wpPerimeterMode');
+  if (perimeterEl && perimeterEl.checked) {
+    const roomL = parseFloat((document.getElementById('wpRoomLength') || {}).value) || 0;
+    const roomW = parseFloat((document.getElementById('wpRoomWidth')  || {}).value) || 0;
+    return [roomL, roomW, roomL, roomW].map(function(w, i) {
+      return { name: 'კედელი ' + (i + 1), widthM: w, heightM: roomH };
+    });
+  }
+  return readWallRows(DOM.wpWallsList, roomH);
+}
 
-    const ctx = canvas.getContext('2d');
+/**
+ * Wall rows (.wp-wall-item — wallpaper and paint share the markup) as
+ * [{name, widthM, heightM, outline}].  An empty height means `roomH`.
+ */
+function readWallRows(listEl, roomH) {
+  if (!listEl) return [];
+  return Array.prototype.map.call(listEl.querySelectorAll('.wp-wall-item'), function(el, i) {
+    const nameEl  = el.querySelector('.wp-wall-name');
+    const widthM  = getNum(el.querySelector('.wp-wall-width'));
+    const heightM = getNum(el.querySelector('.wp-wall-height')) || roomH;
+    const outline = readWallOutline(el, widthM, heightM);
+    const b = outline ? GeometryLogic.bounds(outline) : null;
+    return {
+      name:    (nameEl && nameEl.value.trim()) ? nameEl.value.trim() : 'კედელი ' + (i + 1),
+      widthM:  b ? b.maxX : widthM,
+      heightM: b ? b.maxY : heightM,
+      outline: outline
+    };
+  });
+}
+
+/** The ceiling to paper (room length × width and strip direction), or null when it is off. */
+function getWallpaperCeiling() {
+  if (!DOM.wpCeilingMode || !DOM.wpCeilingMode.checked) return null;
+  return {
+    lengthM:   parseFloat((document.getElementById('wpRoomLength') || {}).value) || 0,
+    widthM:    parseFloat((document.getElementById('wpRoomWidth')  || {}).value) || 0,
+    direction: DOM.wpCeilingDirection ? DOM.wpCeilingDirection.value : 'short'
+  };
+}
+
+/** Room length / width are needed by perimeter mode and by the ceiling. */
+function syncWallpaperRoomInputs() {
+  const perimeterEl = document.getElementById('wpPerimeterMode');
+  const perimeter = perimeterEl ? perimeterEl.checked : false;
+  const ceiling   = DOM.wpCeilingMode ? DOM.wpCeilingMode.checked : false;
+  const single = document.getElementById('wpSingleWallInputs');
+  const room   = document.getElementById('wpRoomInputs');
+  if (single) single.style.display = perimeter ? 'none' : 'block';
+  if (room)   room.style.display   = (perimeter || ceiling) ? 'block' : 'none';
+  if (DOM.wpCeilingInputs) DOM.wpCeilingInputs.style.display = ceiling ? 'block' : 'none';
+}
+
+/** state.wpOpenings in the engine's frame: y measured down from the top of the wall. */
+function mapWallpaperOpenings(walls) {
+  return mapOpeningsToFrame(state.wpOpenings, walls);
+}
+
+/** Openings kept as {x, sill} (sill up from the floor) → {x, y} with y down from the top. */
+function mapOpeningsToFrame(openings, walls) {
+  return openings.reduce(function(list, o) {
+    const wall = walls[o.wallIndex];
+    if (!wall) return list;
+    list.push({
+      type: o.type, width: o.width, height: o.height, x: o.x,
+      y: wall.heightM - (o.type === 'door' ? 0 : o.sill) - o.height,
+      wallIndex: o.wallIndex
+    });
+    return list;
+  }, []);
+}
+
+function buildWpWallHTML(wallNum) {
+  return `
+      <div class="wp-wall-item">
+        <input type="text" class="form-input wp-wall-name" placeholder="კედელი ${wallNum}" maxlength="32" title="კედლის სახელი" />
+        <div class="input-wrap">
+          <input class="form-input wp-wall-width" type="number" placeholder="0.00" min="0.1" step="0.01" title="კედლის სიგანე" />
+          <span class="input-unit">მ</span>
+        </div>
+        <div class="input-wrap">
+          <input class="form-input wp-wall-height" type="number" placeholder="—" min="0.1" step="0.01" title="სიმაღლე (ცარიელი = ოთახის)" />
+          <span class="input-unit">მ</span>
+        </div>
+        <button type="button" class="btn-remove wp-remove-wall" title="კედლის წაშლა">✕</button>
+        ${buildWallShapeHTML()}
+      </div>`;
+}
+
+function addWallpaperWall() {
+  if (!DOM.wpWallsList) return;
+  const num = DOM.wpWallsList.querySelectorAll('.wp-wall-item').length + 1;
+  DOM.wpWallsList.insertAdjacentHTML('beforeend', buildWpWallHTML(num));
+  renderWallpaperOpenings();
+  runWallpaperCalculation();
+}
+
+/** Removes a wallpaper wall and its openings; later walls' openings shift down. */
+function removeWallpaperWall(wallEl) {
+  const items = DOM.wpWallsList.querySelectorAll('.wp-wall-item');
+  if (items.length <= 1) return;
+  const idx = Array.prototype.indexOf.call(items, wallEl);
+  wallEl.remove();
+  state.wpOpenings = state.wpOpenings.filter(function(o) { return o.wallIndex !== idx; });
+  state.wpOpenings.forEach(function(o) { if (o.wallIndex > idx) o.wallIndex--; });
+  DOM.wpWallsList.querySelectorAll('.wp-wall-name').forEach(function(el, i) { el.placeholder = 'კედელი ' + (i + 1); });
+  renderWallpaperOpenings();
+  runWallpaperCalculation();
+}
+
+function addWallpaperOpening(type) {
+  const d     = WP_OPENING_DEFAULTS[type] || WP_OPENING_DEFAULTS.door;
+  const walls = getWallpaperWalls();
+  const wall  = walls[0] || { widthM: 4 };
+  state.wpOpenings.push({
+    id: state.wpNextId++, type: type, width: d.width, height: d.height, sill: d.sill,
+    x: Math.max(0, (wall.widthM - d.width) / 2), wallIndex: 0
+  });
+  renderWallpaperOpenings();
+  runWallpaperCalculation();
+}
+
+/**
+ * Opening rows from #wpOpeningTemplate; the wall list follows
+ * getWallpaperWalls().  Openings on a wall beyond the count are only hidden —
+ * they stay in state.wpOpenings and come back with the wall.
+ */
+function renderWallpaperOpenings() {
+  const walls = getWallpaperWalls();
+  renderOpeningRows(DOM.wpOpeningsList, state.wpOpenings.filter(function(o) { return o.wallIndex < walls.length; }), walls);
+}
+
+/** Rebuilds a door / window list (wallpaper or paint) from #wpOpeningTemplate. */
+function renderOpeningRows(listEl, openings, walls) {
+  if (!listEl || !DOM.wpOpeningTemplate) return;
+  listEl.innerHTML = '';
+  openings.forEach(function(o) {
+    const tpl = DOM.wpOpeningTemplate.content.cloneNode(true);
+    const row = tpl.querySelector('.opening-row');
+    row.setAttribute('data-id', o.id);
+    row.querySelector('.opening-type-select').value = o.type;
+    row.querySelector('.opening-wall-select').innerHTML = walls.map(function(w, i) {
+      return `<option value="${i}"${o.wallIndex === i ? ' selected' : ''}>${escapeHTML(w.name)}</option>`;
+    }).join('');
+    row.querySelector('.opening-width').value  = o.width;
+    row.querySelector('.opening-height').value = o.height;
+    row.querySelector('.opening-x').value      = o.x;
+    const sillEl = row.querySelector('.opening-sill');
+    sillEl.value    = o.type === 'door' ? 0 : o.sill;
+    sillEl.disabled = o.type === 'door';
+    listEl.appendChild(tpl);
+  });
+}
+
+/** Reads one edited opening row back into state.wpOpenings. */
+function updateWallpaperOpening(rowEl) {
+  if (readOpeningRow(rowEl, state.wpOpenings)) renderWallpaperOpenings();
+  runWallpaperCalculation();
+}
+
+/**
+ * Copies an opening row's fields into its entry in `openings`.  A new type
+ * resets the size to that type's defaults; returns true then, so the caller
+ * re-renders the list.
+ */
+function readOpeningRow(rowEl, openings) {
+  const o = openings.find(function(op) { return op.id === parseInt(rowEl.getAttribute('data-id'), 10); });
+  if (!o) return false;
+  const type = rowEl.querySelector('.opening-type-select').value;
+  if (type !== o.type) {
+    Object.assign(o, { type: type }, WP_OPENING_DEFAULTS[type]);
+    return true;
+  }
+  o.wallIndex = parseInt(rowEl.querySelector('.opening-wall-select').value, 10) || 0;
+  o.width  = getNum(rowEl.querySelector('.opening-width'));
+  o.height = getNum(rowEl.querySelector('.opening-height'));
+  o.x      = getNum(rowEl.querySelector('.opening-x'));
+  o.sill   = getNum(rowEl.querySelector('.opening-sill'));
+  return false;
+}
+
+/* ============================================================
+   MODULE: Wallpaper — Canvas Preview
+   ============================================================ */
+
+function updateWallpaperPreview() {
+    const canvas = DOM.wpCanvas;
+    if (!canvas) return;
+
+    const dpr = window.devicePixelRatio || 1;
+    const W   = canvas.clientWidth || 360;
+    const H   = Math.round(W * 0.55);
+    canvas.width        = W * dpr;
+    canvas.height       = H * dpr;
+    canvas.style.height = H + 'px';
+
+    const ctx = canvas.getContext('2d');
     ctx.scale(dpr, dpr);
 
     const c = {
@@ -1212,272 +2093,2139 @@ function updateWallpaperPreview() {
     ctx.fillStyle = c.bg;
     ctx.fillRect(0, 0, W, H);
 
-    // 1. მონაცემების აღება
-    const w       = getNum(DOM.wpWallWidth)     || 0;
-    const l       = getNum(DOM.wpWallLength)    || 0;
-    const wallH   = getNum(DOM.wpWallHeight)    || 2.7;
-    const rollW   = getNum(DOM.wpRollWidth)     || 0.53;
-    const rollL   = getNum(DOM.wpRollLength)    || 10.05;
-    const rapport = getNum(DOM.wpPatternRepeat) || 0;
-
-    // 2. პერიმეტრის ლოგიკა (მთავარი ცვლილება)
-    const isPerimeter = document.getElementById('wpPerimeterMode')?.checked;
-    const wallW = isPerimeter ? (w + l) * 2 : w;
-
-    if (wallW <= 0) return;
-
-    // 3. ზოლების რაოდენობა (უნდა დაითვალოს wallW-ს შემდეგ!)
-    const totalStrips = Math.ceil(wallW / (rollW || 0.53));
-
-    // 4. მასშტაბირება (Scale)
+    // 1. მონაცემები: კედლები და მათი ზოლები ძრავიდან
+    const params  = gatherWallpaperParams();
+    const rapport = params.patternRepeatCm;
+    const result  = WallpaperLogic.calcWallpaperAll(params);
+    // ჭერი ბოლო პანელად: სიგანე — ზოლების გასწვრივ, სიმაღლე — ზოლის სიგრძე
+    const panels  = result.ceiling ? result.walls.concat([{
+        name: result.ceiling.name, widthM: result.ceiling.spanM,
+        heightM: result.ceiling.stripLengthM, strips: result.ceiling.strips,
+        openings: [], seams: result.ceiling.seams
+    }]) : result.walls;
+    const walls   = panels.filter(function(w) { return w.widthM > 0 && w.heightM > 0; });
+    if (walls.length === 0) return;
+
+    // 2. კედლები გვერდიგვერდ, მცირე შუალედით
+    const GAP    = 0.3;
+    const totalW = walls.reduce(function(sum, w) { return sum + w.widthM; }, 0) + GAP * (walls.length - 1);
+    const maxH   = walls.reduce(function(m, w) { return Math.max(m, w.heightM); }, 0);
+
+    // 3. მასშტაბირება (Scale)
     const PAD   = 42;
-    const scale = Math.min((W - PAD * 2) / wallW, (H - PAD * 2) / wallH);
-    const drawW = wallW * scale;
-    const drawH = wallH * scale;
+    const scale = Math.min((W - PAD * 2) / totalW, (H - PAD * 2) / maxH);
+    const drawW = totalW * scale;
+    const drawH = maxH * scale;
     const ox    = (W - drawW) / 2;
     const oy    = (H - drawH) / 2;
 
-    // 5. თითოეული ზოლის ვიზუალური სიგანე პიქსელებში
-    const stripPx = drawW / totalStrips;
-
-    const effStripH     = WallpaperLogic.calcEffectiveStripHeight(wallH, rapport);
-    const stripsPerRoll = WallpaperLogic.calcStripsPerRoll(rollL, effStripH);
+    let stripNo = 0;
+    let wx = ox;
+
+    walls.forEach(function(wall) {
+        const ww  = wall.widthM * scale;
+        const wh  = wall.heightM * scale;
+        const wy  = oy + drawH - wh;   // კედლები იატაკზე დგას
+
+        // კედლის კონტური: მართკუთხედი ან ფრონტონის / მანსარდის პოლიგონი
+        const traceWall = function() {
+            ctx.beginPath();
+            if (!wall.outline) { ctx.rect(wx, wy, ww, wh); return; }
+            wall.outline.forEach(function(p, k) {
+                if (k === 0) ctx.moveTo(wx + p.x * scale, wy + p.y * scale);
+                else ctx.lineTo(wx + p.x * scale, wy + p.y * scale);
+            });
+            ctx.closePath();
+        };
+
+        ctx.save();
+        traceWall();
+        ctx.clip();
+
+        // 4. ზოლები: სრული სიმაღლის ან მოკლე ნაჭრები ღიობების ზემოთ/ქვემოთ
+        wall.strips.forEach(function(strip) {
+            const x  = wx + strip.x * scale;
+            const sw = strip.width * scale;
+            stripNo++;
+
+            strip.pieces.forEach(function(piece) {
+                // ფერი ჭრის გეგმიდან: რომელი რულონიდან იჭრება ეს ნაჭერი
+                ctx.fillStyle = (piece.roll || 1) % 2 === 1 ? c.stripA : c.stripB;
+                ctx.fillRect(x, wy + piece.y * scale, sw, piece.lengthM * scale);
+
+                // რაპორტის მარკერები
+                if (rapport > 0) {
+                    const rPx = (rapport / 100) * scale;
+                    ctx.strokeStyle = 'rgba(244,63,94,0.12)';
+                    ctx.lineWidth   = 0.8;
+                    ctx.setLineDash([3, 5]);
+                    // half-drop: ყოველი მეორე ზოლის ნახატი ნახევარი რაპორტით დაბლაა
+                    const drop = (result.matchType === 'half-drop' && stripNo % 2 === 0) ? rPx / 2 : 0;
+                    // მარკერები კედლის ზედა კიდიდან ითვლება, რომ მოკლე / დახრილი ზოლებზეც ემთხვეოდეს
+                    const first = drop + Math.ceil((piece.y * scale - drop) / rPx - 1e-9) * rPx;
+                    for (let y = wy + first; y < wy + (piece.y + piece.lengthM) * scale; y += rPx) {
+                        ctx.beginPath(); ctx.moveTo(x + 2, y); ctx.lineTo(x + sw - 2, y); ctx.stroke();
+                    }
+                    ctx.setLineDash([]);
+                }
+            });
 
-    ctx.save();
-    ctx.beginPath();
-    ctx.rect(ox, oy, drawW, drawH);
-    ctx.clip();
-
-    // ზოლების ხატვა
-    for (let i = 0; i < totalStrips; i++) {
-        const x = ox + i * stripPx;
-        const rollIdx = stripsPerRoll > 0 ? Math.floor(i / stripsPerRoll) : 0;
-        
-        ctx.fillStyle = rollIdx % 2 === 0 ? c.stripA : c.stripB;
-        ctx.fillRect(x, oy, stripPx, drawH);
-        
-        ctx.fillStyle = c.stripSep;
-        ctx.fillRect(x, oy, 1.2, drawH); // გამყოფი ხაზი
-
-        // რაპორტის მარკერები
-        if (rapport > 0) {
-            const rPx = (rapport / 100) * scale;
-            ctx.strokeStyle = 'rgba(244,63,94,0.12)';
-            ctx.lineWidth   = 0.8;
-            ctx.setLineDash([3, 5]);
-            for (let y = oy; y < oy + drawH; y += rPx) {
-                ctx.beginPath(); ctx.moveTo(x + 2, y); ctx.lineTo(x + stripPx - 2, y); ctx.stroke();
+            ctx.fillStyle = c.stripSep;
+            ctx.fillRect(x, wy, 1.2, wh); // გამყოფი ხაზი
+
+            // ნომრები ზოლებზე
+            if (sw > 14) {
+                ctx.fillStyle = c.text;
+                ctx.font      = Math.min(9, sw * 0.4) + "px 'JetBrains Mono', monospace";
+                ctx.textAlign = 'center';
+                const p0 = strip.pieces[0];
+                ctx.fillText(stripNo, x + sw / 2, wy + (p0.y + p0.lengthM / 2) * scale + 3);
+                // half-drop: ნახატის წანაცვლება ზოლის თავზე
+                if (strip.dropM > 0) {
+                    ctx.fillStyle = 'rgba(244,63,94,0.7)';
+                    ctx.fillText('↓' + Math.round(strip.dropM * 100), x + sw / 2, wy + p0.y * scale + 11);
+                }
             }
-            ctx.setLineDash([]);
-        }
+        });
 
-        // ნომრები ზოლებზე
-        if (stripPx > 14) {
-            ctx.fillStyle = c.text;
-            ctx.font      = Math.min(9, stripPx * 0.4) + "px 'JetBrains Mono', monospace";
+        // კარები და ფანჯრები — ზოლის ნაწილი, რომელსაც ადგილზე ჭრიან
+        (wall.openings || []).forEach(function(op) {
+            ctx.fillStyle   = c.bg;
+            ctx.strokeStyle = c.text;
+            ctx.lineWidth   = 1;
+            ctx.fillRect(wx + op.x * scale, wy + op.y * scale, op.width * scale, op.height * scale);
+            ctx.strokeRect(wx + op.x * scale, wy + op.y * scale, op.width * scale, op.height * scale);
+        });
+        ctx.restore();
+
+        // ნაკერები: ჩვეულებრივი — ქვემოთ პატარა ნიშნული; ღიობის კიდესთან ან კუთხესთან ახლოს — ქარვისფერი ხაზი
+        (wall.seams || []).forEach(function(seam) {
+            const sx = wx + seam.x * scale;
+            if (seam.warnings.length === 0) {
+                ctx.strokeStyle = c.accent;
+                ctx.lineWidth   = 1;
+                ctx.beginPath(); ctx.moveTo(sx, oy + drawH); ctx.lineTo(sx, oy + drawH + 5); ctx.stroke();
+                return;
+            }
+            ctx.strokeStyle = c.amber;
+            ctx.lineWidth   = 2;
+            ctx.beginPath(); ctx.moveTo(sx, wy); ctx.lineTo(sx, oy + drawH + 5); ctx.stroke();
+            ctx.fillStyle = c.amber;
+            ctx.font      = "bold 10px 'JetBrains Mono', monospace";
             ctx.textAlign = 'center';
-            ctx.fillText(i + 1, x + stripPx / 2, oy + drawH / 2);
-        }
-    }
-    ctx.restore();
+            ctx.fillText('!', sx, oy + drawH + 27);
+        });
 
-    // ჩარჩო
-    ctx.strokeStyle = c.accent;
-    ctx.lineWidth   = 1.5;
-    ctx.strokeRect(ox, oy, drawW, drawH);
+        // ჩარჩო და ზომები
+        ctx.strokeStyle = c.accent;
+        ctx.lineWidth   = 1.5;
+        traceWall();
+        ctx.stroke();
 
-    // ზომების წარწერები
-    ctx.fillStyle = c.text;
-    ctx.font      = "10px 'JetBrains Mono', monospace";
-    ctx.textAlign = 'center';
-    ctx.fillText(wallW.toFixed(2) + ' მ (' + totalStrips + ' ზოლი)', W / 2, oy + drawH + 16);
+        ctx.fillStyle = c.text;
+        ctx.font      = "10px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'center';
+        ctx.fillText(wall.widthM.toFixed(2) + ' მ', wx + ww / 2, oy + drawH + 16);
+        ctx.fillText(wall.name, wx + ww / 2, wy - 6);
+
+        wx += ww + GAP * scale;
+    });
 
     ctx.save();
     ctx.translate(ox - 18, oy + drawH / 2);
     ctx.rotate(-Math.PI / 2);
-    ctx.fillText(wallH.toFixed(2) + ' მ', 0, 0);
+    ctx.fillStyle = c.text;
+    ctx.fillText(maxH.toFixed(2) + ' მ', 0, 0);
     ctx.restore();
 
-    // რულონების მარკერები (R1, R2...)
-    if (stripsPerRoll > 0) {
-        let rollNum = 1;
-        for (let i = stripsPerRoll; i < totalStrips; i += stripsPerRoll) {
-            const x = ox + i * stripPx;
-            ctx.strokeStyle = c.amber;
-            ctx.setLineDash([5, 4]);
-            ctx.beginPath(); ctx.moveTo(x, oy - 4); ctx.lineTo(x, oy + drawH); ctx.stroke();
-            ctx.setLineDash([]);
-            ctx.fillStyle = c.amber;
-            ctx.fillText('R' + (++rollNum), x, oy - 7);
-        }
-    }
-
     // ფართობის ბლოკი
-    ctx.fillStyle = 'rgba(244,63,94,0.12)';
-    const areaValue = (wallW * wallH).toFixed(2);
-    const bTxt = areaValue + ' მ²';
+    ctx.font = "10px 'JetBrains Mono', monospace";
+    const bTxt = result.totalArea.toFixed(2) + ' მ² · ' + result.totalStrips + ' ზოლი';
     const bW   = ctx.measureText(bTxt).width + 14;
-    ctx.fillRect(ox + drawW - bW, oy + 5, bW, 17);
+    ctx.fillStyle = 'rgba(244,63,94,0.12)';
+    ctx.fillRect(W - PAD - bW, 6, bW, 17);
     ctx.fillStyle  = c.accent;
     ctx.textAlign  = 'right';
-    ctx.fillText(bTxt, ox + drawW - 5, oy + 17);
+    ctx.fillText(bTxt, W - PAD - 5, 18);
 
+    renderSeamWarnings(result.seamWarnings);
     updateWallpaperAreaDisplay();
 }
 
-function updateWallpaperAreaDisplay() {
-  const perimeterEl     = document.getElementById('wpPerimeterMode');
-  const isPerimeterMode = perimeterEl ? perimeterEl.checked : false;
+/** Seams too close to an opening edge or a corner, listed under the preview. */
+function renderSeamWarnings(warnings) {
+  if (!DOM.wpSeamWarnings) return;
+  if (!warnings || warnings.length === 0) { DOM.wpSeamWarnings.style.display = 'none'; return; }
+  DOM.wpSeamWarnings.style.display = 'block';
+  DOM.wpSeamWarnings.innerHTML = warnings.map(function(wn) {
+    return '<div class="wp-seam-warning">⚠️ ' + escapeHTML(formatSeamWarning(wn)) + '</div>';
+  }).join('');
+}
+
+/** "კედელი 1: ნაკერი 3.18 მ-ზე — ფანჯრის კიდიდან 2 სმ" */
+function formatSeamWarning(wn) {
+  const what = wn.kind === 'corner' ? 'კუთხიდან' : (wn.type === 'door' ? 'კარის' : 'ფანჯრის') + ' კიდიდან';
+  return wn.surfaceName + ': ნაკერი ' + wn.x.toFixed(2) + ' მ-ზე — ' + what + ' ' + Math.round(wn.distanceM * 100) + ' სმ';
+}
+
+function updateWallpaperAreaDisplay() {
+  const walls    = getWallpaperWalls();
+  const openings = mapWallpaperOpenings(walls);
+  const area = walls.reduce(function(sum, w, i) {
+    const gross = WallpaperLogic.calcWallArea(w.widthM, w.heightM, w.outline);
+    const holes = openings.filter(function(op) { return op.wallIndex === i; }).reduce(function(a, op) {
+      return a + WallpaperLogic.calcOpeningArea(w, op);
+    }, 0);
+    return sum + Math.max(0, gross - holes);
+  }, 0);
+
+  if (DOM.wpWallAreaDisplay) {
+    DOM.wpWallAreaDisplay.textContent = area.toFixed(2) + ' მ²';
+  }
+  const cls = document.querySelector('.wallpaper-area-info');
+  if (cls) cls.textContent = 'ჯამური ფართობი: ' + area.toFixed(2) + ' მ²';
+}
+
+/* ============================================================
+   MODULE: Wallpaper — Calculation & Results
+   ============================================================ */
+
+function gatherWallpaperParams() {
+  const walls = getWallpaperWalls();
+  return {
+    walls:           walls,
+    openings:        mapWallpaperOpenings(walls),
+    rollWidthM:      getNum(DOM.wpRollWidth),
+    rollLengthM:     getNum(DOM.wpRollLength),
+    trimTopM:        getNum(DOM.wpTrimTop) / 100,
+    trimBottomM:     getNum(DOM.wpTrimBottom) / 100,
+    patternRepeatCm: getNum(DOM.wpPatternRepeat),
+    matchType:       DOM.wpMatchType ? DOM.wpMatchType.value : 'straight',
+    ceiling:         getWallpaperCeiling(),
+    rollPrice:       getNum(DOM.wpRollPrice),
+    paste: {
+      type:       DOM.wpPasteType ? DOM.wpPasteType.value : 'non-woven',
+      coverageM2: getNum(DOM.wpPasteCoverage),
+      price:      getNum(DOM.wpPastePrice)
+    },
+    lining: (DOM.wpLiningMode && DOM.wpLiningMode.checked) ? {
+      rollWidthM:  getNum(DOM.wpLiningWidth),
+      rollLengthM: getNum(DOM.wpLiningLength),
+      price:       getNum(DOM.wpLiningPrice)
+    } : null
+  };
+}
+
+function renderWallpaperResults(result, params) {
+  const perimeterEl     = document.getElementById('wpPerimeterMode');
+  const isPerimeterMode = perimeterEl ? perimeterEl.checked : false;
+
+  if (DOM.wpRRolls)         DOM.wpRRolls.textContent         = result.totalRolls;
+  if (DOM.wpRStrips)        DOM.wpRStrips.textContent        = result.totalStrips;
+  if (DOM.wpRStripsPerRoll) DOM.wpRStripsPerRoll.textContent = result.stripsPerRoll;
+  if (DOM.wpRWallArea)      DOM.wpRWallArea.textContent      = result.totalArea.toFixed(2) + ' მ²';
+  if (DOM.wpRPurchased)     DOM.wpRPurchased.textContent     = result.totalPurchasedArea.toFixed(2) + ' მ²';
+
+  const dimsLabel = isPerimeterMode ? 'პერიმეტრი' : result.walls.length + ' კედელი';
+  const totalWidth = result.walls.reduce(function(sum, w) { return sum + w.widthM; }, 0);
+  if (DOM.wpSDims)     DOM.wpSDims.innerHTML       = '<small>' + dimsLabel + ':</small> ' + totalWidth.toFixed(2) + 'მ × ' +
+    formatWallpaperHeights(result.walls) + 'მ';
+  if (DOM.wpSRollDims) DOM.wpSRollDims.textContent = params.rollWidthM + ' × ' + params.rollLengthM + ' მ';
+  if (DOM.wpSTrim)     DOM.wpSTrim.textContent     = formatWallpaperTrim(result);
+  if (DOM.wpSPattern)  DOM.wpSPattern.textContent  = formatWallpaperMatch(params.patternRepeatCm, result.matchType);
+  if (DOM.wpSMatchWaste) DOM.wpSMatchWaste.textContent = result.matchWasteM.toFixed(2) + ' მ';
+  if (DOM.wpSOffcut)   DOM.wpSOffcut.textContent   = result.offcutM.toFixed(2) + ' მ';
+  if (DOM.wpSStripH)   DOM.wpSStripH.textContent   = result.effectiveStripHeight.toFixed(2) + ' მ';
+  if (DOM.wpSStrips)   DOM.wpSStrips.textContent   = formatWallpaperStrips(result);
+  if (DOM.wpSCeiling)  DOM.wpSCeiling.textContent  = result.ceiling ? formatWallpaperCeiling(result.ceiling) : '—';
+  if (DOM.wpSPerRoll)  DOM.wpSPerRoll.textContent  = result.stripsPerRoll + ' ც.';
+  if (DOM.wpSRolls)    DOM.wpSRolls.textContent    = result.totalRolls + ' ც.';
+  if (DOM.wpSPaste)    DOM.wpSPaste.textContent    = result.paste ? formatWallpaperPaste(result.paste) : '—';
+  if (DOM.wpSLining)   DOM.wpSLining.textContent   = result.lining ? formatWallpaperLining(result.lining) : '—';
+
+  if (DOM.wpRTotalPrice) DOM.wpRTotalPrice.textContent = result.totalPrice.toFixed(2) + ' ₾';
+  renderWallpaperBreakdown(result.walls, result.ceiling);
+  renderWallpaperRollPlan(result.cuttingPlan);
+
+  const card = document.querySelector('.results-card--rose');
+  if (card) {
+    card.classList.remove('calculating');
+    void card.offsetWidth;
+    card.classList.add('calculating');
+  }
+
+  state.wpLastResult = { result: result, params: params };
+}
+
+function runWallpaperCalculation() {
+  const params = gatherWallpaperParams();
+  const result = WallpaperLogic.calcWallpaperAll(params);
+
+  updateWallpaperAreaDisplay();
+  renderWallpaperResults(result, params);
+  updateWallpaperPreview();
+}
+
+/** Per-wall lines under the wallpaper results: size, net area and strips; the ceiling last. */
+function renderWallpaperBreakdown(walls, ceiling) {
+  if (!DOM.wpWallBreakdown) return;
+  if (!walls || walls.length === 0) { DOM.wpWallBreakdown.style.display = 'none'; return; }
+  DOM.wpWallBreakdown.style.display = 'block';
+  DOM.wpWallBreakdown.innerHTML = `
+    <div class="breakdown-header">კედელი → ზოლები</div>
+    <div class="breakdown-rows">
+      ${walls.map(function(w) {
+        return `<div class="breakdown-row">
+          <span class="breakdown-name">${escapeHTML(w.name)}</span>
+          <span class="breakdown-tile mono">${w.widthM.toFixed(2)}×${w.heightM.toFixed(2)}მ</span>
+          <span class="breakdown-area mono">${w.netArea.toFixed(2)}მ²</span>
+          <span class="breakdown-count mono">${formatWallpaperStrips(w)}</span>
+        </div>`;
+      }).join('')}
+      ${ceiling ? `<div class="breakdown-row">
+          <span class="breakdown-name">${ceiling.name}</span>
+          <span class="breakdown-tile mono">${ceiling.lengthM.toFixed(2)}×${ceiling.widthM.toFixed(2)}მ</span>
+          <span class="breakdown-area mono">${ceiling.area.toFixed(2)}მ²</span>
+          <span class="breakdown-count mono">${ceiling.fullStrips} × ${ceiling.stripLengthM.toFixed(2)}მ</span>
+        </div>` : ''}
+    </div>`;
+}
+
+/** Roll-by-roll cutting plan: what is cut from each roll and the offcut left on it. */
+function renderWallpaperRollPlan(plan) {
+  if (!DOM.wpRollPlan) return;
+  if (!plan || plan.length === 0) { DOM.wpRollPlan.style.display = 'none'; return; }
+  DOM.wpRollPlan.style.display = 'block';
+  DOM.wpRollPlan.innerHTML = `
+    <div class="breakdown-header">რულონი → ჭრა</div>
+    <div class="breakdown-rows">
+      ${plan.map(function(roll) {
+        return `<div class="breakdown-row">
+          <span class="breakdown-name">რულონი ${roll.roll}</span>
+          <span class="breakdown-tile mono">${roll.cuts.length} ნაჭ.</span>
+          <span class="breakdown-area mono">${roll.usedM.toFixed(2)}მ</span>
+          <span class="breakdown-count mono">ნარჩ. ${roll.offcutM.toFixed(2)}მ</span>
+        </div>
+        <div class="breakdown-cuts">${escapeHTML(roll.cuts.map(formatWallpaperCut).join(' · '))}</div>`;
+      }).join('')}
+    </div>`;
+}
+
+/** "კედელი 1 #3 1.06მ (მოკლე)" — one cut in the roll plan. */
+function formatWallpaperCut(cut) {
+  return cut.wallName + ' #' + cut.stripNo + ' ' + cut.lengthM.toFixed(2) + 'მ' +
+    (cut.kind === 'short' ? ' (მოკლე)' : '') +
+    (cut.skipM > 0.005 ? ' [+' + cut.skipM.toFixed(2) + 'მ მატჩი]' : '');
+}
+
+/** "2 შეკვრა · ფლიზელინის (30 მ²/შეკვრა)" */
+function formatWallpaperPaste(paste) {
+  return paste.packets + ' შეკვრა · ' + paste.labelKa + ' (' + paste.coverageM2 + ' მ²/შეკვრა)';
+}
+
+/** "3 რულონი · 0.56×10.00მ" — lining paper for the same walls. */
+function formatWallpaperLining(lining) {
+  return lining.rolls + ' რულონი · ' + lining.rollWidthM.toFixed(2) + '×' + lining.rollLengthM.toFixed(2) + 'მ';
+}
+
+/** "5 + 5 სმ" — trim allowance above and below each strip. */
+function formatWallpaperTrim(r) {
+  return Math.round(r.trimTopM * 100) + ' + ' + Math.round(r.trimBottomM * 100) + ' სმ';
+}
+
+/** Fills roll size and trim allowances from a wallpaper type preset (WallpaperLogic.PRESETS). */
+function applyWallpaperPreset(key) {
+  const preset = WallpaperLogic.PRESETS[key];
+  if (DOM.wpPreset) DOM.wpPreset.value = preset ? key : 'custom';
+  if (!preset) return;
+  if (DOM.wpRollWidth)  DOM.wpRollWidth.value  = preset.rollWidthM.toFixed(2);
+  if (DOM.wpRollLength) DOM.wpRollLength.value = preset.rollLengthM.toFixed(2);
+  if (DOM.wpTrimTop)    DOM.wpTrimTop.value    = Math.round(preset.trimTopM * 100);
+  if (DOM.wpTrimBottom) DOM.wpTrimBottom.value = Math.round(preset.trimBottomM * 100);
+}
+
+/** A roll size typed by hand that no longer matches the chosen preset turns it into "custom". */
+function syncWallpaperPresetSelect() {
+  if (!DOM.wpPreset) return;
+  const preset = WallpaperLogic.PRESETS[DOM.wpPreset.value];
+  if (!preset) return;
+  if (Math.abs(getNum(DOM.wpRollWidth) - preset.rollWidthM) > 1e-6 ||
+      Math.abs(getNum(DOM.wpRollLength) - preset.rollLengthM) > 1e-6) {
+    DOM.wpPreset.value = 'custom';
+  }
+}
+
+/** "53 სმ · სწორი" — the repeat and how strips match; free / reverse need no repeat, so only their name. */
+function formatWallpaperMatch(repeatCm, matchType) {
+  const label = WallpaperLogic.MATCH_TYPES[matchType].labelKa;
+  if (matchType === 'free' || matchType === 'reverse') return label;
+  return repeatCm > 0 ? repeatCm + ' სმ · ' + label : '— (არ მეორდება)';
+}
+
+/** "5.00×4.00მ · 8 ზოლი × 4.00მ" — ceiling size and its strips. */
+function formatWallpaperCeiling(c) {
+  return c.lengthM.toFixed(2) + '×' + c.widthM.toFixed(2) + 'მ · ' + c.fullStrips + ' ზოლი × ' + c.stripLengthM.toFixed(2) + 'მ';
+}
+
+/** "7 ზოლი (+2 მოკლე)" — full-height strips and the short ones over / under openings. */
+function formatWallpaperStrips(r) {
+  return r.fullStrips + ' ზოლი' + (r.shortStrips > 0 ? ' (+' + r.shortStrips + ' მოკლე)' : '');
+}
+
+/** "2.70" or "2.50–2.70" — the wall heights in use. */
+function formatWallpaperHeights(walls) {
+  const hs = walls.map(function(w) { return w.heightM; });
+  const lo = Math.min.apply(null, hs), hi = Math.max.apply(null, hs);
+  return Math.abs(hi - lo) < 1e-9 ? hi.toFixed(2) : lo.toFixed(2) + '–' + hi.toFixed(2);
+}
+
+/** Pattern repeat badge, hint and slider track follow the slider value. */
+function syncWallpaperPatternBadge() {
+  if (!DOM.wpPatternRepeat) return;
+  const v = parseInt(DOM.wpPatternRepeat.value, 10) || 0;
+  if (DOM.wpPatternBadge)    DOM.wpPatternBadge.textContent   = v + ' სმ';
+  if (DOM.wpPatternHintText) DOM.wpPatternHintText.textContent = v === 0
+    ? 'Rapport 0 — ნახატი არ მეორდება'
+    : 'Rapport ' + v + ' სმ — ყოველ ' + v + ' სმ-ზე ნახატი მეორდება';
+  updateRangeBackground(DOM.wpPatternRepeat, 'var(--rose)');
+}
+
+function resetWallpaper() {
+  if (DOM.wpWallsList) {
+    DOM.wpWallsList.querySelectorAll('.wp-wall-item').forEach(function(el, i) {
+      if (i > 0) { el.remove(); return; }
+      el.querySelector('.wp-wall-name').value   = '';
+      el.querySelector('.wp-wall-width').value  = '4.00';
+      el.querySelector('.wp-wall-height').value = '';
+      resetWallShape(el);
+    });
+  }
+  state.wpOpenings = [];
+  renderWallpaperOpenings();
+  if (DOM.wpCeilingMode)      DOM.wpCeilingMode.checked    = false;
+  if (DOM.wpCeilingDirection) DOM.wpCeilingDirection.value = 'short';
+  syncWallpaperRoomInputs();
+  if (DOM.wpWallHeight)      DOM.wpWallHeight.value      = '2.70';
+  applyWallpaperPreset('eu');
+  if (DOM.wpPasteType)     DOM.wpPasteType.value     = 'non-woven';
+  if (DOM.wpPasteCoverage) DOM.wpPasteCoverage.value = WallpaperLogic.PASTE_TYPES['non-woven'].coverageM2;
+  if (DOM.wpPastePrice)    DOM.wpPastePrice.value    = '';
+  if (DOM.wpLiningMode)    DOM.wpLiningMode.checked  = false;
+  if (DOM.wpLiningInputs)  DOM.wpLiningInputs.style.display = 'none';
+  if (DOM.wpPatternRepeat)   DOM.wpPatternRepeat.value   = '0';
+  if (DOM.wpMatchType)       DOM.wpMatchType.value       = 'straight';
+  syncWallpaperPatternBadge();
+
+  [DOM.wpRRolls, DOM.wpRStrips, DOM.wpRStripsPerRoll, DOM.wpRWallArea, DOM.wpRPurchased,
+   DOM.wpSDims, DOM.wpSRollDims, DOM.wpSTrim, DOM.wpSPattern, DOM.wpSStripH, DOM.wpSMatchWaste, DOM.wpSOffcut, DOM.wpSStrips, DOM.wpSCeiling, DOM.wpSPerRoll, DOM.wpSRolls,
+   DOM.wpSPaste, DOM.wpSLining]
+    .forEach(function(el) { if (el) el.textContent = '—'; });
+
+  if (DOM.wpWallBreakdown) DOM.wpWallBreakdown.style.display = 'none';
+  if (DOM.wpRollPlan)      DOM.wpRollPlan.style.display      = 'none';
+  state.wpLastResult = null;
+  updateWallpaperPreview();
+}
+
+function copyWallpaperResult() {
+  if (!state.wpLastResult) { alert('პირველ რიგში გამოთვლა ჩაატარეთ.'); return; }
+  const r = state.wpLastResult.result;
+  const p = state.wpLastResult.params;
+  const wallLines = r.walls.map(function(w, i) {
+    return '  ' + (i + 1) + '. ' + w.name + '  (' + w.widthM.toFixed(2) + '×' + w.heightM.toFixed(2) + 'მ)  ' +
+      w.netArea.toFixed(2) + ' მ² · ' + formatWallpaperStrips(w);
+  });
+  if (r.ceiling) {
+    const c = r.ceiling;
+    wallLines.push('  ' + c.name + '  (' + c.lengthM.toFixed(2) + '×' + c.widthM.toFixed(2) + 'მ, ' +
+      (c.direction === 'long' ? 'გრძელ' : 'მოკლე') + ' მხარეზე)  ' + c.area.toFixed(2) + ' მ² · ' +
+      c.fullStrips + ' ზოლი × ' + c.stripLengthM.toFixed(2) + 'მ');
+  }
+  const rollLines = r.cuttingPlan.map(function(roll) {
+    return '  ' + roll.roll + '. ' + roll.cuts.map(formatWallpaperCut).join(', ') +
+      '  → ნარჩ. ' + roll.offcutM.toFixed(2) + ' მ';
+  });
+
+  const txt = [
+    '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
+    '  შპალერის კალკულატორი',
+    '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
+    '', '🏠 კედლები',
+    ...wallLines,
+    '  ბრუტო ფართობი        : ' + r.grossArea.toFixed(2) + ' მ²',
+    '  გამოქვითვა           : ' + r.totalDeduction.toFixed(2) + ' მ²',
+    '  კედლის ფართობი       : ' + r.wallArea.toFixed(2) + ' მ²',
+    ...(r.ceiling ? ['  ჭერის ფართობი        : ' + r.ceilingArea.toFixed(2) + ' მ²'] : []),
+    '', '🗞 რულონი',
+    '  სიგ. × სიგ.          : ' + p.rollWidthM + ' × ' + p.rollLengthM + ' მ',
+    '  მოჭრის მარაგი        : ' + formatWallpaperTrim(r),
+    '  ნახატის განმეორება   : ' + formatWallpaperMatch(p.patternRepeatCm, r.matchType),
+    '  მატჩის ნარჩენი       : ' + r.matchWasteM.toFixed(2) + ' მ',
+    '  ეფ. ზოლის სიმ.       : ' + r.effectiveStripHeight.toFixed(2) + ' მ',
+    '', '📦 შედეგი',
+    '  სულ ზოლები           : ' + formatWallpaperStrips(r),
+    '  ზოლი ერთ რულონში     : ' + r.stripsPerRoll + ' ც.',
+    '  საჭირო რულონები      : ' + r.totalRolls + ' ც.',
+    '  შეძენილი ფართობი     : ' + r.totalPurchasedArea.toFixed(2) + ' მ²',
+    '  ნარჩენი რულონებზე    : ' + r.offcutM.toFixed(2) + ' მ',
+    '', '✂️ ჭრის გეგმა',
+    ...rollLines,
+    '', '🧴 წებო და ქვესაფენი',
+    '  წებო                 : ' + (r.paste ? formatWallpaperPaste(r.paste) : '—'),
+    '  ქვესაფენი            : ' + (r.lining ? formatWallpaperLining(r.lining) : '—'),
+    ...(r.totalPrice > 0 ? ['  ჯამური ღირებულება    : ' + r.totalPrice.toFixed(2) + ' ₾'] : []),
+    '', '⚠️  შეამოწმეთ Batch Number ყველა რულონზე!',
+    '', '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'
+  ].join('\n');
+
+  navigator.clipboard.writeText(txt).then(function() {
+    if (!DOM.wpCopyBtn) return;
+    DOM.wpCopyBtn.textContent = '✓ კოპირებულია!';
+    DOM.wpCopyBtn.classList.add('success');
+    setTimeout(function() {
+      DOM.wpCopyBtn.innerHTML = '<svg viewBox="0 0 20 20" fill="currentColor" width="15" height="15"><path d="M8 3a1 1 0 011-1h2a1 1 0 110 2H9a1 1 0 01-1-1z"/><path d="M6 3a2 2 0 00-2 2v11a2 2 0 002 2h8a2 2 0 002-2V5a2 2 0 00-2-2 3 3 0 01-3 3H9a3 3 0 01-3-3z"/></svg> შედეგის კოპირება';
+      DOM.wpCopyBtn.classList.remove('success');
+    }, 2500);
+  }).catch(function() { alert('კოპირება ვერ მოხდა.'); });
+}
+
+/* ============================================================
+   MODULE: Paint — Surfaces, Cans & Results
+   ============================================================ */
+
+/** Walls to paint; rows share the wallpaper markup, so readWallRows reads them. */
+function getPaintWalls() {
+  return readWallRows(DOM.ptWallsList, getNum(DOM.ptWallHeight));
+}
+
+/** The ceiling to paint (room length × width), or null when it is off. */
+function getPaintCeiling() {
+  if (!DOM.ptCeilingMode || !DOM.ptCeilingMode.checked) return null;
+  return { lengthM: getNum(DOM.ptRoomLength), widthM: getNum(DOM.ptRoomWidth) };
+}
+
+/** Can sizes on offer as [{sizeL, price}]; an empty price is 0 (then the mix minimises surplus). */
+function readPaintCans() {
+  if (!DOM.ptCansList) return [];
+  return Array.prototype.map.call(DOM.ptCansList.querySelectorAll('.pt-can-row'), function(row) {
+    return { sizeL: getNum(row.querySelector('.pt-can-size')), price: getNum(row.querySelector('.pt-can-price')) };
+  }).filter(function(c) { return c.sizeL > 0; });
+}
+
+function addPaintWall() {
+  if (!DOM.ptWallsList) return;
+  const num = DOM.ptWallsList.querySelectorAll('.wp-wall-item').length + 1;
+  DOM.ptWallsList.insertAdjacentHTML('beforeend', buildWpWallHTML(num));
+  renderPaintOpenings();
+  runPaintCalculation();
+}
+
+/** Removes a paint wall and its openings; later walls' openings shift down. */
+function removePaintWall(wallEl) {
+  const items = DOM.ptWallsList.querySelectorAll('.wp-wall-item');
+  if (items.length <= 1) return;
+  const idx = Array.prototype.indexOf.call(items, wallEl);
+  wallEl.remove();
+  state.ptOpenings = state.ptOpenings.filter(function(o) { return o.wallIndex !== idx; });
+  state.ptOpenings.forEach(function(o) { if (o.wallIndex > idx) o.wallIndex--; });
+  DOM.ptWallsList.querySelectorAll('.wp-wall-name').forEach(function(el, i) { el.placeholder = 'კედელი ' + (i + 1); });
+  renderPaintOpenings();
+  runPaintCalculation();
+}
+
+function addPaintOpening(type) {
+  const d     = WP_OPENING_DEFAULTS[type] || WP_OPENING_DEFAULTS.door;
+  const wall  = getPaintWalls()[0] || { widthM: 4 };
+  state.ptOpenings.push({
+    id: state.ptNextId++, type: type, width: d.width, height: d.height, sill: d.sill,
+    x: Math.max(0, (wall.widthM - d.width) / 2), wallIndex: 0
+  });
+  renderPaintOpenings();
+  runPaintCalculation();
+}
+
+function renderPaintOpenings() {
+  const walls = getPaintWalls();
+  renderOpeningRows(DOM.ptOpeningsList, state.ptOpenings.filter(function(o) { return o.wallIndex < walls.length; }), walls);
+}
+
+function updatePaintOpening(rowEl) {
+  if (readOpeningRow(rowEl, state.ptOpenings)) renderPaintOpenings();
+  runPaintCalculation();
+}
+
+function addPaintCan() {
+  if (!DOM.ptCansList) return;
+  DOM.ptCansList.insertAdjacentHTML('beforeend', `
+                <div class="pt-can-row">
+                  <div class="input-wrap"><input class="form-input pt-can-size" type="number" placeholder="0.0" min="0.1" step="0.1" title="ქილის მოცულობა" /><span class="input-unit">ლ</span></div>
+                  <div class="input-wrap"><input class="form-input pt-can-price" type="number" placeholder="0.00" min="0" step="0.01" title="ქილის ფასი" /><span class="input-unit">₾</span></div>
+                  <button type="button" class="btn-remove pt-remove-can" title="ზომის წაშლა">✕</button>
+                </div>`);
+}
+
+function syncPaintInputs() {
+  if (DOM.ptCeilingInputs) DOM.ptCeilingInputs.style.display = (DOM.ptCeilingMode && DOM.ptCeilingMode.checked) ? '' : 'none';
+  if (DOM.ptPrimerInputs)  DOM.ptPrimerInputs.style.display  = (DOM.ptPrimerMode  && DOM.ptPrimerMode.checked)  ? '' : 'none';
+}
+
+function gatherPaintParams() {
+  const walls  = getPaintWalls();
+  const primer = DOM.ptPrimerMode && DOM.ptPrimerMode.checked;
+  return {
+    walls:          walls,
+    openings:       mapOpeningsToFrame(state.ptOpenings, walls),
+    ceiling:        getPaintCeiling(),
+    coverageM2PerL: getNum(DOM.ptCoverage),
+    coats:          getNum(DOM.ptCoats),
+    cans:           readPaintCans(),
+    primer:         primer ? {
+      coverageM2PerL: getNum(DOM.ptPrimerCoverage),
+      cans: [{ sizeL: getNum(DOM.ptPrimerCanSize), price: getNum(DOM.ptPrimerCanPrice) }]
+    } : null
+  };
+}
+
+function runPaintCalculation() {
+  const params = gatherPaintParams();
+  const result = PaintLogic.calcPaintAll(params);
+  renderPaintResults(result, params);
+}
+
+function renderPaintResults(result, params) {
+  if (DOM.ptAreaDisplay) DOM.ptAreaDisplay.textContent = result.totalArea.toFixed(2) + ' მ²';
+
+  if (DOM.ptRLitres)  DOM.ptRLitres.textContent  = result.litres.toFixed(1);
+  if (DOM.ptRArea)    DOM.ptRArea.textContent    = result.totalArea.toFixed(2);
+  if (DOM.ptRCans)    DOM.ptRCans.textContent    = result.mix.cans;
+  if (DOM.ptRBought)  DOM.ptRBought.textContent  = result.mix.totalL.toFixed(1);
+  if (DOM.ptRSurplus) DOM.ptRSurplus.textContent = result.mix.surplusL.toFixed(1);
+
+  if (DOM.ptSWalls)     DOM.ptSWalls.textContent     = result.wallArea.toFixed(2) + ' მ²';
+  if (DOM.ptSDeduction) DOM.ptSDeduction.textContent = result.totalDeduction.toFixed(2) + ' მ²';
+  if (DOM.ptSCeiling)   DOM.ptSCeiling.textContent   = result.ceiling ? result.ceilingArea.toFixed(2) + ' მ²' : '—';
+  if (DOM.ptSCoverage)  DOM.ptSCoverage.textContent  = result.coverageM2PerL + ' მ²/ლ · ' + result.coats + ' ფენა';
+  if (DOM.ptSMix)       DOM.ptSMix.textContent       = formatPaintMix(result.mix);
+  if (DOM.ptSPrimer)    DOM.ptSPrimer.textContent    = result.primer
+    ? result.primer.litres.toFixed(1) + ' ლ · ' + formatPaintMix(result.primer.mix) : '—';
+  if (DOM.ptRTotalPrice) DOM.ptRTotalPrice.textContent = result.totalPrice.toFixed(2) + ' ₾';
+
+  renderPaintBreakdown(result.walls, result.ceiling);
+
+  const card = document.querySelector('.results-card--teal');
+  if (card) {
+    card.classList.remove('calculating');
+    void card.offsetWidth;
+    card.classList.add('calculating');
+  }
+
+  state.ptLastResult = { result: result, params: params };
+}
+
+/** Per-surface lines under the paint results: size, net area and litres; the ceiling last. */
+function renderPaintBreakdown(walls, ceiling) {
+  if (!DOM.ptWallBreakdown) return;
+  if (!walls || walls.length === 0) { DOM.ptWallBreakdown.style.display = 'none'; return; }
+  const rows = walls.map(function(w) {
+    return { name: w.name, dims: w.widthM.toFixed(2) + '×' + w.heightM.toFixed(2), area: w.netArea, litres: w.litres };
+  });
+  if (ceiling) rows.push({ name: ceiling.name, dims: ceiling.lengthM.toFixed(2) + '×' + ceiling.widthM.toFixed(2), area: ceiling.area, litres: ceiling.litres });
+  DOM.ptWallBreakdown.style.display = 'block';
+  DOM.ptWallBreakdown.innerHTML = `
+    <div class="breakdown-header">ზედაპირი → ლიტრი</div>
+    <div class="breakdown-rows">
+      ${rows.map(function(r) {
+        return `<div class="breakdown-row">
+          <span class="breakdown-name">${escapeHTML(r.name)}</span>
+          <span class="breakdown-tile mono">${r.dims}მ</span>
+          <span class="breakdown-area mono">${r.area.toFixed(2)}მ²</span>
+          <span class="breakdown-count mono">${r.litres.toFixed(2)} ლ</span>
+        </div>`;
+      }).join('')}
+    </div>`;
+}
+
+/** "2 × 10 ლ + 1 × 2.5 ლ" — the chosen cans, largest first. */
+function formatPaintMix(mix) {
+  const parts = mix.counts.filter(function(c) { return c.count > 0; })
+    .sort(function(a, b) { return b.sizeL - a.sizeL; })
+    .map(function(c) { return c.count + ' × ' + c.sizeL + ' ლ'; });
+  return parts.length ? parts.join(' + ') : '—';
+}
+
+function resetPaint() {
+  if (DOM.ptWallsList) {
+    DOM.ptWallsList.querySelectorAll('.wp-wall-item').forEach(function(el, i) {
+      if (i > 0) { el.remove(); return; }
+      el.querySelector('.wp-wall-name').value   = '';
+      el.querySelector('.wp-wall-width').value  = '4.00';
+      el.querySelector('.wp-wall-height').value = '';
+      resetWallShape(el);
+    });
+  }
+  state.ptOpenings = [];
+  renderPaintOpenings();
+  if (DOM.ptWallHeight)     DOM.ptWallHeight.value     = '2.50';
+  if (DOM.ptCeilingMode)    DOM.ptCeilingMode.checked  = false;
+  if (DOM.ptRoomLength)     DOM.ptRoomLength.value     = '5.00';
+  if (DOM.ptRoomWidth)      DOM.ptRoomWidth.value      = '4.00';
+  if (DOM.ptCoverage)       DOM.ptCoverage.value       = '10';
+  if (DOM.ptCoats)          DOM.ptCoats.value          = '2';
+  if (DOM.ptPrimerMode)     DOM.ptPrimerMode.checked   = false;
+  if (DOM.ptPrimerCoverage) DOM.ptPrimerCoverage.value = '8';
+  if (DOM.ptPrimerCanSize)  DOM.ptPrimerCanSize.value  = '10';
+  if (DOM.ptPrimerCanPrice) DOM.ptPrimerCanPrice.value = '';
+  if (DOM.ptCansList) {
+    DOM.ptCansList.querySelectorAll('.pt-can-row').forEach(function(row, i) {
+      if (i > 2) { row.remove(); return; }
+      row.querySelector('.pt-can-size').value  = ['0.9', '2.5', '10'][i];
+      row.querySelector('.pt-can-price').value = '';
+    });
+  }
+  syncPaintInputs();
+
+  [DOM.ptRLitres, DOM.ptRArea, DOM.ptRCans, DOM.ptRBought, DOM.ptRSurplus, DOM.ptSWalls, DOM.ptSDeduction,
+   DOM.ptSCeiling, DOM.ptSCoverage, DOM.ptSMix, DOM.ptSPrimer, DOM.ptRTotalPrice]
+    .forEach(function(el) { if (el) el.textContent = '—'; });
+
+  if (DOM.ptWallBreakdown) DOM.ptWallBreakdown.style.display = 'none';
+  state.ptLastResult = null;
+}
+
+function copyPaintResult() {
+  if (!state.ptLastResult) { alert('პირველ რიგში გამოთვლა ჩაატარეთ.'); return; }
+  const r = state.ptLastResult.result;
+  const lines = r.walls.map(function(w, i) {
+    return '  ' + (i + 1) + '. ' + w.name + '  (' + w.widthM.toFixed(2) + '×' + w.heightM.toFixed(2) + 'მ)  ' +
+      w.netArea.toFixed(2) + ' მ² · ' + w.litres.toFixed(2) + ' ლ';
+  });
+  if (r.ceiling) {
+    lines.push('  ' + r.ceiling.name + '  (' + r.ceiling.lengthM.toFixed(2) + '×' + r.ceiling.widthM.toFixed(2) + 'მ)  ' +
+      r.ceiling.area.toFixed(2) + ' მ² · ' + r.ceiling.litres.toFixed(2) + ' ლ');
+  }
+
+  const txt = [
+    '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
+    '  საღებავის კალკულატორი',
+    '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
+    '', '🏠 ზედაპირები',
+    ...lines,
+    '  ბრუტო ფართობი        : ' + r.grossArea.toFixed(2) + ' მ²',
+    '  გამოქვითვა           : ' + r.totalDeduction.toFixed(2) + ' მ²',
+    '  კედლის ფართობი       : ' + r.wallArea.toFixed(2) + ' მ²',
+    ...(r.ceiling ? ['  ჭერის ფართობი        : ' + r.ceilingArea.toFixed(2) + ' მ²'] : []),
+    '', '🎨 საღებავი',
+    '  დაფარვა              : ' + r.coverageM2PerL + ' მ²/ლ',
+    '  ფენები               : ' + r.coats,
+    '  საჭირო               : ' + r.litres.toFixed(2) + ' ლ',
+    '  ქილები               : ' + formatPaintMix(r.mix),
+    '  შეძენილი / ზედმეტი   : ' + r.mix.totalL.toFixed(1) + ' / ' + r.mix.surplusL.toFixed(1) + ' ლ',
+    ...(r.primer ? ['  გრუნტი               : ' + r.primer.litres.toFixed(2) + ' ლ · ' + formatPaintMix(r.primer.mix)] : []),
+    ...(r.totalPrice > 0 ? ['  ჯამური ღირებულება    : ' + r.totalPrice.toFixed(2) + ' ₾'] : []),
+    '', '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'
+  ].join('\n');
+
+  navigator.clipboard.writeText(txt).then(function() {
+    if (!DOM.ptCopyBtn) return;
+    DOM.ptCopyBtn.textContent = '✓ კოპირებულია!';
+    DOM.ptCopyBtn.classList.add('success');
+    setTimeout(function() {
+      DOM.ptCopyBtn.innerHTML = '<svg viewBox="0 0 20 20" fill="currentColor" width="15" height="15"><path d="M8 3a1 1 0 011-1h2a1 1 0 110 2H9a1 1 0 01-1-1z"/><path d="M6 3a2 2 0 00-2 2v11a2 2 0 002 2h8a2 2 0 002-2V5a2 2 0 00-2-2 3 3 0 01-3 3H9a3 3 0 01-3-3z"/></svg> შედეგის კოპირება';
+      DOM.ptCopyBtn.classList.remove('success');
+    }, 2500);
+  }).catch(function() { alert('კოპირება ვერ მოხდა.'); });
+}
+
+/* ============================================================
+   MODULE: Flooring — Room, Planks & Row Plan
+   ============================================================ */
+
+/** Fills plank size, pack and laying rules from a material type (FlooringLogic.MATERIALS). */
+function applyFlooringMaterial(key) {
+  const m = FlooringLogic.MATERIALS[key];
+  if (!m) return;
+  if (DOM.flMaterial)    DOM.flMaterial.value    = key;
+  if (DOM.flPlankLength) DOM.flPlankLength.value = Math.round(m.plankLengthM * 1000);
+  if (DOM.flPlankWidth)  DOM.flPlankWidth.value  = Math.round(m.plankWidthM * 1000);
+  if (DOM.flPerPack)     DOM.flPerPack.value     = m.planksPerPack;
+  if (DOM.flGap)         DOM.flGap.value         = Math.round(m.gapM * 1000);
+  if (DOM.flMinOffset)   DOM.flMinOffset.value   = Math.round(m.minOffsetM * 1000);
+  if (DOM.flMinPiece)    DOM.flMinPiece.value    = Math.round(m.minPieceM * 1000);
+  if (DOM.flMinRip)      DOM.flMinRip.value      = Math.round(m.minRipM * 1000);
+}
+
+/** Flooring inputs in metres (plank sizes, gap and rules are typed in mm). */
+function gatherFlooringParams() {
+  return {
+    lengthM:       getNum(DOM.flRoomLength),
+    widthM:        getNum(DOM.flRoomWidth),
+    direction:     DOM.flDirection ? DOM.flDirection.value : 'length',
+    gapM:          getNum(DOM.flGap) / 1000,
+    plankLengthM:  getNum(DOM.flPlankLength) / 1000,
+    plankWidthM:   getNum(DOM.flPlankWidth) / 1000,
+    planksPerPack: getNum(DOM.flPerPack),
+    packPrice:     getNum(DOM.flPackPrice),
+    minOffsetM:    getNum(DOM.flMinOffset) / 1000,
+    minPieceM:     getNum(DOM.flMinPiece) / 1000,
+    minRipM:       getNum(DOM.flMinRip) / 1000,
+    reservePct:    getNum(DOM.flReserve)
+  };
+}
+
+function runFlooringCalculation() {
+  const params = gatherFlooringParams();
+  const result = FlooringLogic.calcFlooringAll(params);
+  renderFlooringResults(result, params);
+  updateFlooringPreview();
+}
+
+function renderFlooringResults(result, params) {
+  if (DOM.flAreaDisplay) DOM.flAreaDisplay.textContent = result.roomArea.toFixed(2) + ' მ²';
+
+  if (DOM.flRPacks)     DOM.flRPacks.textContent     = result.packs;
+  if (DOM.flRPlanks)    DOM.flRPlanks.textContent    = result.planks;
+  if (DOM.flRRows)      DOM.flRRows.textContent      = result.rowCount;
+  if (DOM.flRCovered)   DOM.flRCovered.textContent   = result.coveredArea.toFixed(2);
+  if (DOM.flRPurchased) DOM.flRPurchased.textContent = result.purchasedArea.toFixed(2);
+
+  if (DOM.flSRoom)     DOM.flSRoom.textContent     = params.lengthM.toFixed(2) + ' × ' + params.widthM.toFixed(2) + ' მ · ' +
+    (result.direction === 'width' ? 'სიგანის' : 'სიგრძის') + ' გასწვრივ';
+  if (DOM.flSPlank)    DOM.flSPlank.textContent    = formatFlooringPlank(result);
+  if (DOM.flSPack)     DOM.flSPack.textContent     = params.planksPerPack + ' ც. · ' + result.packArea.toFixed(3) + ' მ²';
+  if (DOM.flSRip)      DOM.flSRip.textContent      = formatFlooringRip(result);
+  if (DOM.flSReserve)  DOM.flSReserve.textContent  = result.planks + ' → ' + result.planksWithReserve + ' ც. (+' + params.reservePct + '%)';
+  if (DOM.flSWaste)    DOM.flSWaste.textContent    = result.wasteArea.toFixed(2) + ' მ² (' + result.wastePercent.toFixed(1) + '%)';
+  if (DOM.flSOffcuts)  DOM.flSOffcuts.textContent  = result.offcuts.length > 0
+    ? result.offcuts.map(function(l) { return l.toFixed(2); }).join(', ') + ' მ' : '—';
+  if (DOM.flRTotalPrice) DOM.flRTotalPrice.textContent = result.totalPrice.toFixed(2) + ' ₾';
+
+  renderFlooringRowPlan(result.rows);
+
+  const card = document.querySelector('.results-card--amber');
+  if (card) {
+    card.classList.remove('calculating');
+    void card.offsetWidth;
+    card.classList.add('calculating');
+  }
+
+  state.flLastResult = { result: result, params: params };
+}
+
+/** Row-by-row cut plan: pieces along the row, the row width (✂ = ripped) and new planks used. */
+function renderFlooringRowPlan(rows) {
+  if (!DOM.flRowPlan) return;
+  if (!rows || rows.length === 0) { DOM.flRowPlan.style.display = 'none'; return; }
+  DOM.flRowPlan.style.display = 'block';
+  DOM.flRowPlan.innerHTML = `
+    <div class="breakdown-header">რიგი → ჭრა</div>
+    <div class="breakdown-rows">
+      ${rows.map(function(r) {
+        const fresh = r.pieces.filter(function(p) { return p.from === 'new'; }).length;
+        return `<div class="breakdown-row${r.warning ? ' breakdown-row--warn' : ''}">
+          <span class="breakdown-name">რიგი ${r.row}</span>
+          <span class="breakdown-tile mono">${formatFlooringRow(r)}</span>
+          <span class="breakdown-area mono">${(r.widthM * 100).toFixed(1)} სმ${r.ripped ? ' ✂' : ''}</span>
+          <span class="breakdown-count mono">${fresh} ახ.</span>
+        </div>`;
+      }).join('')}
+    </div>`;
+}
+
+/** "0.54 (ნარჩ.) + 3 × 1.38 + 0.30" — start piece, whole planks, end piece (metres). */
+function formatFlooringRow(row) {
+  const label = function(p) { return p.lengthM.toFixed(2) + (p.from === 'offcut' ? ' (ნარჩ.)' : ''); };
+  const pieces = row.pieces;
+  if (pieces.length === 1) return label(pieces[0]);
+  const full = pieces.slice(1, -1);
+  return [label(pieces[0])]
+    .concat(full.length > 0 ? [full.length + ' × ' + full[0].lengthM.toFixed(2)] : [])
+    .concat([label(pieces[pieces.length - 1])])
+    .join(' + ');
+}
+
+/** "1380 × 193 მმ" */
+function formatFlooringPlank(r) {
+  return Math.round(r.plankLengthM * 1000) + ' × ' + Math.round(r.plankWidthM * 1000) + ' მმ';
+}
+
+/** "პირველი 12.0 სმ · ბოლო 12.0 სმ" — rows ripped along their length, or "—". */
+function formatFlooringRip(r) {
+  const ripped = r.rows.filter(function(row) { return row.ripped; });
+  if (ripped.length === 0) return '—';
+  return ripped.map(function(row) {
+    return (row.row === 1 ? 'პირველი ' : 'ბოლო ') + (row.widthM * 100).toFixed(1) + ' სმ';
+  }).join(' · ');
+}
+
+/**
+ * Flooring preview — the same panel approach as updateLivePreview: panels are
+ * built synchronously, then drawn after one animation frame when their width
+ * is known.  One panel per room.
+ */
+let _flPreviewRafId = null;
+
+function updateFlooringPreview() {
+  if (_flPreviewRafId) {
+    cancelAnimationFrame(_flPreviewRafId);
+    _flPreviewRafId = null;
+  }
+  const scrollEl = DOM.flPreviewScroll;
+  if (!scrollEl) return;
+
+  const rooms = [FlooringLogic.calcFlooringAll(gatherFlooringParams())].filter(function(r) { return r.rowCount > 0; });
+  if (rooms.length === 0) {
+    scrollEl.innerHTML = '<div style="color:#64748b;padding:20px;text-align:center;width:100%;line-height:280px;">შეიყვანეთ ოთახის და დაფის ზომები ვიზუალიზაციისთვის</div>';
+    return;
+  }
+
+  if (scrollEl.querySelectorAll('.wall-panel').length !== rooms.length) scrollEl.innerHTML = '';
+  rooms.forEach(function(room, index) {
+    if (scrollEl.querySelector('.wall-panel[data-index="' + index + '"]')) return;
+    const panel = document.createElement('div');
+    panel.className = 'wall-panel';
+    panel.setAttribute('data-index', index);
+    Object.assign(panel.style, {
+      flex: '0 0 100%', width: '100%', height: '280px', display: 'flex',
+      justifyContent: 'center', alignItems: 'center', boxSizing: 'border-box'
+    });
+    panel.appendChild(document.createElement('canvas'));
+    scrollEl.appendChild(panel);
+  });
+
+  _flPreviewRafId = requestAnimationFrame(function() {
+    _flPreviewRafId = null;
+    rooms.forEach(function(room, index) {
+      const panel = scrollEl.querySelector('.wall-panel[data-index="' + index + '"]');
+      if (!panel) return;
+      const canvas = panel.querySelector('canvas');
+      const PW = panel.offsetWidth || scrollEl.offsetWidth || 400;
+      const PH = 280;
+      canvas.style.width  = PW + 'px';
+      canvas.style.height = PH + 'px';
+      drawFloorPanel(canvas, room, PW, PH);
+    });
+    updateIndicators(scrollEl, rooms.length);
+  });
+}
+
+/**
+ * Draws one room's planks: rows top to bottom along the run, cut pieces
+ * (start / end / ripped) highlighted, rows that break the stagger rule in red.
+ * The dashed outline is the room; the gap to it is the expansion gap.
+ */
+function drawFloorPanel(canvas, room, PW, PH) {
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width  = PW * dpr;
+  canvas.height = PH * dpr;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(dpr, dpr);
+
+  const c = {
+    bg: '#0f1117', plankA: '#2a2f3d', plankB: '#242a36', plankCut: '#3a3424',
+    joint: '#0f1117', accent: '#f59e0b', warn: '#ef4444', text: '#64748b', label: '#94a3b8'
+  };
+  ctx.fillStyle = c.bg;
+  ctx.fillRect(0, 0, PW, PH);
+
+  const gap   = room.gapM;
+  const outerW = room.runM + 2 * gap;
+  const outerH = room.spanM + 2 * gap;
+  const PAD   = 40;
+  const LABEL = 30;
+  const scale = Math.min((PW - PAD * 2) / outerW, (PH - PAD * 2 - LABEL) / outerH);
+  const ox    = (PW - outerW * scale) / 2;
+  const oy    = LABEL + (PH - LABEL - outerH * scale) / 2;
+
+  // ოთახის კონტური (ღრიჭოს ჩათვლით)
+  ctx.strokeStyle = c.text;
+  ctx.lineWidth   = 1;
+  ctx.setLineDash([4, 4]);
+  ctx.strokeRect(ox, oy, outerW * scale, outerH * scale);
+  ctx.setLineDash([]);
+
+  let y = oy + gap * scale;
+  room.rows.forEach(function(row) {
+    const rh = row.widthM * scale;
+    let x = ox + gap * scale;
+    row.pieces.forEach(function(p) {
+      const pw = p.lengthM * scale;
+      const cut = row.ripped || p.kind !== 'full';
+      ctx.fillStyle = cut ? c.plankCut : (row.row % 2 === 1 ? c.plankA : c.plankB);
+      ctx.fillRect(x, y, pw, rh);
+      ctx.fillStyle = c.joint;
+      ctx.fillRect(x + pw - 0.5, y, 1, rh);   // ბოლოს ნაკერი
+      x += pw;
+    });
+    ctx.fillStyle = c.joint;
+    ctx.fillRect(ox + gap * scale, y + rh - 0.5, room.runM * scale, 1);   // რიგების გამყოფი
+    if (row.warning) {
+      ctx.strokeStyle = c.warn;
+      ctx.lineWidth   = 1.5;
+      ctx.strokeRect(ox + gap * scale, y, room.runM * scale, rh);
+    }
+    if (rh >= 9) {
+      ctx.fillStyle = c.text;
+      ctx.font      = Math.min(9, rh * 0.8) + "px 'JetBrains Mono', monospace";
+      ctx.textAlign = 'right';
+      ctx.fillText(row.row, ox - 4, y + rh / 2 + 3);
+    }
+    y += rh;
+  });
+
+  ctx.fillStyle = c.label;
+  ctx.font      = "bold 12px 'JetBrains Mono', monospace";
+  ctx.textAlign = 'center';
+  ctx.fillText('ოთახი  ' + room.roomArea.toFixed(2) + 'მ²  [' + formatFlooringPlank(room) + ' · ' + room.rowCount + ' რიგი]', PW / 2, LABEL - 10);
+  ctx.fillStyle = c.accent;
+  ctx.font      = "10px 'JetBrains Mono', monospace";
+  ctx.fillText(outerW.toFixed(2) + ' მ', PW / 2, oy + outerH * scale + 16);
+}
+
+function resetFlooring() {
+  if (DOM.flRoomLength) DOM.flRoomLength.value = '5.00';
+  if (DOM.flRoomWidth)  DOM.flRoomWidth.value  = '4.00';
+  if (DOM.flDirection)  DOM.flDirection.value  = 'length';
+  applyFlooringMaterial('laminate');
+  if (DOM.flPackPrice)  DOM.flPackPrice.value  = '';
+  if (DOM.flReserve)    DOM.flReserve.value    = '5';
+
+  [DOM.flRPacks, DOM.flRPlanks, DOM.flRRows, DOM.flRCovered, DOM.flRPurchased, DOM.flSRoom, DOM.flSPlank,
+   DOM.flSPack, DOM.flSRip, DOM.flSReserve, DOM.flSWaste, DOM.flSOffcuts, DOM.flRTotalPrice]
+    .forEach(function(el) { if (el) el.textContent = '—'; });
+
+  if (DOM.flRowPlan) DOM.flRowPlan.style.display = 'none';
+  state.flLastResult = null;
+  updateFlooringPreview();
+}
+
+function copyFlooringResult() {
+  if (!state.flLastResult) { alert('პირველ რიგში გამოთვლა ჩაატარეთ.'); return; }
+  const r = state.flLastResult.result;
+  const p = state.flLastResult.params;
+  const rowLines = r.rows.map(function(row) {
+    return '  ' + row.row + '. ' + (row.widthM * 100).toFixed(1) + ' სმ' + (row.ripped ? ' ✂' : '') + '  ' +
+      formatFlooringRow(row) + (row.warning ? '  ⚠️' : '');
+  });
+
+  const txt = [
+    '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
+    '  იატაკის კალკულატორი',
+    '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
+    '', '🏠 ოთახი',
+    '  ზომა                 : ' + p.lengthM.toFixed(2) + ' × ' + p.widthM.toFixed(2) + ' მ (' + r.roomArea.toFixed(2) + ' მ²)',
+    '  დასაგები ფართობი     : ' + r.coveredArea.toFixed(2) + ' მ² (ღრიჭო ' + Math.round(p.gapM * 1000) + ' მმ)',
+    '  მიმართულება          : ' + (r.direction === 'width' ? 'სიგანის' : 'სიგრძის') + ' გასწვრივ',
+    '', '🪵 დაფა',
+    '  ზომა                 : ' + formatFlooringPlank(r),
+    '  შეფუთვა              : ' + p.planksPerPack + ' ც. · ' + r.packArea.toFixed(3) + ' მ²',
+    '  ნაკერების წანაცვლება : ≥ ' + Math.round(p.minOffsetM * 1000) + ' მმ',
+    '  კიდის რიგები         : ' + formatFlooringRip(r),
+    '', '📦 შედეგი',
+    '  დაფები               : ' + r.planks + ' ც. (რეზერვით ' + r.planksWithReserve + ')',
+    '  შეფუთვები            : ' + r.packs + ' ც.',
+    '  შეძენილი ფართობი     : ' + r.purchasedArea.toFixed(2) + ' მ²',
+    '  ნარჩენი              : ' + r.wasteArea.toFixed(2) + ' მ² (' + r.wastePercent.toFixed(1) + '%)',
+    ...(r.totalPrice > 0 ? ['  ჯამური ღირებულება    : ' + r.totalPrice.toFixed(2) + ' ₾'] : []),
+    '', '✂️ ჭრის გეგმა (მ)',
+    ...rowLines,
+    '', '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'
+  ].join('\n');
+
+  navigator.clipboard.writeText(txt).then(function() {
+    if (!DOM.flCopyBtn) return;
+    DOM.flCopyBtn.textContent = '✓ კოპირებულია!';
+    DOM.flCopyBtn.classList.add('success');
+    setTimeout(function() {
+      DOM.flCopyBtn.innerHTML = '<svg viewBox="0 0 20 20" fill="currentColor" width="15" height="15"><path d="M8 3a1 1 0 011-1h2a1 1 0 110 2H9a1 1 0 01-1-1z"/><path d="M6 3a2 2 0 00-2 2v11a2 2 0 002 2h8a2 2 0 002-2V5a2 2 0 00-2-2 3 3 0 01-3 3H9a3 3 0 01-3-3z"/></svg> შედეგის კოპირება';
+      DOM.flCopyBtn.classList.remove('success');
+    }, 2500);
+  }).catch(function() { alert('კოპირება ვერ მოხდა.'); });
+}
+
+/* ============================================================
+   MODULE: Projects — Saved in the Browser (localStorage)
+   ============================================================
+   A project is a list of rooms; a room is a snapshot of all four tabs:
+   every field with an id, the wall / zone / can rows, the openings and the
+   tile layout pattern.  Results are not stored — opening a project
+   recalculates them.  The same snapshot is the JSON export file (plus
+   format / name fields); older snapshot versions are upgraded by
+   migrateProject().
+*/
+
+const PROJECTS_KEY    = 'jaokeni.projects';
+const PROJECT_FORMAT  = 'jaokeni-project';
+const PROJECT_VERSION = 3;
+const ROOM_SECTIONS   = ['tiles', 'wallpaper', 'paint', 'flooring'];
+
+// Row fields: snapshot key → input class (rows are rebuilt from their HTML builders)
+const WALL_SHAPE_FIELDS = { shape: 'wall-shape', rightHeightM: 'wall-height-right', apexM: 'wall-apex', apexXM: 'wall-apex-x', corners: 'wall-corners' };
+const TILE_WALL_FIELDS  = Object.assign({
+  name: 'wall-name', surface: 'wall-surface-type', widthM: 'wall-width', heightM: 'wall-height',
+  floorCorners: 'floor-corners', tileLCm: 'wall-tile-length', tileWCm: 'wall-tile-width'
+}, WALL_SHAPE_FIELDS);
+const WP_WALL_FIELDS    = Object.assign({ name: 'wp-wall-name', widthM: 'wp-wall-width', heightM: 'wp-wall-height' }, WALL_SHAPE_FIELDS);
+const ZONE_FIELDS       = { fromM: 'zone-from', toM: 'zone-to', tileLCm: 'zone-tile-length', tileWCm: 'zone-tile-width', pattern: 'zone-pattern' };
+const CAN_FIELDS        = { sizeL: 'pt-can-size', price: 'pt-can-price' };
+
+/** Every input / select with an id inside a tab view as {id: value}; checkboxes as true / false. */
+function readViewFields(viewEl) {
+  const fields = {};
+  if (!viewEl) return fields;
+  viewEl.querySelectorAll('input[id], select[id], textarea[id]').forEach(function(el) {
+    fields[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+  });
+  return fields;
+}
+
+function writeViewFields(viewEl, fields) {
+  if (!viewEl || !fields) return;
+  Object.keys(fields).forEach(function(id) {
+    const el = document.getElementById(id);
+    if (!el || !viewEl.contains(el)) return;
+    if (el.type === 'checkbox') el.checked = !!fields[id];
+    else el.value = fields[id];
+  });
+}
+
+/** One row's fields as {key: value} through a key → class map (TILE_WALL_FIELDS …). */
+function readRowFields(rowEl, map) {
+  const fields = {};
+  Object.keys(map).forEach(function(key) {
+    const el = rowEl.querySelector('.' + map[key]);
+    if (el) fields[key] = el.value;
+  });
+  return fields;
+}
+
+function writeRowFields(rowEl, map, fields) {
+  Object.keys(map).forEach(function(key) {
+    const el = rowEl.querySelector('.' + map[key]);
+    if (el && fields && fields[key] != null) el.value = String(fields[key]);
+  });
+}
+
+/** Deep copy of plain data (openings, prices). */
+function cloneData(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/** Snapshot of the four calculators as they show the open room — see the module note above. */
+function captureRoom() {
+  const wallsList = document.getElementById('wallsList');
+  const rowsOf = function(listEl, selector) {
+    return listEl ? Array.prototype.slice.call(listEl.querySelectorAll(selector)) : [];
+  };
+  return {
+    activeMaterial: state.activeMaterial,
+    tiles: {
+      fields:    readViewFields(DOM.appTiles),
+      quickMode: isQuickMode,
+      walls:     rowsOf(wallsList, '.wall-item').map(function(el) {
+        const wall = readRowFields(el, TILE_WALL_FIELDS);
+        wall.zones = rowsOf(el, '.wall-zone-row').map(function(row) { return readRowFields(row, ZONE_FIELDS); });
+        return wall;
+      }),
+      openings:  cloneData(state.openings),
+      nextId:    state.nextId,
+      pattern:   state.activePattern,
+      prices:    cloneData(state.tilePrices),
+      boxes:     cloneData(state.tileBoxes)
+    },
+    wallpaper: {
+      fields:   readViewFields(DOM.appWallpaper),
+      walls:    rowsOf(DOM.wpWallsList, '.wp-wall-item').map(function(el) { return readRowFields(el, WP_WALL_FIELDS); }),
+      openings: cloneData(state.wpOpenings),
+      nextId:   state.wpNextId
+    },
+    paint: {
+      fields:   readViewFields(DOM.appPaint),
+      walls:    rowsOf(DOM.ptWallsList, '.wp-wall-item').map(function(el) { return readRowFields(el, WP_WALL_FIELDS); }),
+      cans:     rowsOf(DOM.ptCansList, '.pt-can-row').map(function(el) { return readRowFields(el, CAN_FIELDS); }),
+      openings: cloneData(state.ptOpenings),
+      nextId:   state.ptNextId
+    },
+    flooring: {
+      fields: readViewFields(DOM.appFlooring)
+    }
+  };
+}
+
+/** Next free opening id after the ids already in `openings`. */
+function nextOpeningId(openings, saved) {
+  const max = openings.reduce(function(m, o) { return Math.max(m, o.id || 0); }, 0);
+  return Math.max(parseInt(saved, 10) || 1, max + 1);
+}
+
+/** Rebuilds a wallpaper / paint wall list; at least one row stays. */
+function restoreWallRows(listEl, walls) {
+  if (!listEl) return;
+  listEl.innerHTML = '';
+  (walls && walls.length > 0 ? walls : [{}]).forEach(function(wall, i) {
+    listEl.insertAdjacentHTML('beforeend', buildWpWallHTML(i + 1));
+    const el = listEl.lastElementChild;
+    writeRowFields(el, WP_WALL_FIELDS, wall);
+    applyWallShape(el);
+  });
+}
+
+/**
+ * Puts a room snapshot from captureRoom() back into every tab and recalculates.
+ * Sections missing from the snapshot keep their current inputs.
+ */
+function restoreRoom(data) {
+  const t = data.tiles;
+  if (t) {
+    writeViewFields(DOM.appTiles, t.fields);
+    const wallsList = document.getElementById('wallsList');
+    if (wallsList) {
+      wallsList.innerHTML = '';
+      const stamp = Date.now();
+      (t.walls && t.walls.length > 0 ? t.walls : [{}]).forEach(function(wall, i) {
+        wallsList.insertAdjacentHTML('beforeend', buildWallHTML(stamp + i, i + 1, '', ''));
+        const el = wallsList.lastElementChild;
+        writeRowFields(el, TILE_WALL_FIELDS, wall);
+        const zonesEl = el.querySelector('.wall-zones-list');
+        (wall.zones || []).forEach(function(zone) {
+          zonesEl.insertAdjacentHTML('beforeend', buildZoneRowHTML({}));
+          writeRowFields(zonesEl.lastElementChild, ZONE_FIELDS, zone);
+        });
+        applyWallShape(el);
+        applySurfaceType(el);
+        updateWallTileBadge(el);
+        updateZonesBadge(el);
+      });
+    }
+    if (!!t.quickMode !== isQuickMode) toggleCalcMode();
+    if (DOM.wasteBadge && DOM.wastePct) DOM.wasteBadge.textContent = DOM.wastePct.value + '%';
+    updateRangeBackground(DOM.wastePct);
+
+    state.openings   = cloneData(t.openings || []);
+    state.nextId     = nextOpeningId(state.openings, t.nextId);
+    state.tilePrices = cloneData(t.prices || {});
+    state.tileBoxes  = cloneData(t.boxes || {});
+    state.lastResult = null;
+    if (DOM.tilePriceList) DOM.tilePriceList.removeAttribute('data-sizes');
+    clearResults();
+    renderOpenings();
+    applyLayoutPattern(t.pattern || 'standard');
+  }
+
+  const w = data.wallpaper;
+  if (w) {
+    writeViewFields(DOM.appWallpaper, w.fields);
+    restoreWallRows(DOM.wpWallsList, w.walls);
+    syncWallpaperRoomInputs();
+    syncWallpaperPatternBadge();
+    if (DOM.wpLiningInputs && DOM.wpLiningMode) DOM.wpLiningInputs.style.display = DOM.wpLiningMode.checked ? '' : 'none';
+    state.wpOpenings = cloneData(w.openings || []);
+    state.wpNextId   = nextOpeningId(state.wpOpenings, w.nextId);
+    renderWallpaperOpenings();
+    runWallpaperCalculation();
+  }
+
+  const p = data.paint;
+  if (p) {
+    writeViewFields(DOM.appPaint, p.fields);
+    restoreWallRows(DOM.ptWallsList, p.walls);
+    if (DOM.ptCansList) {
+      DOM.ptCansList.innerHTML = '';
+      (p.cans || []).forEach(function(can) {
+        addPaintCan();
+        writeRowFields(DOM.ptCansList.lastElementChild, CAN_FIELDS, can);
+      });
+    }
+    syncPaintInputs();
+    state.ptOpenings = cloneData(p.openings || []);
+    state.ptNextId   = nextOpeningId(state.ptOpenings, p.nextId);
+    renderPaintOpenings();
+    runPaintCalculation();
+  }
+
+  const f = data.flooring;
+  if (f) {
+    writeViewFields(DOM.appFlooring, f.fields);
+    runFlooringCalculation();
+  }
+
+  if (MATERIAL_VIEWS[data.activeMaterial]) switchMaterial(data.activeMaterial);
+}
+
+/** The whole project: every room, the open one refreshed from the calculators. */
+function captureProject() {
+  syncActiveRoom();
+  return {
+    version:    PROJECT_VERSION,
+    activeRoom: state.activeRoom,
+    rooms:      cloneData(state.rooms)
+  };
+}
+
+/** Replaces the rooms with a project snapshot and opens its active room (the summary stays open if it was). */
+function restoreProject(data) {
+  const summary = state.summaryOpen;
+  state.rooms      = data.rooms.map(function(room, i) {
+    return Object.assign({ name: 'ოთახი ' + (i + 1), include: {} }, fillRoom(room));
+  });
+  state.activeRoom = Math.max(0, Math.min(parseInt(data.activeRoom, 10) || 0, state.rooms.length - 1));
+  restoreRoom(state.rooms[state.activeRoom]);
+  renderRoomTabs();
+  if (summary) showRoomSummary();
+}
+
+/**
+ * Upgrades older snapshots one version at a time: PROJECT_MIGRATIONS[v]
+ * turns a version-v snapshot into version v + 1.
+ */
+const PROJECT_MIGRATIONS = {
+  // v1 (first saved projects) — row fields were keyed by their input class
+  1: function(data) {
+    const rekey = function(row, map) {
+      const out = {};
+      Object.keys(map).forEach(function(key) { if (row && row[map[key]] != null) out[key] = row[map[key]]; });
+      return out;
+    };
+    if (data.tiles && Array.isArray(data.tiles.walls)) {
+      data.tiles.walls = data.tiles.walls.map(function(w) {
+        const wall = rekey(w, TILE_WALL_FIELDS);
+        wall.zones = (w && Array.isArray(w.zones) ? w.zones : []).map(function(z) { return rekey(z, ZONE_FIELDS); });
+        return wall;
+      });
+    }
+    ['wallpaper', 'paint'].forEach(function(key) {
+      if (data[key] && Array.isArray(data[key].walls)) {
+        data[key].walls = data[key].walls.map(function(w) { return rekey(w, WP_WALL_FIELDS); });
+      }
+    });
+    if (data.paint && Array.isArray(data.paint.cans)) {
+      data.paint.cans = data.paint.cans.map(function(c) { return rekey(c, CAN_FIELDS); });
+    }
+    data.version = 2;
+    return data;
+  },
+
+  // v2 — one room: the four tab sections sat on the snapshot itself
+  2: function(data) {
+    const room = { name: 'ოთახი 1', include: {}, activeMaterial: data.activeMaterial };
+    ROOM_SECTIONS.forEach(function(key) {
+      if (data[key] !== undefined) room[key] = data[key];
+      delete data[key];
+    });
+    delete data.activeMaterial;
+    data.rooms      = [room];
+    data.activeRoom = 0;
+    data.version    = 3;
+    return data;
+  }
+};
+
+/**
+ * A saved or imported snapshot brought up to PROJECT_VERSION and checked.
+ * Throws an Error whose message is shown to the user as is.
+ */
+function migrateProject(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('ფაილი პროექტს არ შეიცავს.');
+  if (raw.format != null && raw.format !== PROJECT_FORMAT) throw new Error('ეს არ არის Jaokeni-ს პროექტის ფაილი.');
+  let data = cloneData(raw);
+  if (!Number.isInteger(data.version) || data.version < 1) throw new Error('პროექტის ვერსია უცნობია.');
+  if (data.version > PROJECT_VERSION) {
+    throw new Error('ფაილი შექმნილია აპლიკაციის უფრო ახალ ვერსიაში (v' + data.version + '); აქ იხსნება v' + PROJECT_VERSION + '-მდე.');
+  }
+  while (data.version < PROJECT_VERSION) data = PROJECT_MIGRATIONS[data.version](data);
+  validateProject(data);
+  return data;
+}
+
+/** Structure checks on a current-version snapshot, before anything touches the UI. */
+function validateProject(data) {
+  if (!Array.isArray(data.rooms) || data.rooms.length === 0) throw new Error('ფაილში არცერთი ოთახი არ არის.');
+  data.rooms.forEach(function(room, i) {
+    if (!room || typeof room !== 'object' || Array.isArray(room)) throw new Error('ოთახი ' + (i + 1) + ' დაზიანებულია.');
+    if (room.name != null && typeof room.name !== 'string') throw new Error('ოთახი ' + (i + 1) + ': სახელი ტექსტი არ არის.');
+    // One room needs no name in the messages
+    validateRoom(room, data.rooms.length > 1 ? (room.name || ('ოთახი ' + (i + 1))) + ' — ' : '');
+  });
+}
+
+/** Checks one room's tab sections; prefix names the room in the messages. */
+function validateRoom(data, prefix) {
+  const isObject = function(v) { return !!v && typeof v === 'object' && !Array.isArray(v); };
+  const isNum    = function(v) { return typeof v === 'number' && isFinite(v); };
+  // Names go into the page as text; anything else is a damaged or crafted file
+  const isName   = function(v) { return v == null || typeof v === 'string'; };
+  const sections = { tiles: 'ფილები', wallpaper: 'შპალერი', paint: 'საღებავი', flooring: 'ლამინატი' };
+
+  if (!Object.keys(sections).some(function(key) { return isObject(data[key]); })) {
+    throw new Error(prefix + 'ფაილში არცერთი კალკულატორის მონაცემი არ არის.');
+  }
+  Object.keys(sections).forEach(function(key) {
+    const sec   = data[key];
+    const label = prefix + sections[key];
+    if (sec == null) return;
+    if (!isObject(sec)) throw new Error(label + ': განყოფილება დაზიანებულია.');
+    if (sec.fields != null && !isObject(sec.fields)) throw new Error(label + ': ველები დაზიანებულია.');
+    ['walls', 'cans', 'openings'].forEach(function(list) {
+      if (sec[list] != null && !Array.isArray(sec[list])) throw new Error(label + ': „' + list + '“ სია არ არის.');
+    });
+    (sec.walls || []).forEach(function(w, i) {
+      const where = label + ': კედელი ' + (i + 1);
+      if (!isObject(w)) throw new Error(where + ' დაზიანებულია.');
+      if (!isName(w.name)) throw new Error(where + ' — სახელი ტექსტი არ არის.');
+      if (w.zones != null && !(Array.isArray(w.zones) && w.zones.every(isObject))) {
+        throw new Error(where + ' — ზონები დაზიანებულია.');
+      }
+    });
+    (sec.cans || []).forEach(function(c, i) {
+      if (!isObject(c)) throw new Error(label + ': ქილა ' + (i + 1) + ' დაზიანებულია.');
+    });
+    // Tile prices and boxes: size key → {…}
+    ['prices', 'boxes'].forEach(function(map) {
+      if (sec[map] == null) return;
+      if (!isObject(sec[map]) || !Object.keys(sec[map]).every(function(k) { return isObject(sec[map][k]); })) {
+        throw new Error(label + ': „' + map + '“ დაზიანებულია.');
+      }
+    });
+
+    // Tile openings sit at x / y on their wall; wallpaper / paint ones at x and a sill
+    const defaults = key === 'tiles' ? OPENING_DEFAULTS : WP_OPENING_DEFAULTS;
+    const coords   = key === 'tiles' ? ['width', 'height', 'x', 'y'] : ['width', 'height', 'x', 'sill'];
+    (sec.openings || []).forEach(function(o, i) {
+      const where = label + ': ღიობი ' + (i + 1);
+      if (!isObject(o) || !defaults[o.type]) throw new Error(where + ' — უცნობი ტიპი.');
+      if (!isName(o.name)) throw new Error(where + ' — სახელი ტექსტი არ არის.');
+      if (!coords.every(function(c) { return isNum(o[c]); })) throw new Error(where + ' — ზომა ან პოზიცია რიცხვი არ არის.');
+      if (!Number.isInteger(o.wallIndex) || o.wallIndex < 0) throw new Error(where + ' — wallIndex არასწორია.');
+      if (key === 'tiles' && sec.walls && o.wallIndex >= Math.max(1, sec.walls.length)) {
+        throw new Error(where + ' მიბმულია არარსებულ კედელზე (' + (o.wallIndex + 1) + ').');
+      }
+    });
+  });
+
+  if (isObject(data.tiles) && data.tiles.pattern != null && !TileLogic.LAYOUT_PATTERNS[data.tiles.pattern]) {
+    throw new Error(prefix + 'ფილები: უცნობი დაგების სტილი „' + data.tiles.pattern + '“.');
+  }
+}
+
+/** Reads an exported project file's text; throws with a user-facing message. */
+function parseProjectFile(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    throw new Error('ფაილი სწორი JSON არ არის.');
+  }
+  return migrateProject(raw);
+}
+
+/** Downloads the calculator as "<name>.json" — the snapshot plus format, name and export time. */
+function exportProject() {
+  const name = (DOM.projectName && DOM.projectName.value.trim()) || 'პროექტი';
+  const file = Object.assign({ format: PROJECT_FORMAT, name: name, exportedAt: new Date().toISOString() }, captureProject());
+  const url  = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = name.replace(/[\\/:*?"<>|]+/g, '-') + '.json';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(function() { URL.revokeObjectURL(url); }, 0);
+}
+
+/** Opens an exported file in the calculator; it is not saved until the user saves it. */
+function importProjectFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = function() {
+    let data;
+    try {
+      data = parseProjectFile(reader.result);
+    } catch (e) {
+      alert('იმპორტი ვერ მოხერხდა: ' + e.message);
+      return;
+    }
+    restoreProject(data);
+    recordHistory();
+    state.projectId = null;
+    if (DOM.projectName) DOM.projectName.value = data.name || file.name.replace(/\.json$/i, '');
+    renderProjectList();
+  };
+  reader.onerror = function() { alert('ფაილის წაკითხვა ვერ მოხერხდა.'); };
+  reader.readAsText(file);
+}
+
+/** Saved projects, newest save first: [{id, name, savedAt, data}]. */
+function loadProjects() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PROJECTS_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function storeProjects(list) {
+  try {
+    localStorage.setItem(PROJECTS_KEY, JSON.stringify(list));
+    return true;
+  } catch (e) {
+    alert('პროექტის შენახვა ვერ მოხერხდა — ბრაუზერის მეხსიერება სავსეა ან მიუწვდომელია.');
+    return false;
+  }
+}
+
+function findProject(list, id) {
+  return list.find(function(p) { return p.id === id; }) || null;
+}
+
+/** Moves `project` to the top of the list (most recently saved first). */
+function putProject(list, project) {
+  return [project].concat(list.filter(function(p) { return p.id !== project.id; }));
+}
+
+/**
+ * Saves the calculator under the name field.  Overwrites the open project
+ * unless `asNew` is set or none is open; the saved project becomes the open one.
+ */
+function saveProject(asNew) {
+  const list = loadProjects();
+  const open = asNew ? null : findProject(list, state.projectId);
+  const name = (DOM.projectName && DOM.projectName.value.trim()) || (open ? open.name : 'პროექტი ' + (list.length + 1));
+  const project = {
+    id:      open ? open.id : 'p' + Date.now().toString(36),
+    name:    name,
+    savedAt: Date.now(),
+    data:    captureProject()
+  };
+  if (!storeProjects(putProject(list, project))) return;
+  state.projectId = project.id;
+  if (DOM.projectName) DOM.projectName.value = project.name;
+  renderProjectList();
+}
+
+function openProject(id) {
+  const project = findProject(loadProjects(), id);
+  if (!project) return;
+  let data;
+  try {
+    data = migrateProject(project.data);
+  } catch (e) {
+    alert('პროექტის გახსნა ვერ მოხერხდა: ' + e.message);
+    return;
+  }
+  restoreProject(data);
+  recordHistory();
+  state.projectId = project.id;
+  if (DOM.projectName) DOM.projectName.value = project.name;
+  renderProjectList();
+}
+
+function duplicateProject(id) {
+  const list = loadProjects();
+  const project = findProject(list, id);
+  if (!project) return;
+  const copy = {
+    id:      'p' + Date.now().toString(36),
+    name:    project.name + ' (ასლი)',
+    savedAt: Date.now(),
+    data:    cloneData(project.data)
+  };
+  if (storeProjects(putProject(list, copy))) renderProjectList();
+}
+
+function renameProject(id) {
+  const list = loadProjects();
+  const project = findProject(list, id);
+  if (!project) return;
+  const name = prompt('პროექტის ახალი სახელი:', project.name);
+  if (name == null || !name.trim()) return;
+  project.name = name.trim().slice(0, 48);
+  if (!storeProjects(list)) return;
+  if (state.projectId === id && DOM.projectName) DOM.projectName.value = project.name;
+  renderProjectList();
+}
+
+/** Deletes a saved project; the calculator keeps its inputs, just no longer tied to it. */
+function deleteProject(id) {
+  const list = loadProjects();
+  const project = findProject(list, id);
+  if (!project || !confirm('წაიშალოს პროექტი „' + project.name + '“?')) return;
+  if (!storeProjects(list.filter(function(p) { return p.id !== id; }))) return;
+  if (state.projectId === id) state.projectId = null;
+  renderProjectList();
+}
+
+/** "19.10.2026 14:05" */
+function formatProjectDate(ms) {
+  const d = new Date(ms);
+  const pad = function(n) { return (n < 10 ? '0' : '') + n; };
+  return pad(d.getDate()) + '.' + pad(d.getMonth() + 1) + '.' + d.getFullYear() + ' ' + pad(d.getHours()) + ':' + pad(d.getMinutes());
+}
+
+function renderProjectList() {
+  if (!DOM.projectList) return;
+  const list = loadProjects();
+  if (list.length === 0) {
+    DOM.projectList.innerHTML = '<p class="project-empty">შენახული პროექტი არ არის</p>';
+    return;
+  }
+  DOM.projectList.innerHTML = list.map(function(p) {
+    return `<div class="project-row${p.id === state.projectId ? ' active' : ''}" data-id="${escapeHTML(p.id)}">
+      <button type="button" class="project-open" data-action="open" title="გახსნა">
+        <span class="project-name">${escapeHTML(p.name)}</span>
+        <span class="project-date">${formatProjectDate(p.savedAt)}</span>
+      </button>
+      <button type="button" class="project-action" data-action="duplicate" title="დუბლირება">⧉</button>
+      <button type="button" class="project-action" data-action="rename" title="გადარქმევა">✎</button>
+      <button type="button" class="project-action" data-action="delete" title="წაშლა">✕</button>
+    </div>`;
+  }).join('');
+}
+
+function initProjectPanel() {
+  if (DOM.projectSaveBtn)    DOM.projectSaveBtn.addEventListener('click', function() { saveProject(false); });
+  if (DOM.projectSaveNewBtn) DOM.projectSaveNewBtn.addEventListener('click', function() { saveProject(true); });
+  if (DOM.projectList) {
+    DOM.projectList.addEventListener('click', function(e) {
+      const btn = e.target.closest('[data-action]');
+      const row = e.target.closest('.project-row');
+      if (!btn || !row) return;
+      const id = row.getAttribute('data-id');
+      const actions = { open: openProject, duplicate: duplicateProject, rename: renameProject, delete: deleteProject };
+      if (actions[btn.getAttribute('data-action')]) actions[btn.getAttribute('data-action')](id);
+    });
+  }
+  if (DOM.projectExportBtn) DOM.projectExportBtn.addEventListener('click', exportProject);
+  if (DOM.projectImportBtn && DOM.projectImportFile) {
+    DOM.projectImportBtn.addEventListener('click', function() { DOM.projectImportFile.click(); });
+    DOM.projectImportFile.addEventListener('change', function() {
+      importProjectFile(DOM.projectImportFile.files[0]);
+      DOM.projectImportFile.value = '';   // the same file can be picked again
+    });
+  }
+  renderProjectList();
+}
+
+/* ============================================================
+   MODULE: Rooms — Several Rooms in One Project
+   ============================================================
+   state.rooms holds a captureRoom() snapshot per room, plus its name and
+   the summary choices (include: material → true / false).  The
+   calculators always show the open room; syncActiveRoom() copies them
+   back into its snapshot before anything reads state.rooms.  A room's
+   results are cached by its inputs when it is left; the summary opens only
+   the rooms with no cached results (new inputs from a file or an undo),
+   then reopens the active one.  A material counts in the summary once its inputs differ from a
+   fresh page, unless the checkbox says otherwise.
+*/
+
+const SUMMARY_MATERIALS = { tiles: 'ფილები', wallpaper: 'შპალერი', paint: 'საღებავი', flooring: 'ლამინატი' };
+
+/** A saved room with the sections it lacks (a share link carries one) taken from a fresh page. */
+function fillRoom(room) {
+  return Object.assign(cloneData(state.blankRoom), cloneData(room));
+}
+
+function syncActiveRoom() {
+  const room = state.rooms[state.activeRoom];
+  if (room) Object.assign(room, captureRoom());
+}
 
-  let displayWidth;
-  if (isPerimeterMode) {
-    const roomL  = parseFloat((document.getElementById('wpRoomLength') || {}).value) || 0;
-    const roomW  = parseFloat((document.getElementById('wpRoomWidth')  || {}).value) || 0;
-    displayWidth = (roomL + roomW) * 2;
+/** Opens room `index` in the calculators; clicking the open room leaves the summary. */
+function switchRoom(index) {
+  if (!state.rooms[index]) return;
+  recordHistory();   // also syncs the room being left
+  if (index !== state.activeRoom) {
+    cacheRoomFigure();
+    state.activeRoom = index;
+    restoreRoom(fillRoom(state.rooms[index]));
   } else {
-    displayWidth = DOM.wpWallWidth ? (parseFloat(DOM.wpWallWidth.value) || 0) : 0;
+    switchMaterial(state.activeMaterial);
   }
+  renderRoomTabs();
+}
 
-  const wallHeight = DOM.wpWallHeight ? (parseFloat(DOM.wpWallHeight.value) || 0) : 0;
-  const area = displayWidth * wallHeight;
-
-  if (DOM.wpWallAreaDisplay) {
-    DOM.wpWallAreaDisplay.textContent = area.toFixed(2) + ' მ²';
-  }
-  const cls = document.querySelector('.wallpaper-area-info');
-  if (cls) cls.textContent = 'ჯამური ფართობი: ' + area.toFixed(2) + ' მ²';
+function addRoom() {
+  const name = prompt('ოთახის სახელი:', 'ოთახი ' + (state.rooms.length + 1));
+  if (name == null || !name.trim()) return;
+  cacheRoomFigure();
+  state.rooms.push(Object.assign({ name: name.trim().slice(0, 48), include: {} }, cloneData(state.blankRoom)));
+  state.activeRoom = state.rooms.length - 1;
+  restoreRoom(fillRoom(state.rooms[state.activeRoom]));
+  renderRoomTabs();
+  recordHistory();
 }
 
-/* ============================================================
-   MODULE: Wallpaper — Calculation & Results
-   ============================================================ */
+function renameRoom(index) {
+  const room = state.rooms[index];
+  if (!room) return;
+  const name = prompt('ოთახის ახალი სახელი:', room.name);
+  if (name == null || !name.trim()) return;
+  room.name = name.trim().slice(0, 48);
+  renderRoomTabs();
+  if (state.summaryOpen) renderRoomSummary();
+  recordHistory();
+}
 
-function gatherWallpaperParams() {
-  return {
-    wallWidthM:      getNum(DOM.wpWallWidth),
-    wallHeightM:     getNum(DOM.wpWallHeight),
-    rollWidthM:      getNum(DOM.wpRollWidth),
-    rollLengthM:     getNum(DOM.wpRollLength),
-    patternRepeatCm: getNum(DOM.wpPatternRepeat),
-    rollPrice:       getNum(DOM.wpRollPrice)
-  };
+/** Deletes a room; the last one cannot go. */
+function removeRoom(index) {
+  const room = state.rooms[index];
+  if (!room || state.rooms.length < 2) return;
+  if (!confirm('წაიშალოს ოთახი „' + room.name + '“?')) return;
+  const summary = state.summaryOpen;
+  const wasOpen = index === state.activeRoom;
+  syncActiveRoom();
+  state.rooms.splice(index, 1);
+  if (index < state.activeRoom || state.activeRoom >= state.rooms.length) state.activeRoom--;
+  if (wasOpen) restoreRoom(fillRoom(state.rooms[state.activeRoom]));
+  renderRoomTabs();
+  if (summary) showRoomSummary();
+  recordHistory();
 }
 
-function renderWallpaperResults(result, params) {
-  const perimeterEl     = document.getElementById('wpPerimeterMode');
-  const isPerimeterMode = perimeterEl ? perimeterEl.checked : false;
+function renderRoomTabs() {
+  if (!DOM.roomList) return;
+  const single = state.rooms.length < 2;
+  DOM.roomList.innerHTML = state.rooms.map(function(room, i) {
+    return `<div class="project-row${i === state.activeRoom ? ' active' : ''}" data-index="${i}">
+      <button type="button" class="project-open" data-action="open" title="გახსნა"><span class="project-name">${escapeHTML(room.name)}</span></button>
+      <button type="button" class="project-action" data-action="rename" title="გადარქმევა">✎</button>
+      ${single ? '' : '<button type="button" class="project-action" data-action="delete" title="წაშლა">✕</button>'}
+    </div>`;
+  }).join('');
+}
 
-  if (DOM.wpRRolls)         DOM.wpRRolls.textContent         = result.totalRolls;
-  if (DOM.wpRStrips)        DOM.wpRStrips.textContent        = result.totalStrips;
-  if (DOM.wpRStripsPerRoll) DOM.wpRStripsPerRoll.textContent = result.stripsPerRoll;
-  if (DOM.wpRWallArea)      DOM.wpRWallArea.textContent      = result.wallArea.toFixed(2) + ' მ²';
-  if (DOM.wpRPurchased)     DOM.wpRPurchased.textContent     = result.totalPurchasedArea.toFixed(2) + ' მ²';
+/** Room results by the room's inputs (roomFigureKey), so unchanged rooms are not recalculated. */
+const ROOM_FIGURE_CACHE = {};
 
-  const dimsLabel = isPerimeterMode ? 'პერიმეტრი' : 'კედელი';
-  if (DOM.wpSDims)     DOM.wpSDims.innerHTML       = '<small>' + dimsLabel + ':</small> ' + params.wallWidthM + 'მ × ' + params.wallHeightM + 'მ';
-  if (DOM.wpSRollDims) DOM.wpSRollDims.textContent = params.rollWidthM + ' × ' + params.rollLengthM + ' მ';
-  if (DOM.wpSPattern)  DOM.wpSPattern.textContent  = params.patternRepeatCm > 0 ? (params.patternRepeatCm + ' სმ') : '— (არ მეორდება)';
-  if (DOM.wpSStripH)   DOM.wpSStripH.textContent   = result.effectiveStripHeight.toFixed(2) + ' მ';
-  if (DOM.wpSStrips)   DOM.wpSStrips.textContent   = result.totalStrips + ' ც.';
-  if (DOM.wpSPerRoll)  DOM.wpSPerRoll.textContent  = result.stripsPerRoll + ' ც.';
-  if (DOM.wpSRolls)    DOM.wpSRolls.textContent    = result.totalRolls + ' ც.';
+function roomFigureKey(room) {
+  const filled = fillRoom(room);
+  return JSON.stringify(ROOM_SECTIONS.map(function(key) { return filled[key]; }));
+}
 
-  if (DOM.wpRTotalPrice) DOM.wpRTotalPrice.textContent = result.totalPrice.toFixed(2) + ' ₾';
+/**
+ * The open room's results, read from the calculators:
+ * {used: {material: bool}, tiles, wallpaper, paint, flooring} — a material
+ * is null when its calculator has nothing to show.
+ */
+function readRoomFigure() {
+  flushCalculation();
+  const snap = captureRoom();
+  const used = {};
+  ROOM_SECTIONS.forEach(function(key) { used[key] = JSON.stringify(snap[key]) !== JSON.stringify(state.blankRoom[key]); });
+
+  const t  = state.lastResult;
+  const wp = state.wpLastResult && state.wpLastResult.result;
+  const pt = state.ptLastResult && state.ptLastResult.result;
+  const fl = state.flLastResult && state.flLastResult.result;
+  return {
+    used:      used,
+    tiles:     t && t.finalCount > 0 ? {
+      count: t.finalCount,
+      boxes: t.boxCount,
+      cost:  t.totalCost,
+      // Box settings travel with each size, so the totals can box the summed count
+      sizes: t.bySize.map(function(sz) {
+        return { lCm: sz.lCm, wCm: sz.wCm, count: sz.finalCount, purchaseArea: sz.purchaseArea,
+                 boxes: sz.boxCount, spareBoxes: sz.spareBoxes, cost: t.totalCost != null ? sz.cost : null,
+                 price: state.tilePrices[TileLogic.sizeKey(sz.lCm, sz.wCm)],
+                 boxDef: state.tileBoxes[TileLogic.sizeKey(sz.lCm, sz.wCm)],
+                 sqmPerBox: getNum(DOM.sqmPerBox) || 1.44, boxesPerPallet: getNum(DOM.boxesPerPallet) };
+      })
+    } : null,
+    wallpaper: wp && wp.totalRolls > 0 ? { rolls: wp.totalRolls, cost: wp.totalPrice } : null,
+    paint:     pt && pt.litres > 0 ? { litres: pt.litres, cans: pt.mix.cans, cost: pt.totalPrice } : null,
+    flooring:  fl && fl.packs > 0 ? { packs: fl.packs, cost: fl.totalPrice } : null
+  };
+}
 
-  const card = document.querySelector('.results-card--rose');
-  if (card) {
-    card.classList.remove('calculating');
-    void card.offsetWidth;
-    card.classList.add('calculating');
+/** Caches the results of the room open in the calculators (`room`, default the active one). */
+function cacheRoomFigure(room) {
+  if (!room) {
+    room = state.rooms[state.activeRoom];
+    if (!room) return null;
+    syncActiveRoom();
   }
-
-  state.wpLastResult = { result: result, params: params };
+  if (Object.keys(ROOM_FIGURE_CACHE).length > 100) {
+    Object.keys(ROOM_FIGURE_CACHE).forEach(function(k) { delete ROOM_FIGURE_CACHE[k]; });
+  }
+  return (ROOM_FIGURE_CACHE[roomFigureKey(room)] = readRoomFigure());
 }
 
-function runWallpaperCalculation() {
-  const perimeterEl     = document.getElementById('wpPerimeterMode');
-  const isPerimeterMode = perimeterEl ? perimeterEl.checked : false;
+/**
+ * Every room's results, one per room.  Cached rooms are taken as they are;
+ * the others are opened in the calculators one by one, and the active room
+ * is reopened only when that happened.
+ */
+function collectRoomFigures() {
+  const figures = state.rooms.map(function(room, i) {
+    return i === state.activeRoom ? cacheRoomFigure() : ROOM_FIGURE_CACHE[roomFigureKey(room)] || null;
+  });
+  if (figures.indexOf(null) < 0) return figures;
 
-  const wallHeight = getNum(DOM.wpWallHeight);
-  let   finalWidth;
+  state.rooms.forEach(function(room, i) {
+    if (figures[i]) return;
+    restoreRoom(fillRoom(room));
+    figures[i] = cacheRoomFigure(room);
+  });
+  restoreRoom(fillRoom(state.rooms[state.activeRoom]));
+  return figures;
+}
 
-  if (isPerimeterMode) {
-    // Perimeter mode: total wall width = (roomLength + roomWidth) * 2
-    const roomL = parseFloat((document.getElementById('wpRoomLength') || {}).value) || 0;
-    const roomW = parseFloat((document.getElementById('wpRoomWidth')  || {}).value) || 0;
-    finalWidth  = (roomL + roomW) * 2;
-  } else {
-    finalWidth = getNum(DOM.wpWallWidth);
-  }
+/** Whether a room's material goes into the totals: the user's choice, else whether it was filled in. */
+function roomIncludes(room, figure, material) {
+  const choice = room.include && room.include[material];
+  return typeof choice === 'boolean' ? choice : figure.used[material];
+}
 
-  const params = {
-    wallWidthM:      finalWidth,
-    wallHeightM:     wallHeight,
-    rollWidthM:      getNum(DOM.wpRollWidth),
-    rollLengthM:     getNum(DOM.wpRollLength),
-    patternRepeatCm: getNum(DOM.wpPatternRepeat),
-    rollPrice:       getNum(DOM.wpRollPrice)
-  };
+/**
+ * Totals over the included materials; tiles also per size ("60x30" →
+ * {lCm, wCm, count, boxes, leftoverTiles, pallets, …, cost}).  A size's
+ * boxes come from its summed tile count, not from each room's rounded-up
+ * boxes, and its cost from those boxes; its box settings and price are the
+ * first room's that has them.
+ */
+function sumRoomFigures(figures) {
+  const total = { cost: 0, tiles: 0, boxes: 0, rolls: 0, litres: 0, cans: 0, packs: 0, sizes: {},
+                  costs: { tiles: 0, wallpaper: 0, paint: 0, flooring: 0 } };
+  state.rooms.forEach(function(room, i) {
+    const fig = figures[i];
+    const on  = function(m) { return fig[m] && roomIncludes(room, fig, m); };
+    if (on('tiles')) {
+      total.tiles += fig.tiles.count;
+      fig.tiles.sizes.forEach(function(sz) {
+        const key = TileLogic.sizeKey(sz.lCm, sz.wCm);
+        const agg = total.sizes[key] || (total.sizes[key] = { lCm: sz.lCm, wCm: sz.wCm, count: 0, purchaseArea: 0,
+                                                              spareBoxes: 0, cost: 0, price: null, boxDef: sz.boxDef,
+                                                              sqmPerBox: sz.sqmPerBox, boxesPerPallet: sz.boxesPerPallet });
+        agg.count        += sz.count;
+        agg.purchaseArea += sz.purchaseArea;
+        agg.spareBoxes   += sz.spareBoxes || 0;
+        if (!agg.price && sz.cost != null && sz.price && parseFloat(sz.price.amount) > 0) agg.price = sz.price;
+        if (!agg.boxDef) agg.boxDef = sz.boxDef;
+        if (!(agg.boxesPerPallet > 0)) agg.boxesPerPallet = sz.boxesPerPallet;
+      });
+    }
+    if (on('wallpaper')) total.rolls += fig.wallpaper.rolls;
+    if (on('paint'))    { total.litres += fig.paint.litres; total.cans += fig.paint.cans; }
+    if (on('flooring')) total.packs += fig.flooring.packs;
+    // Tiles are priced per size below, on the summed boxes
+    Object.keys(total.costs).forEach(function(m) { if (m !== 'tiles' && on(m)) total.costs[m] += fig[m].cost || 0; });
+  });
+  Object.keys(total.sizes).forEach(function(k) {
+    const agg   = total.sizes[k];
+    const boxes = TileLogic.calcSizeBoxes({ lCm: agg.lCm, wCm: agg.wCm, finalCount: agg.count, purchaseArea: agg.purchaseArea },
+                                          agg.boxDef, agg.sqmPerBox, agg.spareBoxes, agg.boxesPerPallet);
+    Object.keys(boxes).forEach(function(f) { agg[f] = boxes[f]; });
+    agg.boxes = boxes.boxCount;
+    agg.cost  = agg.price ? TileLogic.calcSizeCost(agg, agg.price) : 0;
+    total.boxes       += boxes.boxCount;
+    total.costs.tiles += agg.cost;
+  });
+  total.cost = Object.keys(total.costs).reduce(function(sum, m) { return sum + total.costs[m]; }, 0);
+  return total;
+}
 
-  const result = WallpaperLogic.calcWallpaperAll(params);
+/** "64 ც. · 6 კოლ." — a room's quantity of one material. */
+function formatRoomAmount(material, fig) {
+  if (!fig) return '—';
+  if (material === 'tiles')     return fig.count + ' ც. · ' + fig.boxes + ' კოლ.';
+  if (material === 'wallpaper') return fig.rolls + ' რულონი';
+  if (material === 'paint')     return fig.litres.toFixed(1) + ' ლ · ' + fig.cans + ' ქილა';
+  return fig.packs + ' შეფ.';
+}
 
-  updateWallpaperAreaDisplay();
-  renderWallpaperResults(result, params);
-  updateWallpaperPreview();
+/** Recalculates every room and shows the project summary in place of the calculators. */
+function showRoomSummary() {
+  state.summaryFigures = collectRoomFigures();
+  Object.keys(MATERIAL_VIEWS).forEach(function(key) {
+    const view = MATERIAL_VIEWS[key];
+    if (DOM[view.app]) DOM[view.app].style.display = 'none';
+    if (DOM[view.nav]) DOM[view.nav].style.display = 'none';
+    if (DOM[view.tab]) DOM[view.tab].classList.remove('active');
+  });
+  if (DOM.appSummary) DOM.appSummary.style.display = 'block';
+  state.summaryOpen = true;
+  renderRoomSummary();
 }
 
-function resetWallpaper() {
-  if (DOM.wpWallWidth)       DOM.wpWallWidth.value       = '4.00';
-  if (DOM.wpWallHeight)      DOM.wpWallHeight.value      = '2.70';
-  if (DOM.wpRollWidth)       DOM.wpRollWidth.value       = '0.53';
-  if (DOM.wpRollLength)      DOM.wpRollLength.value      = '10.05';
-  if (DOM.wpPatternRepeat)   DOM.wpPatternRepeat.value   = '0';
-  if (DOM.wpPatternBadge)    DOM.wpPatternBadge.textContent    = '0 სმ';
-  if (DOM.wpPatternHintText) DOM.wpPatternHintText.textContent = 'Rapport 0 — ნახატი არ მეორდება';
-  updateRangeBackground(DOM.wpPatternRepeat, 'var(--rose)');
+function renderRoomSummary() {
+  const figures = state.summaryFigures;
+  if (!figures) return;
+  const total = sumRoomFigures(figures);
+
+  if (DOM.summaryRooms) {
+    DOM.summaryRooms.innerHTML = state.rooms.map(function(room, i) {
+      const fig  = figures[i];
+      const rows = Object.keys(SUMMARY_MATERIALS).map(function(m) {
+        const on = roomIncludes(room, fig, m);
+        return `<div class="breakdown-row${on ? '' : ' breakdown-row--off'}">
+          <label class="check-label"><input type="checkbox" data-room="${i}" data-material="${m}"${on ? ' checked' : ''} /> ${SUMMARY_MATERIALS[m]}</label>
+          <span class="breakdown-count mono">${formatRoomAmount(m, fig[m])}</span>
+          <span class="breakdown-cost mono">${fig[m] ? formatPrice(fig[m].cost) : '—'}</span>
+        </div>`;
+      }).join('');
+      return `<div class="wall-breakdown wall-breakdown--indigo">
+        <div class="breakdown-header"><button type="button" class="summary-room-open" data-room="${i}" title="ოთახის გახსნა">${escapeHTML(room.name)}</button></div>
+        <div class="breakdown-rows">${rows}</div>
+      </div>`;
+    }).join('');
+  }
 
-  [DOM.wpRRolls, DOM.wpRStrips, DOM.wpRStripsPerRoll, DOM.wpRWallArea, DOM.wpRPurchased,
-   DOM.wpSDims, DOM.wpSRollDims, DOM.wpSPattern, DOM.wpSStripH, DOM.wpSStrips, DOM.wpSPerRoll, DOM.wpSRolls]
-    .forEach(function(el) { if (el) el.textContent = '—'; });
+  if (DOM.summarySizes) {
+    const sizes = Object.keys(total.sizes).map(function(k) { return total.sizes[k]; });
+    DOM.summarySizes.innerHTML = sizes.length === 0
+      ? '<p class="summary-empty">ჯამში ფილები არ შედის</p>'
+      : `<div class="wall-breakdown wall-breakdown--indigo summary-sizes"><div class="breakdown-rows">${sizes.map(function(sz) {
+          return `<div class="breakdown-row">
+            <span class="breakdown-name">${sz.lCm}×${sz.wCm} სმ</span>
+            <span class="breakdown-count mono">${sz.count} ც.</span>
+            <span class="breakdown-area mono" title="ზედმეტი ფილა კოლოფებში">${sz.boxes} კოლ. (+${sz.leftoverTiles} ც.)</span>
+            <span class="breakdown-cost mono">${sz.cost > 0 ? formatPrice(sz.cost) : '—'}</span>
+          </div>
+          ${sz.boxesPerPallet > 0 ? `<div class="breakdown-cuts mono">${formatPallet([sz], sz.boxesPerPallet)}</div>` : ''}`;
+        }).join('')}</div></div>`;
+  }
 
-  state.wpLastResult = null;
-  updateWallpaperPreview();
+  if (DOM.sumRCost)      DOM.sumRCost.textContent      = total.cost.toFixed(2) + ' ₾';
+  if (DOM.sumRTiles)     DOM.sumRTiles.textContent     = total.tiles;
+  if (DOM.sumRBoxes)     DOM.sumRBoxes.textContent     = total.boxes;
+  if (DOM.sumRRolls)     DOM.sumRRolls.textContent     = total.rolls;
+  if (DOM.sumRPacks)     DOM.sumRPacks.textContent     = total.packs;
+  if (DOM.sumSRooms)     DOM.sumSRooms.textContent     = state.rooms.length;
+  if (DOM.sumSTiles)     DOM.sumSTiles.textContent     = formatPrice(total.costs.tiles);
+  if (DOM.sumSWallpaper) DOM.sumSWallpaper.textContent = formatPrice(total.costs.wallpaper);
+  if (DOM.sumSPaint)     DOM.sumSPaint.textContent     = total.litres.toFixed(1) + ' ლ · ' + total.cans + ' ქილა · ' + formatPrice(total.costs.paint);
+  if (DOM.sumSFlooring)  DOM.sumSFlooring.textContent  = formatPrice(total.costs.flooring);
+  if (DOM.sumRTotalPrice) DOM.sumRTotalPrice.textContent = total.cost.toFixed(2) + ' ₾';
 }
 
-function copyWallpaperResult() {
-  if (!state.wpLastResult) { alert('პირველ რიგში გამოთვლა ჩაატარეთ.'); return; }
-  const r = state.wpLastResult.result;
-  const p = state.wpLastResult.params;
+function copyRoomSummary() {
+  const figures = state.summaryFigures;
+  if (!figures) return;
+  const total = sumRoomFigures(figures);
+  const roomLines = [];
+  state.rooms.forEach(function(room, i) {
+    const lines = Object.keys(SUMMARY_MATERIALS).filter(function(m) {
+      return figures[i][m] && roomIncludes(room, figures[i], m);
+    }).map(function(m) {
+      const fig = figures[i][m];
+      return '  ' + SUMMARY_MATERIALS[m] + ': ' + formatRoomAmount(m, fig) + (fig.cost > 0 ? ' · ' + formatPrice(fig.cost) : '');
+    });
+    if (lines.length > 0) roomLines.push('', '🏠 ' + room.name, ...lines);
+  });
+  const sizeLines = Object.keys(total.sizes).map(function(k) {
+    const sz = total.sizes[k];
+    return '  ' + sz.lCm + '×' + sz.wCm + ' სმ: ' + sz.count + ' ც. · ' + sz.boxes + ' კოლ. (+' + sz.leftoverTiles + ' ც.)' +
+      (sz.cost > 0 ? ' · ' + formatPrice(sz.cost) : '') + (sz.boxesPerPallet > 0 ? ' · ' + formatPallet([sz], sz.boxesPerPallet) : '');
+  });
 
   const txt = [
     '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
-    '  შპალერის კალკულატორი',
+    '  პროექტის ჯამი — ' + state.rooms.length + ' ოთახი',
     '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━',
-    '', '🏠 კედელი',
-    '  სიგ. × სიმ.          : ' + p.wallWidthM + ' × ' + p.wallHeightM + ' მ',
-    '  კედლის ფართობი       : ' + r.wallArea.toFixed(2) + ' მ²',
-    '', '🗞 რულონი',
-    '  სიგ. × სიგ.          : ' + p.rollWidthM + ' × ' + p.rollLengthM + ' მ',
-    '  ნახატის განმეორება   : ' + (p.patternRepeatCm > 0 ? p.patternRepeatCm + ' სმ' : 'არ მეორდება'),
-    '  ეფ. ზოლის სიმ.       : ' + r.effectiveStripHeight.toFixed(2) + ' მ',
-    '', '📦 შედეგი',
-    '  სულ ზოლები           : ' + r.totalStrips + ' ც.',
-    '  ზოლი ერთ რულონში     : ' + r.stripsPerRoll + ' ც.',
-    '  საჭირო რულონები      : ' + r.totalRolls + ' ც.',
-    '  შეძენილი ფართობი     : ' + r.totalPurchasedArea.toFixed(2) + ' მ²',
-    '', '⚠️  შეამოწმეთ Batch Number ყველა რულონზე!',
+    ...roomLines,
+    ...(sizeLines.length > 0 ? ['', '🧱 ფილები ზომების მიხედვით', ...sizeLines] : []),
+    '', '📦 სულ',
+    '  ფილები               : ' + total.tiles + ' ც. · ' + total.boxes + ' კოლ.',
+    '  შპალერი              : ' + total.rolls + ' რულონი',
+    '  საღებავი             : ' + total.litres.toFixed(1) + ' ლ · ' + total.cans + ' ქილა',
+    '  ლამინატი             : ' + total.packs + ' შეფ.',
+    '  ჯამური ღირებულება    : ' + total.cost.toFixed(2) + ' ₾',
     '', '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'
   ].join('\n');
 
   navigator.clipboard.writeText(txt).then(function() {
-    if (!DOM.wpCopyBtn) return;
-    DOM.wpCopyBtn.textContent = '✓ კოპირებულია!';
-    DOM.wpCopyBtn.classList.add('success');
+    if (!DOM.sumCopyBtn) return;
+    DOM.sumCopyBtn.textContent = '✓ კოპირებულია!';
+    DOM.sumCopyBtn.classList.add('success');
     setTimeout(function() {
-      DOM.wpCopyBtn.innerHTML = '<svg viewBox="0 0 20 20" fill="currentColor" width="15" height="15"><path d="M8 3a1 1 0 011-1h2a1 1 0 110 2H9a1 1 0 01-1-1z"/><path d="M6 3a2 2 0 00-2 2v11a2 2 0 002 2h8a2 2 0 002-2V5a2 2 0 00-2-2 3 3 0 01-3 3H9a3 3 0 01-3-3z"/></svg> შედეგის კოპირება';
-      DOM.wpCopyBtn.classList.remove('success');
+      DOM.sumCopyBtn.innerHTML = '<svg viewBox="0 0 20 20" fill="currentColor" width="15" height="15"><path d="M8 3a1 1 0 011-1h2a1 1 0 110 2H9a1 1 0 01-1-1z"/><path d="M6 3a2 2 0 00-2 2v11a2 2 0 002 2h8a2 2 0 002-2V5a2 2 0 00-2-2 3 3 0 01-3 3H9a3 3 0 01-3-3z"/></svg> ჯამის კოპირება';
+      DOM.sumCopyBtn.classList.remove('success');
     }, 2500);
-  }).catch(function() { alert('კოპირება ვერ მოხდა.'); });
+  });
+}
+
+/** Wires the room list and the summary; the page starts with one room as a fresh page shows it. */
+function initRoomPanel() {
+  state.blankRoom = captureRoom();
+  state.blankRoom.tiles.pattern = 'standard';   // init() applies it right after
+  state.rooms      = [Object.assign({ name: 'ოთახი 1', include: {} }, cloneData(state.blankRoom))];
+  state.activeRoom = 0;
+
+  if (DOM.roomList) {
+    DOM.roomList.addEventListener('click', function(e) {
+      const btn = e.target.closest('[data-action]');
+      const row = e.target.closest('.project-row');
+      if (!btn || !row) return;
+      const index = parseInt(row.getAttribute('data-index'), 10);
+      const actions = { open: switchRoom, rename: renameRoom, delete: removeRoom };
+      if (actions[btn.getAttribute('data-action')]) actions[btn.getAttribute('data-action')](index);
+    });
+  }
+  if (DOM.roomAddBtn)     DOM.roomAddBtn.addEventListener('click', addRoom);
+  if (DOM.roomSummaryBtn) DOM.roomSummaryBtn.addEventListener('click', showRoomSummary);
+  if (DOM.summaryRooms) {
+    DOM.summaryRooms.addEventListener('change', function(e) {
+      const box = e.target.closest('input[data-material]');
+      if (!box) return;
+      const room = state.rooms[parseInt(box.getAttribute('data-room'), 10)];
+      if (!room) return;
+      room.include = room.include || {};
+      room.include[box.getAttribute('data-material')] = box.checked;
+      renderRoomSummary();
+    });
+    DOM.summaryRooms.addEventListener('click', function(e) {
+      const btn = e.target.closest('.summary-room-open');
+      if (btn) switchRoom(parseInt(btn.getAttribute('data-room'), 10));
+    });
+  }
+  if (DOM.sumCopyBtn) DOM.sumCopyBtn.addEventListener('click', copyRoomSummary);
+  renderRoomTabs();
+}
+
+/* ============================================================
+   MODULE: Share — Calculation Packed into the Link
+   ============================================================
+   The active tab's snapshot (the open room, that section only) goes into
+   the hash as base64url JSON: #p=…  Nothing leaves the browser — the hash
+   is never sent to the server.
+*/
+
+const SHARE_HASH_RE = /^#p=([A-Za-z0-9_-]+)$/;
+
+/** JSON → UTF-8 → base64url (Georgian names survive btoa this way). */
+function encodeShareState(data) {
+  let bin = '';
+  new TextEncoder().encode(JSON.stringify(data)).forEach(function(b) { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/** Inverse of encodeShareState; throws with a user-facing message. */
+function decodeShareState(text) {
+  try {
+    const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, function(ch) { return ch.charCodeAt(0); })));
+  } catch (e) {
+    throw new Error('ბმული დაზიანებულია ან ბოლომდე არ არის დაკოპირებული.');
+  }
+}
+
+/** This page's address with the active tab's inputs in the hash. */
+function buildShareLink() {
+  const full = captureProject();
+  const room = full.rooms[full.activeRoom];
+  const shared = { name: room.name, include: {}, activeMaterial: room.activeMaterial };
+  shared[room.activeMaterial] = room[room.activeMaterial];
+  const data = { version: full.version, activeRoom: 0, rooms: [shared] };
+  return location.href.split('#')[0] + '#p=' + encodeShareState(data);
+}
+
+/** Copies the share link; where the clipboard is blocked the link is shown to copy by hand. */
+function shareCalculation(btn) {
+  const link = buildShareLink();
+  navigator.clipboard.writeText(link).then(function() {
+    if (!btn) return;
+    const html = btn.innerHTML;
+    btn.textContent = '✓ ბმული დაკოპირდა';
+    setTimeout(function() { btn.innerHTML = html; }, 2500);
+  }).catch(function() { prompt('დააკოპირეთ ბმული:', link); });
+}
+
+/**
+ * Applies a calculation shared through the hash.  Called by init() before
+ * the default layout pattern; returns true when a link was applied (its
+ * pattern then stands — a link from another tab carries none, so init still
+ * sets the default).  A broken link is reported and the page keeps its
+ * defaults.
+ */
+function applySharedState() {
+  const m = location.hash.match(SHARE_HASH_RE);
+  if (!m) return false;
+  let data;
+  try {
+    data = migrateProject(decodeShareState(m[1]));
+  } catch (e) {
+    alert('გაზიარებული გამოთვლა ვერ გაიხსნა: ' + e.message);
+    return false;
+  }
+  restoreProject(data);
+  return true;
+}
+
+/* ============================================================
+   MODULE: History — Undo / Redo
+   ============================================================
+   Every step is a captureProject() snapshot; undo / redo put one back with
+   restoreProject().  Edits are picked up by setupHistoryAutoRecord(): any
+   input, change or click in the calculators schedules a record, and typing
+   in one field settles into a single step.  A record equal to the current
+   step is dropped, so clicks that change nothing leave no step.
+*/
+
+const HISTORY_LIMIT    = 100;
+const HISTORY_DELAY_MS = 400;
+
+const editHistory = {
+  entries:  [],      // [{key, data}] — key: the snapshot without the open room and tabs
+  index:    -1,
+  timer:    null,
+  applying: false    // set while a step is being restored
+};
+
+/** Adds the current inputs as a new step (dropping any redo steps). */
+function recordHistory() {
+  clearTimeout(editHistory.timer);
+  editHistory.timer = null;
+  if (editHistory.applying) return;
+
+  const data = captureProject();
+  const key  = JSON.stringify({   // switching rooms or tabs is not an edit
+    rooms: data.rooms.map(function(room) { return Object.assign({}, room, { activeMaterial: null }); })
+  });
+  const current = editHistory.entries[editHistory.index];
+  if (current && current.key === key) return;
+
+  editHistory.entries = editHistory.entries.slice(0, editHistory.index + 1).concat([{ key: key, data: data }]);
+  if (editHistory.entries.length > HISTORY_LIMIT) editHistory.entries.shift();
+  editHistory.index = editHistory.entries.length - 1;
+  syncHistoryButtons();
+}
+
+function scheduleHistory() {
+  if (editHistory.applying) return;
+  clearTimeout(editHistory.timer);
+  editHistory.timer = setTimeout(recordHistory, HISTORY_DELAY_MS);
+}
+
+/**
+ * Moves `delta` steps through the history.  The room and tab that show the
+ * change are opened: the undone step's on undo, the redone step's on redo.
+ */
+function stepHistory(delta) {
+  if (editHistory.timer) recordHistory();   // a pending edit is the newest step
+  const target = editHistory.index + delta;
+  if (target < 0 || target >= editHistory.entries.length) return;
+
+  const data  = cloneData(editHistory.entries[target].data);
+  const shown = editHistory.entries[delta < 0 ? editHistory.index : target].data;
+  data.activeRoom = Math.min(shown.activeRoom, data.rooms.length - 1);
+  if (shown.rooms[shown.activeRoom]) data.rooms[data.activeRoom].activeMaterial = shown.rooms[shown.activeRoom].activeMaterial;
+  editHistory.index    = target;
+  editHistory.applying = true;
+  try {
+    restoreProject(data);
+  } finally {
+    editHistory.applying = false;
+  }
+  syncHistoryButtons();
+}
+
+function undoEdit() { stepHistory(-1); }
+function redoEdit() { stepHistory(1); }
+
+function syncHistoryButtons() {
+  document.querySelectorAll('.btn-undo').forEach(function(btn) { btn.disabled = editHistory.index <= 0; });
+  document.querySelectorAll('.btn-redo').forEach(function(btn) { btn.disabled = editHistory.index >= editHistory.entries.length - 1; });
 }
 
 /* ============================================================
@@ -1576,6 +4324,7 @@ function initCanvasDragDrop() {
       tileDragState.isDragging = false;
       tileDragState.targetId   = null;
       updateLivePreview();
+      recordHistory();   // one undo step per drag
     }
   });
 
@@ -1652,6 +4401,34 @@ function init() {
     sTileArea:   document.getElementById('sTileArea'),
     sBaseCount:  document.getElementById('sBaseCount'),
     sFinalCount: document.getElementById('sFinalCount'),
+    sCutSummary: document.getElementById('sCutSummary'),
+    sBySize:     document.getElementById('sBySize'),
+    sTilesSaved: document.getElementById('sTilesSaved'),
+    sThinnestCut: document.getElementById('sThinnestCut'),
+    sLeftoverTiles: document.getElementById('sLeftoverTiles'),
+    sPallet:      document.getElementById('sPallet'),
+    boxesPerPallet:  document.getElementById('boxesPerPallet'),
+    spareBoxesWall:  document.getElementById('spareBoxesWall'),
+    spareBoxesFloor: document.getElementById('spareBoxesFloor'),
+    rTotalPrice: document.getElementById('rTotalPrice'),
+    cAdhesive:   document.getElementById('cAdhesive'),
+    cGrout:      document.getElementById('cGrout'),
+    cSpacers:    document.getElementById('cSpacers'),
+    cTrims:      document.getElementById('cTrims'),
+    adhesiveNotch:   document.getElementById('adhesiveNotch'),
+    adhesiveBagKg:   document.getElementById('adhesiveBagKg'),
+    groutDepthMm:    document.getElementById('groutDepthMm'),
+    groutBagKg:      document.getElementById('groutBagKg'),
+    spacersPerTile:  document.getElementById('spacersPerTile'),
+    spacerPack:      document.getElementById('spacerPack'),
+    externalCorners: document.getElementById('externalCorners'),
+    trimLengthM:     document.getElementById('trimLengthM'),
+    trimTopEdge:     document.getElementById('trimTopEdge'),
+    trimOpenings:    document.getElementById('trimOpenings'),
+    tilePriceList: document.getElementById('tilePriceList'),
+    gridOrigin:  document.getElementById('gridOrigin'),
+    minCutPct:   document.getElementById('minCutPct'),
+    tileCutWarnings: document.getElementById('tileCutWarnings'),
 
     calculateBtn:    document.getElementById('calculateBtn'),
     resetBtn:        document.getElementById('resetBtn'),
@@ -1660,11 +4437,29 @@ function init() {
     openingTemplate: document.getElementById('openingTemplate'),
 
     // WALLPAPER
-    wpWallWidth:        document.getElementById('wpWallWidth'),
+    wpWallsList:        document.getElementById('wpWallsList'),
+    wpOpeningsList:     document.getElementById('wpOpeningsList'),
+    wpOpeningTemplate:  document.getElementById('wpOpeningTemplate'),
+    wpWallBreakdown:    document.getElementById('wpWallBreakdown'),
+    wpRollPlan:         document.getElementById('wpRollPlan'),
     wpWallHeight:       document.getElementById('wpWallHeight'),
     wpWallAreaDisplay:  document.getElementById('wpWallAreaDisplay'),
     wpRollWidth:        document.getElementById('wpRollWidth'),
     wpRollLength:       document.getElementById('wpRollLength'),
+    wpPreset:           document.getElementById('wpPreset'),
+    wpTrimTop:          document.getElementById('wpTrimTop'),
+    wpTrimBottom:       document.getElementById('wpTrimBottom'),
+    wpSTrim:            document.getElementById('wpSTrim'),
+    wpPasteType:        document.getElementById('wpPasteType'),
+    wpPasteCoverage:    document.getElementById('wpPasteCoverage'),
+    wpPastePrice:       document.getElementById('wpPastePrice'),
+    wpLiningMode:       document.getElementById('wpLiningMode'),
+    wpLiningInputs:     document.getElementById('wpLiningInputs'),
+    wpLiningWidth:      document.getElementById('wpLiningWidth'),
+    wpLiningLength:     document.getElementById('wpLiningLength'),
+    wpLiningPrice:      document.getElementById('wpLiningPrice'),
+    wpSPaste:           document.getElementById('wpSPaste'),
+    wpSLining:          document.getElementById('wpSLining'),
     wpPatternRepeat:    document.getElementById('wpPatternRepeat'),
     wpPatternBadge:     document.getElementById('wpPatternBadge'),
     wpPatternHintText:  document.getElementById('wpPatternHintText'),
@@ -1672,6 +4467,7 @@ function init() {
     wpResetBtn:         document.getElementById('wpResetBtn'),
     wpCopyBtn:          document.getElementById('wpCopyBtn'),
     wpCanvas:           document.getElementById('wpPreviewCanvas'),
+    wpSeamWarnings:     document.getElementById('wpSeamWarnings'),
     wpRRolls:           document.getElementById('wpRRolls'),
     wpRStrips:          document.getElementById('wpRStrips'),
     wpRStripsPerRoll:   document.getElementById('wpRStripsPerRoll'),
@@ -1681,13 +4477,123 @@ function init() {
     wpSRollDims:        document.getElementById('wpSRollDims'),
     wpSPattern:         document.getElementById('wpSPattern'),
     wpSStripH:          document.getElementById('wpSStripH'),
+    wpSMatchWaste:      document.getElementById('wpSMatchWaste'),
+    wpSOffcut:          document.getElementById('wpSOffcut'),
+    wpMatchType:        document.getElementById('wpMatchType'),
+    wpCeilingMode:      document.getElementById('wpCeilingMode'),
+    wpCeilingDirection: document.getElementById('wpCeilingDirection'),
+    wpCeilingInputs:    document.getElementById('wpCeilingInputs'),
+    wpSCeiling:         document.getElementById('wpSCeiling'),
     wpSStrips:          document.getElementById('wpSStrips'),
     wpSPerRoll:         document.getElementById('wpSPerRoll'),
-    wpSRolls:           document.getElementById('wpSRolls')
+    wpSRolls:           document.getElementById('wpSRolls'),
+
+    // PAINT
+    appPaint:         document.getElementById('appPaint'),
+    tabPaint:         document.getElementById('tabPaint'),
+    navPaint:         document.getElementById('navPaint'),
+    ptWallsList:      document.getElementById('ptWallsList'),
+    ptWallHeight:     document.getElementById('ptWallHeight'),
+    ptCeilingMode:    document.getElementById('ptCeilingMode'),
+    ptCeilingInputs:  document.getElementById('ptCeilingInputs'),
+    ptRoomLength:     document.getElementById('ptRoomLength'),
+    ptRoomWidth:      document.getElementById('ptRoomWidth'),
+    ptAreaDisplay:    document.getElementById('ptAreaDisplay'),
+    ptOpeningsList:   document.getElementById('ptOpeningsList'),
+    ptCoverage:       document.getElementById('ptCoverage'),
+    ptCoats:          document.getElementById('ptCoats'),
+    ptCansList:       document.getElementById('ptCansList'),
+    ptPrimerMode:     document.getElementById('ptPrimerMode'),
+    ptPrimerInputs:   document.getElementById('ptPrimerInputs'),
+    ptPrimerCoverage: document.getElementById('ptPrimerCoverage'),
+    ptPrimerCanSize:  document.getElementById('ptPrimerCanSize'),
+    ptPrimerCanPrice: document.getElementById('ptPrimerCanPrice'),
+    ptCalculateBtn:   document.getElementById('ptCalculateBtn'),
+    ptResetBtn:       document.getElementById('ptResetBtn'),
+    ptCopyBtn:        document.getElementById('ptCopyBtn'),
+    ptRLitres:        document.getElementById('ptRLitres'),
+    ptRArea:          document.getElementById('ptRArea'),
+    ptRCans:          document.getElementById('ptRCans'),
+    ptRBought:        document.getElementById('ptRBought'),
+    ptRSurplus:       document.getElementById('ptRSurplus'),
+    ptSWalls:         document.getElementById('ptSWalls'),
+    ptSDeduction:     document.getElementById('ptSDeduction'),
+    ptSCeiling:       document.getElementById('ptSCeiling'),
+    ptSCoverage:      document.getElementById('ptSCoverage'),
+    ptSMix:           document.getElementById('ptSMix'),
+    ptSPrimer:        document.getElementById('ptSPrimer'),
+    ptRTotalPrice:    document.getElementById('ptRTotalPrice'),
+    ptWallBreakdown:  document.getElementById('ptWallBreakdown'),
+
+    // FLOORING
+    appFlooring:    document.getElementById('appFlooring'),
+    tabFlooring:    document.getElementById('tabFlooring'),
+    navFlooring:    document.getElementById('navFlooring'),
+    flRoomLength:   document.getElementById('flRoomLength'),
+    flRoomWidth:    document.getElementById('flRoomWidth'),
+    flDirection:    document.getElementById('flDirection'),
+    flGap:          document.getElementById('flGap'),
+    flAreaDisplay:  document.getElementById('flAreaDisplay'),
+    flMaterial:     document.getElementById('flMaterial'),
+    flPlankLength:  document.getElementById('flPlankLength'),
+    flPlankWidth:   document.getElementById('flPlankWidth'),
+    flPerPack:      document.getElementById('flPerPack'),
+    flPackPrice:    document.getElementById('flPackPrice'),
+    flMinOffset:    document.getElementById('flMinOffset'),
+    flMinPiece:     document.getElementById('flMinPiece'),
+    flMinRip:       document.getElementById('flMinRip'),
+    flReserve:      document.getElementById('flReserve'),
+    flCalculateBtn: document.getElementById('flCalculateBtn'),
+    flResetBtn:     document.getElementById('flResetBtn'),
+    flCopyBtn:      document.getElementById('flCopyBtn'),
+    flPreviewScroll: document.getElementById('flPreviewScroll'),
+    flRPacks:       document.getElementById('flRPacks'),
+    flRPlanks:      document.getElementById('flRPlanks'),
+    flRRows:        document.getElementById('flRRows'),
+    flRCovered:     document.getElementById('flRCovered'),
+    flRPurchased:   document.getElementById('flRPurchased'),
+    flSRoom:        document.getElementById('flSRoom'),
+    flSPlank:       document.getElementById('flSPlank'),
+    flSPack:        document.getElementById('flSPack'),
+    flSRip:         document.getElementById('flSRip'),
+    flSReserve:     document.getElementById('flSReserve'),
+    flSWaste:       document.getElementById('flSWaste'),
+    flSOffcuts:     document.getElementById('flSOffcuts'),
+    flRTotalPrice:  document.getElementById('flRTotalPrice'),
+    flRowPlan:      document.getElementById('flRowPlan'),
+
+    // PROJECTS
+    projectName:       document.getElementById('projectName'),
+    projectSaveBtn:    document.getElementById('projectSaveBtn'),
+    projectSaveNewBtn: document.getElementById('projectSaveNewBtn'),
+    projectList:       document.getElementById('projectList'),
+    projectExportBtn:  document.getElementById('projectExportBtn'),
+    projectImportBtn:  document.getElementById('projectImportBtn'),
+    projectImportFile: document.getElementById('projectImportFile'),
+
+    // ROOMS
+    roomList:       document.getElementById('roomList'),
+    roomAddBtn:     document.getElementById('roomAddBtn'),
+    roomSummaryBtn: document.getElementById('roomSummaryBtn'),
+    appSummary:     document.getElementById('appSummary'),
+    summaryRooms:   document.getElementById('summaryRooms'),
+    summarySizes:   document.getElementById('summarySizes'),
+    sumRCost:       document.getElementById('sumRCost'),
+    sumRTiles:      document.getElementById('sumRTiles'),
+    sumRBoxes:      document.getElementById('sumRBoxes'),
+    sumRRolls:      document.getElementById('sumRRolls'),
+    sumRPacks:      document.getElementById('sumRPacks'),
+    sumSRooms:      document.getElementById('sumSRooms'),
+    sumSTiles:      document.getElementById('sumSTiles'),
+    sumSWallpaper:  document.getElementById('sumSWallpaper'),
+    sumSPaint:      document.getElementById('sumSPaint'),
+    sumSFlooring:   document.getElementById('sumSFlooring'),
+    sumRTotalPrice: document.getElementById('sumRTotalPrice'),
+    sumCopyBtn:     document.getElementById('sumCopyBtn')
   };
 
   // Material switcher
-  [DOM.tabTiles, DOM.tabWallpaper].forEach(function(btn) {
+  [DOM.tabTiles, DOM.tabWallpaper, DOM.tabPaint, DOM.tabFlooring].forEach(function(btn) {
     if (!btn) return;
     btn.addEventListener('click', function() { switchMaterial(btn.getAttribute('data-material')); });
   });
@@ -1705,13 +4611,38 @@ function init() {
     });
   }
 
-  // FIX 5: tile params now trigger both preview AND calculation
-  [DOM.tileLength, DOM.tileWidth, DOM.groutJoint, DOM.sqmPerBox].forEach(function(el) {
-    if (!el) return;
-    el.addEventListener('input', function() {
+  // TILES: price rows (rebuilt by renderTilePrices) — delegated
+  if (DOM.tilePriceList) {
+    ['input', 'change'].forEach(function(type) {
+      DOM.tilePriceList.addEventListener(type, function(e) {
+        const row = e.target.closest('.tile-price-row');
+        if (row) updateTilePrice(row);
+      });
+    });
+  }
+
+  // TILES: box purchasing and consumables — counts only, the layout is unaffected
+  [DOM.boxesPerPallet, DOM.spareBoxesWall, DOM.spareBoxesFloor,
+   DOM.adhesiveBagKg, DOM.groutDepthMm, DOM.groutBagKg, DOM.spacersPerTile, DOM.spacerPack,
+   DOM.externalCorners, DOM.trimLengthM].forEach(function(el) {
+    if (el) el.addEventListener('input', scheduleCalculation);
+  });
+  [DOM.adhesiveNotch, DOM.trimTopEdge, DOM.trimOpenings].forEach(function(el) {
+    if (el) el.addEventListener('change', runCalculation);
+  });
+
+  // Grid start: the preview and the count both follow it
+  if (DOM.gridOrigin) {
+    DOM.gridOrigin.addEventListener('change', function() {
       updateLivePreview();
       runCalculation();
     });
+  }
+
+  // FIX 5: tile params now trigger both preview AND calculation
+  [DOM.tileLength, DOM.tileWidth, DOM.groutJoint, DOM.sqmPerBox, DOM.minCutPct].forEach(function(el) {
+    if (!el) return;
+    el.addEventListener('input', scheduleCalculation);
   });
 
   // FIX 3a: waste slider now calls runCalculation()
@@ -1719,9 +4650,7 @@ function init() {
     DOM.wastePct.addEventListener('input', function() {
       if (DOM.wasteBadge) DOM.wasteBadge.textContent = DOM.wastePct.value + '%';
       updateRangeBackground(DOM.wastePct);
-      state.activePattern = null;
-      clearActivePattern();
-      runCalculation();   // ← was missing
+      scheduleCalculation();   // margin only — the selected pattern stays
     });
   }
 
@@ -1731,14 +4660,50 @@ function init() {
     wallsList.addEventListener('input', function(e) {
       const cls = e.target.classList;
       if (cls.contains('wall-width') || cls.contains('wall-height') ||
-          cls.contains('wall-name')  ||
-          cls.contains('wall-tile-length') || cls.contains('wall-tile-width')) {
+          cls.contains('wall-name')  || cls.contains('floor-corners') ||
+          cls.contains('wall-tile-length') || cls.contains('wall-tile-width') ||
+          cls.contains('wall-height-right') || cls.contains('wall-apex') ||
+          cls.contains('wall-apex-x') || cls.contains('wall-corners') ||
+          e.target.closest('.wall-zone-row')) {
         // Update the per-wall tile badge if a tile-size field changed
         const wallEl = e.target.closest('.wall-item');
         if (wallEl) updateWallTileBadge(wallEl);
+        scheduleCalculation();
+      }
+    });
+    // Wall ↔ floor switch: swap the dimension rows, openings keep their wall
+    wallsList.addEventListener('change', function(e) {
+      if (e.target.classList.contains('zone-pattern')) {
+        updateLivePreview();
+        runCalculation();
+        return;
+      }
+      if (e.target.classList.contains('wall-shape')) {
+        applyWallShape(e.target.closest('.wall-item'));
         updateLivePreview();
         runCalculation();
+        return;
+      }
+      if (!e.target.classList.contains('wall-surface-type')) return;
+      applySurfaceType(e.target.closest('.wall-item'));
+      renderOpenings();
+      updateLivePreview();
+      runCalculation();
+    });
+    // Tile zones: add / remove rows
+    wallsList.addEventListener('click', function(e) {
+      const wallEl = e.target.closest('.wall-item');
+      if (!wallEl) return;
+      if (e.target.closest('.btn-add-zone')) {
+        addZone(wallEl);
+      } else if (e.target.closest('.btn-remove-zone')) {
+        e.target.closest('.wall-zone-row').remove();
+        updateZonesBadge(wallEl);
+      } else {
+        return;
       }
+      updateLivePreview();
+      runCalculation();
     });
     // Also wire up any pre-existing walls (the initial wall in HTML)
     wallsList.querySelectorAll('.wall-item').forEach(function(wallEl) {
@@ -1757,42 +4722,70 @@ function init() {
   if (DOM.wpCopyBtn)      DOM.wpCopyBtn.addEventListener('click', copyWallpaperResult);
 
   // WALLPAPER: pattern repeat slider — badge text update only; recalc via setupWallpaperAutoSync
-  if (DOM.wpPatternRepeat) {
-    DOM.wpPatternRepeat.addEventListener('input', function() {
-      const v = parseInt(DOM.wpPatternRepeat.value, 10);
-      if (DOM.wpPatternBadge)    DOM.wpPatternBadge.textContent   = v + ' სმ';
-      if (DOM.wpPatternHintText) DOM.wpPatternHintText.textContent = v === 0
-        ? 'Rapport 0 — ნახატი არ მეორდება'
-        : 'Rapport ' + v + ' სმ — ყოველ ' + v + ' სმ-ზე ნახატი მეორდება';
-      updateRangeBackground(DOM.wpPatternRepeat, 'var(--rose)');
-      // full recalc is triggered by setupWallpaperAutoSync
-    });
-  }
+  if (DOM.wpPatternRepeat) DOM.wpPatternRepeat.addEventListener('input', syncWallpaperPatternBadge);
 
   // WALLPAPER: perimeter toggle — show/hide panels; recalc via setupWallpaperAutoSync
   const wpPerimeterToggle = document.getElementById('wpPerimeterMode');
-  const wpSingleInputs    = document.getElementById('wpSingleWallInputs');
-  const wpRoomInputs      = document.getElementById('wpRoomInputs');
   if (wpPerimeterToggle) {
     wpPerimeterToggle.addEventListener('change', function() {
-      if (wpSingleInputs) wpSingleInputs.style.display = this.checked ? 'none'  : 'block';
-      if (wpRoomInputs)   wpRoomInputs.style.display   = this.checked ? 'block' : 'none';
+      syncWallpaperRoomInputs();
+      renderWallpaperOpenings();
       // full recalc triggered by setupWallpaperAutoSync (change event on checkbox)
     });
   }
 
+  // WALLPAPER: type preset fills roll size and trims; a hand-typed size turns it into "custom"
+  if (DOM.wpPreset) {
+    DOM.wpPreset.addEventListener('change', function() {
+      applyWallpaperPreset(DOM.wpPreset.value);
+      runWallpaperCalculation();
+    });
+  }
+  [DOM.wpRollWidth, DOM.wpRollLength].forEach(function(el) {
+    if (el) el.addEventListener('input', syncWallpaperPresetSelect);
+  });
+
+  // WALLPAPER: paste type sets its packet coverage; lining toggle shows the lining roll inputs
+  if (DOM.wpPasteType) {
+    DOM.wpPasteType.addEventListener('change', function() {
+      const type = WallpaperLogic.PASTE_TYPES[DOM.wpPasteType.value];
+      if (type && DOM.wpPasteCoverage) DOM.wpPasteCoverage.value = type.coverageM2;
+      runWallpaperCalculation();
+    });
+  }
+  if (DOM.wpLiningMode) {
+    DOM.wpLiningMode.addEventListener('change', function() {
+      if (DOM.wpLiningInputs) DOM.wpLiningInputs.style.display = DOM.wpLiningMode.checked ? '' : 'none';
+    });
+  }
+
+  // WALLPAPER: ceiling toggle — direction select and the room size inputs
+  if (DOM.wpCeilingMode) DOM.wpCeilingMode.addEventListener('change', syncWallpaperRoomInputs);
+
   // Note: all wallpaper input recalc is handled by setupWallpaperAutoSync() below
 
-  // Keyboard shortcut: Ctrl+Enter
+  // Keyboard shortcuts: Ctrl+Enter, Ctrl+Z / Ctrl+Shift+Z (the project name field keeps its own undo).
+  // Z is matched by key position — on the Georgian layout e.key is 'ზ'.
   document.addEventListener('keydown', function(e) {
     if (!e.ctrlKey) return;
     if (e.key === 'Enter') {
-      state.activeMaterial === 'tiles' ? runCalculation() : runWallpaperCalculation();
+      if (MATERIAL_VIEWS[state.activeMaterial]) MATERIAL_VIEWS[state.activeMaterial].run();
+    } else if (e.code === 'KeyZ' && !(e.target.closest && e.target.closest('.project-panel'))) {
+      e.preventDefault();
+      if (e.shiftKey) redoEdit();
+      else undoEdit();
     }
   });
 
   initTilesSectionNav();
   initWallpaperSectionNav();
+  initPaintSectionNav();
+  initFlooringSectionNav();
+  initProjectPanel();
+  initRoomPanel();
+  document.querySelectorAll('.btn-share').forEach(function(btn) {
+    btn.addEventListener('click', function() { shareCalculation(btn); });
+  });
   initCanvasDragDrop();
 
   // ResizeObserver for wallpaper canvas only (tiles use per-wall panels now)
@@ -1810,14 +4803,17 @@ function init() {
     }).observe(tileScrollEl);
   }
 
-  // Initial render
-  applyLayoutPattern('custom');
+  // Initial render — a shared link (#p=…) brings its own walls and pattern
+  if (!applySharedState() || !state.activePattern) applyLayoutPattern('standard');
   updateRangeBackground(DOM.wastePct);
   updateRangeBackground(DOM.wpPatternRepeat, 'var(--rose)');
   updateLivePreview();
   updateWallpaperAreaDisplay();
 
   setupWallpaperAutoSync()
+  setupPaintAutoSync();
+  setupFlooringAutoSync();
+  setupHistoryAutoRecord();
 }
 
 
@@ -1851,9 +4847,11 @@ function toggleCalcMode() {
 }
 
 function exportToPDF() {
-    // 1. ვადგენთ რომელი აპლიკაციაა აქტიური (ფილები თუ შპალერი)
-    const isTilesActive = document.getElementById('appTiles').style.display !== 'none';
-    const activeApp = isTilesActive ? document.getElementById('appTiles') : document.getElementById('appWallpaper');
+    // 1. ვადგენთ რომელი აპლიკაციაა აქტიური (MATERIAL_VIEWS)
+    const view = MATERIAL_VIEWS[state.activeMaterial] || MATERIAL_VIEWS.tiles;
+    const isTilesActive = view === MATERIAL_VIEWS.tiles;
+    const activeAppId = view.app;
+    const activeApp = document.getElementById(activeAppId);
     
     // 2. ვიღებთ კონკრეტულ შედეგების სვეტს (.output-column) აქტიური აპლიკაციიდან
     const element = activeApp.querySelector('.output-column');
@@ -1865,7 +4863,7 @@ function exportToPDF() {
 
     const opt = {
         margin:       [10, 10, 10, 10],
-        filename:     isTilesActive ? 'ფილების-ანგარიში.pdf' : 'შპალერის-ანგარიში.pdf',
+        filename:     view.pdfName,
         image:        { type: 'jpeg', quality: 1.0 },
         html2canvas:  { 
             scale: 3, 
@@ -1875,8 +4873,7 @@ function exportToPDF() {
             letterRendering: true,
             onclone: (clonedDoc) => {
                 // აუცილებელია კლონირებულ დოკუმენტშიც ვიპოვოთ აქტიური სექცია
-                const clonedAppId = isTilesActive ? 'appTiles' : 'appWallpaper';
-                const container = clonedDoc.getElementById(clonedAppId).querySelector('.output-column');
+                const container = clonedDoc.getElementById(activeAppId).querySelector('.output-column');
 
                 if (container) {
                     container.style.height = 'auto';
@@ -1916,11 +4913,11 @@ function exportToPDF() {
                     }
                 }
 
-                // მთავარი ციფრების ფერის გასწორება (ლურჯი ფილებისთვის, ვარდისფერი შპალერისთვის)
+                // მთავარი ციფრების ფერის გასწორება — აქტიური მასალის ფერით (MATERIAL_VIEWS)
                 const heroNumbers = clonedDoc.querySelectorAll('.hero-number');
                 heroNumbers.forEach(n => {
                     n.style.background = 'none';
-                    const color = isTilesActive ? '#3b82f6' : '#e11d48';
+                    const color = view.pdfColor;
                     n.style.webkitTextFillColor = color;
                     n.style.color = color;
                 });
@@ -1966,14 +4963,24 @@ document.addEventListener('click', (e) => {
 // AND a canvas preview redraw — no "Calculate" button click needed.
 function setupWallpaperAutoSync() {
     // Collect all relevant inputs. wpRoomLength and wpRoomWidth are the perimeter
-    // mode inputs; wpWallWidth is the single-wall mode input.
+    // mode inputs; the walls list and openings are delegated below.
     const inputs = [
-        DOM.wpWallWidth,
         DOM.wpWallHeight,
         DOM.wpRollWidth,
         DOM.wpRollLength,
+        DOM.wpTrimTop,
+        DOM.wpTrimBottom,
         DOM.wpPatternRepeat,
+        DOM.wpMatchType,
         DOM.wpRollPrice,
+        DOM.wpCeilingMode,
+        DOM.wpCeilingDirection,
+        DOM.wpPasteCoverage,
+        DOM.wpPastePrice,
+        DOM.wpLiningMode,
+        DOM.wpLiningWidth,
+        DOM.wpLiningLength,
+        DOM.wpLiningPrice,
         document.getElementById('wpPerimeterMode'),
         document.getElementById('wpRoomLength'),
         document.getElementById('wpRoomWidth')
@@ -1988,6 +4995,167 @@ function setupWallpaperAutoSync() {
             runWallpaperCalculation();
         });
     });
+
+    // Walls list: sizes recalc; names also relabel the opening wall selects
+    if (DOM.wpWallsList) {
+        DOM.wpWallsList.addEventListener('input', function(e) {
+            if (e.target.classList.contains('wp-wall-name')) renderWallpaperOpenings();
+            if (e.target.classList.contains('wall-shape')) applyWallShape(e.target.closest('.wp-wall-item'));
+            runWallpaperCalculation();
+        });
+        DOM.wpWallsList.addEventListener('click', function(e) {
+            if (e.target.closest('.wp-remove-wall')) removeWallpaperWall(e.target.closest('.wp-wall-item'));
+        });
+    }
+    const wpAddWallBtn = document.getElementById('wpAddWallBtn');
+    if (wpAddWallBtn) wpAddWallBtn.addEventListener('click', addWallpaperWall);
+
+    // Openings: rows are rebuilt by renderWallpaperOpenings, so listen on the list
+    if (DOM.wpOpeningsList) {
+        DOM.wpOpeningsList.addEventListener('input', function(e) {
+            if (e.target.tagName === 'INPUT') updateWallpaperOpening(e.target.closest('.opening-row'));
+        });
+        DOM.wpOpeningsList.addEventListener('change', function(e) {
+            if (e.target.tagName === 'SELECT') updateWallpaperOpening(e.target.closest('.opening-row'));
+        });
+        DOM.wpOpeningsList.addEventListener('click', function(e) {
+            const btn = e.target.closest('.btn-remove');
+            if (!btn) return;
+            const id = parseInt(btn.closest('.opening-row').getAttribute('data-id'), 10);
+            state.wpOpenings = state.wpOpenings.filter(function(o) { return o.id !== id; });
+            renderWallpaperOpenings();
+            runWallpaperCalculation();
+        });
+    }
+    const wpAddOpeningBtn = document.getElementById('wpAddOpeningBtn');
+    if (wpAddOpeningBtn) wpAddOpeningBtn.addEventListener('click', function() { addWallpaperOpening('door'); });
+}
+
+// app.js — Paint Auto-Sync
+// Same idea as the wallpaper: any paint input recalculates at once.
+function setupPaintAutoSync() {
+    const inputs = [
+        DOM.ptWallHeight,
+        DOM.ptCeilingMode,
+        DOM.ptRoomLength,
+        DOM.ptRoomWidth,
+        DOM.ptCoverage,
+        DOM.ptCoats,
+        DOM.ptPrimerMode,
+        DOM.ptPrimerCoverage,
+        DOM.ptPrimerCanSize,
+        DOM.ptPrimerCanPrice
+    ];
+
+    inputs.forEach(function(el) {
+        if (!el) return;
+        const eventName = (el.type === 'checkbox') ? 'change' : 'input';
+        el.addEventListener(eventName, function() {
+            if (el.type === 'checkbox') syncPaintInputs();
+            runPaintCalculation();
+        });
+    });
+
+    if (DOM.ptCalculateBtn) DOM.ptCalculateBtn.addEventListener('click', runPaintCalculation);
+    if (DOM.ptResetBtn)     DOM.ptResetBtn.addEventListener('click', resetPaint);
+    if (DOM.ptCopyBtn)      DOM.ptCopyBtn.addEventListener('click', copyPaintResult);
+
+    // Walls list: sizes recalc; names also relabel the opening wall selects
+    if (DOM.ptWallsList) {
+        DOM.ptWallsList.addEventListener('input', function(e) {
+            if (e.target.classList.contains('wp-wall-name')) renderPaintOpenings();
+            if (e.target.classList.contains('wall-shape')) applyWallShape(e.target.closest('.wp-wall-item'));
+            runPaintCalculation();
+        });
+        DOM.ptWallsList.addEventListener('click', function(e) {
+            if (e.target.closest('.wp-remove-wall')) removePaintWall(e.target.closest('.wp-wall-item'));
+        });
+    }
+    const ptAddWallBtn = document.getElementById('ptAddWallBtn');
+    if (ptAddWallBtn) ptAddWallBtn.addEventListener('click', addPaintWall);
+
+    // Openings: rows are rebuilt by renderPaintOpenings, so listen on the list
+    if (DOM.ptOpeningsList) {
+        DOM.ptOpeningsList.addEventListener('input', function(e) {
+            if (e.target.tagName === 'INPUT') updatePaintOpening(e.target.closest('.opening-row'));
+        });
+        DOM.ptOpeningsList.addEventListener('change', function(e) {
+            if (e.target.tagName === 'SELECT') updatePaintOpening(e.target.closest('.opening-row'));
+        });
+        DOM.ptOpeningsList.addEventListener('click', function(e) {
+            const btn = e.target.closest('.btn-remove');
+            if (!btn) return;
+            const id = parseInt(btn.closest('.opening-row').getAttribute('data-id'), 10);
+            state.ptOpenings = state.ptOpenings.filter(function(o) { return o.id !== id; });
+            renderPaintOpenings();
+            runPaintCalculation();
+        });
+    }
+    const ptAddOpeningBtn = document.getElementById('ptAddOpeningBtn');
+    if (ptAddOpeningBtn) ptAddOpeningBtn.addEventListener('click', function() { addPaintOpening('door'); });
+
+    // Can sizes: rows are added / removed, so listen on the list
+    if (DOM.ptCansList) {
+        DOM.ptCansList.addEventListener('input', runPaintCalculation);
+        DOM.ptCansList.addEventListener('click', function(e) {
+            const btn = e.target.closest('.pt-remove-can');
+            if (!btn || DOM.ptCansList.querySelectorAll('.pt-can-row').length <= 1) return;
+            btn.closest('.pt-can-row').remove();
+            runPaintCalculation();
+        });
+    }
+    const ptAddCanBtn = document.getElementById('ptAddCanBtn');
+    if (ptAddCanBtn) ptAddCanBtn.addEventListener('click', addPaintCan);
+}
+
+// app.js — Flooring Auto-Sync
+// Every flooring input recalculates and redraws; the material type first fills its defaults.
+function setupFlooringAutoSync() {
+    const inputs = [
+        DOM.flRoomLength,
+        DOM.flRoomWidth,
+        DOM.flDirection,
+        DOM.flGap,
+        DOM.flPlankLength,
+        DOM.flPlankWidth,
+        DOM.flPerPack,
+        DOM.flPackPrice,
+        DOM.flMinOffset,
+        DOM.flMinPiece,
+        DOM.flMinRip,
+        DOM.flReserve
+    ];
+
+    inputs.forEach(function(el) {
+        if (!el) return;
+        el.addEventListener('input', runFlooringCalculation);
+    });
+
+    if (DOM.flMaterial) {
+        DOM.flMaterial.addEventListener('change', function() {
+            applyFlooringMaterial(DOM.flMaterial.value);
+            runFlooringCalculation();
+        });
+    }
+    if (DOM.flCalculateBtn) DOM.flCalculateBtn.addEventListener('click', runFlooringCalculation);
+    if (DOM.flResetBtn)     DOM.flResetBtn.addEventListener('click', resetFlooring);
+    if (DOM.flCopyBtn)      DOM.flCopyBtn.addEventListener('click', copyFlooringResult);
+}
+
+// app.js — History Auto-Record
+// Any input, change or click in the calculators schedules an undo step; the first step is the loaded page.
+function setupHistoryAutoRecord() {
+    const main = document.querySelector('.main-content');
+    if (main) {
+        ['input', 'change', 'click'].forEach(function(type) {
+            main.addEventListener(type, scheduleHistory);
+        });
+    }
+
+    document.querySelectorAll('.btn-undo').forEach(function(btn) { btn.addEventListener('click', undoEdit); });
+    document.querySelectorAll('.btn-redo').forEach(function(btn) { btn.addEventListener('click', redoEdit); });
+
+    recordHistory();
 }
 
 document.addEventListener('DOMContentLoaded', init);
@@ -1,55 +1,253 @@
 /**
- * calculator-logic.js — Tile Calculation Engine  (v3 — area-based formula)
+ * calculator-logic.js — Tile Calculation Engine  (v4 — per-wall openings, cut pieces, geometric patterns, floors)
  * ─────────────────────────────────────────────────────────────────────────
  *
- * FIX LOG (v3):
+ * FIX LOG (v4):
  *
- *  FIX 1 — Formula rewritten to area-based method as requested:
- *    OLD (piece-by-piece grid):
- *      cols = ceil(totalLength / tileM_L)
- *      rows = ceil(maxHeight  / tileM_W)
- *      baseCount = cols × rows   ← over-counts badly for multi-wall rooms
+ *  FIX 1 — Openings belong to one wall:
+ *    calculateAll() used to subtract the full openings list from every wall
+ *    it was given, so a door on wall 1 was deducted from every wall.  Each
+ *    opening now carries a wallIndex into params.walls and is deducted only
+ *    from that wall.  totalDeduction is the real sum of the openings.
  *
- *    NEW (area-based):
- *      baseCount = ceil(netArea / realTileArea)
- *      finalCount = ceil(baseCount × (1 + wastePercent / 100))
+ *  FIX 2 — One call for the whole room:
+ *    calculateAll() now takes every wall at once (with optional per-wall tile
+ *    sizes) and returns a `walls` array with each wall's gross, deduction,
+ *    net area and counts next to the aggregated totals.
  *
- *    This is more accurate, correctly reflects the requested formula, and
- *    works naturally with multi-wall rooms because netArea already aggregates
- *    all wall surfaces minus openings.
+ *  FIX 3 — Grout joint in the count:
+ *    params.groutMm was documented but never read.  Rows and columns are now
+ *    counted on the tile pitch (tile + joint), and the pitch is returned as
+ *    tilePitchCm / effectiveTileArea.
  *
- *  FIX 2 — realTileArea uses effective area (including grout joint) for
- *    baseCount, but purchaseArea uses the physical tile face area (no grout)
- *    so that the buyer pays for tile face area only.  Both are now explicit.
+ *  FIX 4 — Cut pieces instead of a rounding rule:
+ *    The "≤0.5 → half tile, >0.5 → whole tile" rule is gone.  Each wall is
+ *    laid out cell by cell (calcWallLayout); edge cells and cells around
+ *    openings become cut pieces with real dimensions.  Cut pieces are taken
+ *    from an offcut inventory shared by all walls with the same tile size
+ *    before a new tile is cut (takePiece), and the saving is reported as
+ *    tilesSaved.
  *
- *  FIX 3 — wastePercent read with explicit null-check (not falsy || 0 guard)
- *    so that a legitimate 0% waste value is honoured and not silently replaced.
+ *  FIX 5 — Patterns are laid out, not guessed:
+ *    LAYOUT_PATTERNS used to be flat waste percentages (5/10/15%).  Each
+ *    pattern is now a lattice (½ and ⅓ brick, 45° diagonal, herringbone,
+ *    three-size Versailles) laid over the wall with polygon clipping
+ *    (geometry-logic.js), so the cuts are the ones that pattern really makes
+ *    on that wall.  wastePercent is only an extra safety margin on top.
+ *
+ *  FIX 6 — Polygonal surfaces (floors):
+ *    A surface may carry an `outline` polygon instead of being w × h, so an
+ *    L-shaped floor or one with a chimney breast is laid out and clipped to
+ *    its real corners.  Openings on such a surface (a bathtub, a kitchen
+ *    island) are deducted only where they overlap the outline.
+ *
+ *  FIX 7 — Layout origin:
+ *    The pattern always started in the wall's top-left corner, which can
+ *    leave a 2 cm sliver at the far edge.  calcLayoutOrigin() can centre the
+ *    pattern or search for the start whose thinnest cut stays above
+ *    minCutFraction of a tile; the count and the preview share the result.
+ *
+ *  FIX 8 — Cost:
+ *    Tiles had no money figures.  params.prices gives a price per tile size
+ *    (per m² or per box); each wall gets a line total and the room a grand
+ *    total bought in whole boxes where the price is per box.
+ *
+ *  FIX 9 — Consumables:
+ *    calcConsumables() adds adhesive (by trowel notch), grout (joint
+ *    volume), spacers and trims, with bag / packet counts from editable
+ *    package sizes.
+ *
+ *  FIX 10 — Boxes by tile count:
+ *    Boxes were the summed m² over sqmPerBox.  Each tile size is now bought
+ *    in its own boxes, by tiles per box when known (calcSizeBoxes), with
+ *    optional spare boxes per surface type, the tiles left over in the last
+ *    box and a pallet check.
+ *
+ *  FIX 11 — Tile zones:
+ *    A wall had one tile size.  wall.zones splits it into horizontal bands
+ *    (plinth, field, border, upper field), each with its own height range,
+ *    tile and pattern; each band is counted on its own (splitZones,
+ *    calcZonedWallPieces) and reported per wall in `zones`.
+ *
+ *  FIX 12 — Non-rectangular walls:
+ *    Walls, not only floors, may now carry an `outline` — a gable, an attic
+ *    slope or a stair wall, built by GeometryLogic.wallOutline or typed as
+ *    corners.  The layout, zones and deductions already follow the outline;
+ *    calcGrossArea counts its polygon area too.
  *
  *  UNCHANGED:
  *  - calcGrossArea: dual-signature overload (walls[] OR length, height)
- *  - getLayoutPattern: returns {labelKa, wastePercent}
  *  - calcTotalDeduction: sums opening areas
- *  - calculateAll: still accepts params.openings[] and deducts them
  */
 "use strict";
 
+/**
+ * Layout patterns as geometry.  Each lattice(L, W, g) returns two lattice
+ * vectors and the motif repeated on them, in metres:
+ *   { v1: {x, y}, v2: {x, y}, motif: [{x, y, l, w, rot}, …] }
+ * A motif tile is l (tile length) × w (tile width); rot 90 stands it up
+ * (w across, l down).  `angle` turns the whole pattern (degrees).
+ */
 const LAYOUT_PATTERNS = {
-  standard: { wastePercent: 5,  labelKa: 'სტანდარტული' },
-  brick:    { wastePercent: 10, labelKa: 'აგურისებური' },
-  diagonal: { wastePercent: 15, labelKa: 'დიაგონალური' },
-  custom:   { wastePercent: 0,  labelKa: 'მომხმარებელი' }
+  standard:    { labelKa: 'სტანდარტული',     angle: 0,  lattice: gridLattice(0) },
+  brick:       { labelKa: 'აგურისებური ½',   angle: 0,  lattice: gridLattice(1 / 2) },
+  brickThird:  { labelKa: 'აგურისებური ⅓',   angle: 0,  lattice: gridLattice(1 / 3) },
+  diagonal:    { labelKa: 'დიაგონალური 45°', angle: 45, lattice: gridLattice(0) },
+  herringbone: { labelKa: 'ნაძვისებური',      angle: 0,  lattice: herringboneLattice },
+  versailles:  { labelKa: 'ვერსალი',          angle: 0,  lattice: versaillesLattice }
 };
 
+/** Straight rows; every row shifted by `shift` of a tile pitch (½ brick, ⅓ brick). */
+function gridLattice(shift) {
+  return function(L, W, g) {
+    return {
+      v1: { x: L + g, y: 0 },
+      v2: { x: (L + g) * shift, y: W + g },
+      motif: [{ x: 0, y: 0, l: L, w: W, rot: 0 }]
+    };
+  };
+}
+
+/**
+ * 90° herringbone: a lying tile and a standing tile meet at their ends; the
+ * pair repeats one tile width along the diagonal and one length across it.
+ */
+function herringboneLattice(L, W, g) {
+  var a = L + g, b = W + g;
+  return {
+    v1: { x: b, y: b },
+    v2: { x: a, y: -a },
+    motif: [
+      { x: 0, y: 0,     l: L, w: W, rot: 0 },
+      { x: a, y: b - a, l: L, w: W, rot: 90 }
+    ]
+  };
+}
+
+/**
+ * Three-size Versailles module, 1.5 pitches square, built on the tile length
+ * L: one L×L square, two L×½ rectangles (one lying, one standing) and one
+ * ½×½ square.
+ */
+function versaillesLattice(L, W, g) {
+  var P = L + g, s = P / 2 - g, m = 1.5 * P;
+  return {
+    v1: { x: m, y: 0 },
+    v2: { x: 0, y: m },
+    motif: [
+      { x: 0, y: 0, l: L, w: L, rot: 0 },
+      { x: P, y: 0, l: L, w: s, rot: 90 },
+      { x: 0, y: P, l: L, w: s, rot: 0 },
+      { x: P, y: P, l: s, w: s, rot: 0 }
+    ]
+  };
+}
+
+const TILE_EPS = 1e-6;
+
+/** Offcuts narrower than this go to waste unless the caller sets its own. */
+const TILE_MIN_OFFCUT_M = 0.05;
+
+/**
+ * Adhesive bed per trowel notch (mm → kg/m², cement-based adhesive, full
+ * coverage).  Large tiles take the deeper notches.
+ */
+const ADHESIVE_KG_PER_SQM = { 4: 1.7, 6: 2.5, 8: 3.5, 10: 4.2, 12: 5.0 };
+
+/** Grout density used by the joint-volume formula (kg/dm³). */
+const GROUT_DENSITY = 1.6;
+
+/** calcLayoutOrigin results by wall, openings and tile settings. */
+const TILE_ORIGIN_CACHE = {};
+
+/** Openings with a position on the wall are cut around geometrically. */
+function isPlacedOpening(op) {
+  return op.x != null && op.y != null && !isNaN(parseFloat(op.x)) && !isNaN(parseFloat(op.y));
+}
+
+function tileRect(x, y, w, h) {
+  return { x: x, y: y, w: w, h: h };
+}
+
+/**
+ * Piece left of `cell` once the holes are cut out, as its bounding rectangle
+ * (the size you cut from a tile).  A hole that crosses the cell edge to edge
+ * trims that side; a hole inside the cell leaves a notch, which still needs
+ * the full bounding size.  Returns null when nothing of the cell remains.
+ */
+function cutTileRect(cell, holes) {
+  var r = tileRect(cell.x, cell.y, cell.w, cell.h);
+  for (var i = 0; i < holes.length; i++) {
+    var h  = holes[i];
+    var ix = Math.max(r.x, h.x), iy = Math.max(r.y, h.y);
+    var ax = Math.min(r.x + r.w, h.x + h.w), ay = Math.min(r.y + r.h, h.y + h.h);
+    if (ax - ix <= TILE_EPS || ay - iy <= TILE_EPS) continue;
+
+    var spansH = ix <= r.x + TILE_EPS && ax >= r.x + r.w - TILE_EPS;
+    var spansV = iy <= r.y + TILE_EPS && ay >= r.y + r.h - TILE_EPS;
+    if (spansH && spansV) return null;
+    if (spansV && ix <= r.x + TILE_EPS)               { r.w = r.x + r.w - ax; r.x = ax; }
+    else if (spansV && ax >= r.x + r.w - TILE_EPS)    { r.w = ix - r.x; }
+    else if (spansH && iy <= r.y + TILE_EPS)          { r.h = r.y + r.h - ay; r.y = ay; }
+    else if (spansH && ay >= r.y + r.h - TILE_EPS)    { r.h = iy - r.y; }
+  }
+  return (r.w > TILE_EPS && r.h > TILE_EPS) ? r : null;
+}
+
+/**
+ * Clips one placed tile against the wall and openings.
+ * `poly` is the tile in the wall frame; (px, py) and the motif entry `m`
+ * describe it in the pattern frame, where its sides are axis-aligned.
+ * Returns null for tiles that carry no surface.
+ */
+function classifyTile(G, outline, holes, poly, px, py, m, toPattern, axisAligned) {
+  var tileArea = m.l * m.w;
+  var onWall   = G.clip(outline, poly);
+  var covered  = G.area(onWall);
+  holes.forEach(function(h) { covered -= G.area(G.clip(h, poly)); });
+  if (covered <= tileArea * 1e-4) return null;
+
+  var sizeKey = (m.l * 100).toFixed(1) + 'x' + (m.w * 100).toFixed(1);
+  var cell = { poly: poly, kind: 'full', sizeKey: sizeKey, l: m.l, w: m.w, pieceW: m.l, pieceH: m.w };
+  if (covered >= tileArea * (1 - 1e-6)) return cell;
+
+  // Tile-local frame: u along the tile length, v along its width
+  var toLocal = function(p) {
+    var q = toPattern(p);
+    return m.rot === 90 ? { x: q.y - py, y: q.x - px } : { x: q.x - px, y: q.y - py };
+  };
+  var b = G.bounds(onWall.map(toLocal));
+  var piece = tileRect(Math.max(0, b.minX), Math.max(0, b.minY),
+                       Math.min(m.l, b.maxX) - Math.max(0, b.minX),
+                       Math.min(m.w, b.maxY) - Math.max(0, b.minY));
+
+  // Openings trim straight sides off the piece (notches keep the bounding size).
+  // On a turned pattern the opening edges run across the tile, so no trimming.
+  if (!axisAligned) holes = [];
+  var localHoles = holes.map(function(h) {
+    var hb = G.bounds(h.map(toLocal));
+    return tileRect(hb.minX, hb.minY, hb.maxX - hb.minX, hb.maxY - hb.minY);
+  });
+  piece = cutTileRect(piece, localHoles) || piece;
+
+  cell.kind   = 'cut';
+  cell.pieceW = piece.w;
+  cell.pieceH = piece.h;
+  return cell;
+}
+
 const TileLogic = {
 
   /**
    * Gross area helper — dual call signature:
    *   calcGrossArea(walls[{width,height}])  ← updateDeductionBar
+   *   (a wall with an `outline` counts its polygon area)
    *   calcGrossArea(length, height)          ← updateGrossDisplay
    */
   calcGrossArea: function(wallsOrLength, height) {
     if (Array.isArray(wallsOrLength)) {
       return wallsOrLength.reduce(function(sum, w) {
+        if (Array.isArray(w.outline) && w.outline.length >= 3) return sum + window.GeometryLogic.area(w.outline);
         return sum + (parseFloat(w.width) || 0) * (parseFloat(w.height) || 0);
       }, 0);
     }
@@ -57,10 +255,11 @@ const TileLogic = {
   },
 
   /**
-   * Returns {labelKa, wastePercent} for the given pattern key.
+   * Returns the pattern definition {labelKa, angle, lattice} for the given
+   * key; unknown keys lay a standard grid.
    */
   getLayoutPattern: function(pattern) {
-    return LAYOUT_PATTERNS[pattern] || { wastePercent: 0, labelKa: 'მომხმარებელი' };
+    return LAYOUT_PATTERNS[pattern] || LAYOUT_PATTERNS.standard;
   },
 
   /**
@@ -74,94 +273,831 @@ const TileLogic = {
   },
 
   /**
-   * Master calculation — area-based formula.
+   * Groups openings by the wall they belong to.
+   * Returns an array of `wallCount` lists; openings without a wallIndex
+   * belong to the first wall, openings pointing past the list are dropped.
+   */
+  groupOpeningsByWall: function(openings, wallCount) {
+    var groups = [];
+    for (var i = 0; i < wallCount; i++) groups.push([]);
+    if (!Array.isArray(openings)) return groups;
+    openings.forEach(function(op) {
+      var idx = (op.wallIndex != null) ? parseInt(op.wallIndex, 10) : 0;
+      if (idx >= 0 && idx < wallCount) groups[idx].push(op);
+    });
+    return groups;
+  },
+
+  /**
+   * Key a tile size is priced under: "60x30" (cm, as in bySize).
+   */
+  sizeKey: function(lCm, wCm) {
+    return (+lCm) + 'x' + (+wCm);
+  },
+
+  /**
+   * Price of one m² of a tile size.  prices[sizeKey] = {amount, unit} with
+   * unit 'sqm' (per m²) or 'box' (per box of sqmPerBox m²).  0 when the size
+   * has no price.
+   */
+  pricePerSqm: function(price, sqmPerBox) {
+    if (!price || !(parseFloat(price.amount) > 0)) return 0;
+    if (price.unit === 'box') return sqmPerBox > 0 ? parseFloat(price.amount) / sqmPerBox : 0;
+    return parseFloat(price.amount);
+  },
+
+  /**
+   * Tile pitch — tile face plus one grout joint, in metres.
+   * n tiles with (n − 1) joints span n × pitch − grout, so a run of length S
+   * holds (S + grout) / pitch tiles.
+   */
+  calcTilePitch: function(tLenM, tWidM, groutM) {
+    var g = Math.max(0, parseFloat(groutM) || 0);
+    return { length: tLenM + g, width: tWidM + g, area: (tLenM + g) * (tWidM + g) };
+  },
+
+  /**
+   * Outline of a surface as a polygon: wall.outline when it has at least
+   * three corners (floors, sloped and gable walls), otherwise the w × h
+   * rectangle.
+   */
+  surfaceOutline: function(wall) {
+    if (Array.isArray(wall.outline) && wall.outline.length >= 3) return wall.outline;
+    return window.GeometryLogic.rect(0, 0, parseFloat(wall.w) || 0, parseFloat(wall.h) || 0);
+  },
+
+  /**
+   * Lays the chosen pattern over one wall and classifies every tile.
+   *
+   * The pattern starts at the wall's top-left corner (x →, y ↓ — the same
+   * frame openings use), is turned by the pattern angle, and each tile is
+   * clipped against the wall outline and the openings.  Returns the tiles
+   * that carry any surface:
+   *   [{poly, kind: 'full'|'cut', sizeKey, l, w, pieceW, pieceH}, …]  (metres)
+   * pieceW × pieceH is the piece to cut from an l × w tile, measured along
+   * the tile's own length and width.  Triangular and notched pieces report
+   * their bounding size — the size the cutter has to start from.
+   *
+   * wall = {w, h} or {outline: [{x, y}, …]} (see surfaceOutline).
+   * opts = { tLenM, tWidM, groutM, pattern, origin?, originMode?, minCutFraction? }
+   * origin {x, y} shifts the pattern (pattern frame, metres); without it the
+   * start is chosen by originMode (see calcLayoutOrigin).
+   * Openings without x/y ("unplaced") are ignored here — calcWallPieces
+   * subtracts them by area.
+   */
+  calcWallLayout: function(wall, openings, opts) {
+    var G  = window.GeometryLogic;
+    var outline = this.surfaceOutline(wall);
+    var L  = opts.tLenM, W = opts.tWidM, g = Math.max(0, opts.groutM || 0);
+    var cells = [];
+    if (G.area(outline) <= 0 || L <= 0 || W <= 0) return cells;
+
+    var def     = this.getLayoutPattern(opts.pattern);
+    var angle   = (def.angle || 0) * Math.PI / 180;
+    var lattice = def.lattice(L, W, g);
+    // Holes are trimmed to the outline, so an obstacle reaching past a floor
+    // corner is not taken off tiles twice
+    var holes   = (openings || []).filter(isPlacedOpening).map(function(op) {
+      return G.clip(outline, G.rect(parseFloat(op.x), parseFloat(op.y), parseFloat(op.width) || 0, parseFloat(op.height) || 0));
+    }).filter(function(h) { return G.area(h) > 0; });
+
+    // Pattern frame ↔ wall frame (the pattern is turned about the wall origin)
+    var toWall    = function(p) { return G.rotate(p, angle); };
+    var toPattern = function(p) { return G.rotate(p, -angle); };
+    var B = G.bounds(outline.map(toPattern));
+    var axisAligned = (def.angle || 0) % 90 === 0;
+    var o = opts.origin || this.calcLayoutOrigin(wall, openings, opts);
+
+    // Lattice indices whose motif can reach the bounds
+    var v1 = lattice.v1, v2 = lattice.v2;
+    var det = v1.x * v2.y - v2.x * v1.y;
+    var iMin = Infinity, iMax = -Infinity, jMin = Infinity, jMax = -Infinity;
+    [[B.minX, B.minY], [B.maxX, B.minY], [B.maxX, B.maxY], [B.minX, B.maxY]].forEach(function(c) {
+      var cx = c[0] - o.x, cy = c[1] - o.y;
+      var i = (cx * v2.y - cy * v2.x) / det;
+      var j = (cy * v1.x - cx * v1.y) / det;
+      iMin = Math.min(iMin, i); iMax = Math.max(iMax, i);
+      jMin = Math.min(jMin, j); jMax = Math.max(jMax, j);
+    });
+    iMin = Math.floor(iMin) - 2; iMax = Math.ceil(iMax) + 2;
+    jMin = Math.floor(jMin) - 2; jMax = Math.ceil(jMax) + 2;
+
+    for (var j = jMin; j <= jMax; j++) {
+      for (var i = iMin; i <= iMax; i++) {
+        for (var k = 0; k < lattice.motif.length; k++) {
+          var m  = lattice.motif[k];
+          var px = o.x + i * v1.x + j * v2.x + m.x;
+          var py = o.y + i * v1.y + j * v2.y + m.y;
+          var ex = m.rot === 90 ? m.w : m.l;
+          var ey = m.rot === 90 ? m.l : m.w;
+          if (px > B.maxX || py > B.maxY || px + ex < B.minX || py + ey < B.minY) continue;
+
+          var cell = classifyTile(G, outline, holes, G.rect(px, py, ex, ey).map(toWall), px, py, m, toPattern, axisAligned);
+          if (cell) cells.push(cell);
+        }
+      }
+    }
+    return cells;
+  },
+
+  /**
+   * Picks where the pattern starts on a wall (pattern frame, metres).
+   *
+   *   'corner'  — a tile corner on the surface's top-left corner (default)
+   *   'centre'  — the pattern centred on the wall: a tile or a joint on the
+   *               centre line in each direction, whichever leaves the wider
+   *               edge cuts
+   *   'optimal' — tries the corner, the centred starts and one lattice cell
+   *               of offsets for the layout whose thinnest cut is at least
+   *               minCutFraction of the tile, and among those the one that
+   *               uses the fewest tiles once offcuts are reused
+   *
+   * A cut's thickness is its narrow side over the same side of the tile, so
+   * a 3 cm strip off a 30 cm width is 0.1.  Results are memoised, because the
+   * count and every preview redraw ask for the same wall.
+   */
+  calcLayoutOrigin: function(wall, openings, opts) {
+    var mode    = opts.originMode || 'corner';
+    var G       = window.GeometryLogic;
+    var self    = this;
+    var outline = this.surfaceOutline(wall);
+    if (mode !== 'centre' && mode !== 'optimal') {
+      // Top-left of the outline — the wall corner, or the top of a tile zone
+      var tl = G.bounds(outline);
+      if (!isFinite(tl.minX)) return { x: 0, y: 0 };
+      return G.rotate({ x: tl.minX, y: tl.minY }, -(this.getLayoutPattern(opts.pattern).angle || 0) * Math.PI / 180);
+    }
+
+    var L = opts.tLenM, W = opts.tWidM, g = Math.max(0, opts.groutM || 0);
+    if (G.area(outline) <= 0 || L <= 0 || W <= 0) return { x: 0, y: 0 };
+
+    var frac = Math.max(0, Math.min(1, parseFloat(opts.minCutFraction) || 0));
+    var minOffcutM = opts.minOffcutM != null ? opts.minOffcutM : TILE_MIN_OFFCUT_M;
+    var key  = JSON.stringify([mode, frac, minOffcutM, outline, L, W, g, opts.pattern, (openings || []).map(function(op) {
+      return [op.x, op.y, op.width, op.height];
+    })]);
+    if (TILE_ORIGIN_CACHE.hasOwnProperty(key)) return TILE_ORIGIN_CACHE[key];
+
+    var def     = this.getLayoutPattern(opts.pattern);
+    var angle   = (def.angle || 0) * Math.PI / 180;
+    var lattice = def.lattice(L, W, g);
+    var B = G.bounds(outline.map(function(p) { return G.rotate(p, -angle); }));
+
+    var evaluate = function(o) {
+      var cells = self.calcWallLayout(wall, openings, {
+        tLenM: L, tWidM: W, groutM: g, pattern: opts.pattern, origin: o
+      });
+      // Tiles bought, not pieces laid: a cut that fits in an earlier offcut is free
+      var store = {};
+      var tiles = cells.reduce(function(n, c) {
+        return n + (c.kind === 'cut' && self.takePiece(store, c.sizeKey, c.l, c.w, c.pieceW, c.pieceH, minOffcutM) ? 0 : 1);
+      }, 0);
+      return { origin: o, thinnest: self.thinnestCut(cells), tiles: tiles };
+    };
+    // Wide enough cuts first, then fewer tiles, then the wider thinnest cut
+    var better = function(a, b) {
+      var fa = Math.min(a.thinnest, frac), fb = Math.min(b.thinnest, frac);
+      if (Math.abs(fa - fb) > TILE_EPS) return fa > fb;
+      if (a.tiles !== b.tiles) return a.tiles < b.tiles;
+      return a.thinnest > b.thinnest + TILE_EPS;
+    };
+
+    // Centred: tile centre or joint centre on each centre line
+    var m  = lattice.motif[0];
+    var ex = m.rot === 90 ? m.w : m.l;
+    var ey = m.rot === 90 ? m.l : m.w;
+    var cx = (B.minX + B.maxX) / 2, cy = (B.minY + B.maxY) / 2;
+    var best = null;
+    [cx - ex / 2, cx + g / 2].forEach(function(x) {
+      [cy - ey / 2, cy + g / 2].forEach(function(y) {
+        var r = evaluate({ x: x - m.x, y: y - m.y });
+        if (!best || better(r, best)) best = r;
+      });
+    });
+
+    if (mode === 'optimal') {
+      // The plain corner start competes too, so 'optimal' is never worse than it
+      var tl = G.bounds(outline);
+      var r0 = evaluate(G.rotate({ x: tl.minX, y: tl.minY }, -angle));
+      if (better(r0, best)) best = r0;
+
+      // Coarse grid over one lattice cell, then refine around the best point
+      var v1 = lattice.v1, v2 = lattice.v2;
+      var at = function(a, b) { return { x: a * v1.x + b * v2.x, y: a * v1.y + b * v2.y }; };
+      var N = 8, bestA = 0, bestB = 0;
+      for (var ia = 0; ia < N; ia++) {
+        for (var ib = 0; ib < N; ib++) {
+          var r = evaluate(at(ia / N, ib / N));
+          if (better(r, best)) { best = r; bestA = ia / N; bestB = ib / N; }
+        }
+      }
+      for (var step = 1 / (2 * N); step > 1 / 64; step /= 2) {
+        var ca = bestA, cb = bestB;
+        [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [1, 1], [-1, 1], [1, -1]].forEach(function(d) {
+          var r = evaluate(at(ca + d[0] * step, cb + d[1] * step));
+          if (better(r, best)) { best = r; bestA = ca + d[0] * step; bestB = cb + d[1] * step; }
+        });
+      }
+    }
+
+    // Same layout, reported as the smallest shift (inside one lattice cell)
+    var v1n = lattice.v1, v2n = lattice.v2;
+    var detn = v1n.x * v2n.y - v2n.x * v1n.y;
+    var fa = (best.origin.x * v2n.y - best.origin.y * v2n.x) / detn;
+    var fb = (best.origin.y * v1n.x - best.origin.x * v1n.y) / detn;
+    fa -= Math.floor(fa + TILE_EPS); fb -= Math.floor(fb + TILE_EPS);
+    best.origin = { x: fa * v1n.x + fb * v2n.x, y: fa * v1n.y + fb * v2n.y };
+
+    if (Object.keys(TILE_ORIGIN_CACHE).length > 200) {
+      Object.keys(TILE_ORIGIN_CACHE).forEach(function(k) { delete TILE_ORIGIN_CACHE[k]; });
+    }
+    TILE_ORIGIN_CACHE[key] = best.origin;
+    return best.origin;
+  },
+
+  /**
+   * Thinnest cut piece of a layout as a fraction of the tile side it was cut
+   * from (1 when nothing is cut).
+   */
+  thinnestCut: function(cells) {
+    return cells.reduce(function(min, c) {
+      if (c.kind !== 'cut') return min;
+      return Math.min(min, c.pieceW / c.l, c.pieceH / c.w);
+    }, 1);
+  },
+
+  /**
+   * Counts the tiles one wall consumes, reusing offcuts from `store`.
+   *
+   * Every cut piece is first looked up in the offcut inventory for its tile
+   * size; only when nothing fits is a new tile cut.  Whatever is left of the
+   * tile or offcut goes back into the inventory, so a strip left over on one
+   * wall can fill an edge on the next wall with the same tile.
+   */
+  calcWallPieces: function(wall, openings, opts, store, minOffcutM) {
+    var self      = this;
+    var G         = window.GeometryLogic;
+    var outline   = this.surfaceOutline(wall);
+    var grossArea = G.area(outline);
+    var deduction = this.calcTotalDeduction(openings);
+
+    // On a polygon only the part of an obstacle that lies on the floor counts
+    if (outline === wall.outline) {
+      deduction = (openings || []).reduce(function(sum, op) {
+        if (!isPlacedOpening(op)) return sum + self.calcTotalDeduction([op]);
+        var hole = G.rect(parseFloat(op.x), parseFloat(op.y), parseFloat(op.width) || 0, parseFloat(op.height) || 0);
+        return sum + G.area(G.clip(outline, hole));
+      }, 0);
+    }
+    var pitch     = this.calcTilePitch(opts.tLenM, opts.tWidM, opts.groutM);
+
+    var origin = opts.origin || this.calcLayoutOrigin(wall, openings, opts);
+    var cells  = this.calcWallLayout(wall, openings, {
+      tLenM: opts.tLenM, tWidM: opts.tWidM, groutM: opts.groutM, pattern: opts.pattern, origin: origin
+    });
+    var full   = 0;
+    var cuts   = 0;
+    var reused = 0;
+    var pieces = {};
+    var bySize = {};
+
+    cells.forEach(function(c) {
+      var size = bySize[c.sizeKey] || (bySize[c.sizeKey] = { lCm: +(c.l * 100).toFixed(1), wCm: +(c.w * 100).toFixed(1), count: 0 });
+      if (c.kind === 'full') { full++; size.count++; return; }
+      cuts++;
+      var fromOffcut = self.takePiece(store, c.sizeKey, c.l, c.w, c.pieceW, c.pieceH, minOffcutM);
+      if (fromOffcut) reused++; else size.count++;
+
+      var pk = (c.pieceW * 100).toFixed(1) + '×' + (c.pieceH * 100).toFixed(1);
+      if (!pieces[pk]) pieces[pk] = { wCm: +(c.pieceW * 100).toFixed(1), hCm: +(c.pieceH * 100).toFixed(1), count: 0, reused: 0 };
+      pieces[pk].count++;
+      if (fromOffcut) pieces[pk].reused++;
+    });
+
+    // Openings with no position on the wall are taken off by area, in whole tiles
+    var unplaced = (openings || []).filter(function(op) { return !isPlacedOpening(op); });
+    var unplacedTiles = Math.floor(this.calcTotalDeduction(unplaced) / pitch.area);
+    var newTiles = Math.max(0, full + (cuts - reused) - unplacedTiles);
+    var mainSize = bySize[Object.keys(bySize)[0]];
+    if (unplacedTiles > 0 && mainSize) mainSize.count = Math.max(0, mainSize.count - unplacedTiles);
+
+    return {
+      grossArea:  grossArea,
+      deduction:  deduction,
+      netArea:    Math.max(0, grossArea - deduction),
+      fullTiles:  full,
+      cutCount:   cuts,
+      reusedCuts: reused,
+      cutPieces:  Object.keys(pieces).map(function(k) { return pieces[k]; }),
+      bySize:     bySize,
+      tiles:      newTiles,
+      tilesNoReuse: Math.max(0, full + cuts - unplacedTiles),
+      cells:      cells,
+      pitch:      pitch,
+      origin:     origin,
+      thinnestCut: this.thinnestCut(cells)
+    };
+  },
+
+  /**
+   * Horizontal tile zones of a wall.
+   *
+   * wall.zones = [{fromM, toM, tileLCm?, tileWCm?, pattern?}, …], heights
+   * measured up from the floor (the outline's lowest edge).  Zones are
+   * returned bottom up, each with its band of the outline, ready for
+   * calcWallPieces:
+   *   [{fromM, toM, outline, tileLCm, tileWCm, pattern}, …]
+   * Where two zones overlap the lower one keeps the overlap, so no height is
+   * tiled twice.  Missing tile sizes and patterns fall back to the wall's.
+   * Zones that are empty after clamping are dropped; an empty list means
+   * the wall is tiled as a whole.
+   */
+  splitZones: function(wall) {
+    var G       = window.GeometryLogic;
+    var outline = this.surfaceOutline(wall);
+    var B       = G.bounds(outline);
+    var height  = B.maxY - B.minY;
+    var covered = 0;
+    return (wall.zones || []).slice().sort(function(a, b) {
+      return (parseFloat(a.fromM) || 0) - (parseFloat(b.fromM) || 0);
+    }).reduce(function(list, z) {
+      var from = Math.max(covered, parseFloat(z.fromM) || 0);
+      var to   = Math.min(height, parseFloat(z.toM) || 0);
+      if (!(to - from > TILE_EPS)) return list;
+      covered  = to;
+      var band = G.clip(outline, G.rect(B.minX, B.maxY - to, B.maxX - B.minX, to - from));
+      if (G.area(band) <= 0) return list;
+      list.push({
+        fromM:   from,
+        toM:     to,
+        outline: band,
+        tileLCm: parseFloat(z.tileLCm) > 0 ? parseFloat(z.tileLCm) : wall.tileLCm,
+        tileWCm: parseFloat(z.tileWCm) > 0 ? parseFloat(z.tileWCm) : wall.tileWCm,
+        pattern: z.pattern || wall.pattern
+      });
+      return list;
+    }, []);
+  },
+
+  /**
+   * The openings a tile zone is laid around: the placed ones that reach into
+   * its band.  Openings with no position belong to no band.
+   */
+  zoneOpenings: function(zone, openings) {
+    var G = window.GeometryLogic;
+    return (openings || []).filter(function(op) {
+      if (!isPlacedOpening(op)) return false;
+      var hole = G.rect(parseFloat(op.x), parseFloat(op.y), parseFloat(op.width) || 0, parseFloat(op.height) || 0);
+      return G.area(G.clip(zone.outline, hole)) > 0;
+    });
+  },
+
+  /**
+   * calcWallPieces for a wall that may be split into tile zones.  Without
+   * zones it is calcWallPieces itself; with zones every band is counted on
+   * its own (own tile, pattern and grid start, shared offcut store) and the
+   * figures are summed.  The band results are returned in `zones`.
+   * Openings with no position are taken off once for the whole wall, in
+   * tiles of the first band.
+   *
+   * opts as for calcWallPieces, plus tileLCm / tileWCm for zones that do
+   * not set their own size.
+   */
+  calcZonedWallPieces: function(wall, openings, opts, store, minOffcutM) {
+    var self  = this;
+    var zones = this.splitZones(wall);
+    if (zones.length === 0) return this.calcWallPieces(wall, openings, opts, store, minOffcutM);
+
+    var merged = { grossArea: 0, deduction: 0, netArea: 0, fullTiles: 0, cutCount: 0, reusedCuts: 0,
+                   cutPieces: [], bySize: {}, tiles: 0, tilesNoReuse: 0, cells: [], thinnestCut: 1, zones: [] };
+    var pieces = {};
+
+    zones.forEach(function(z) {
+      var r = self.calcWallPieces({ w: wall.w, h: wall.h, outline: z.outline }, self.zoneOpenings(z, openings), {
+        tLenM: (z.tileLCm || opts.tileLCm) / 100, tWidM: (z.tileWCm || opts.tileWCm) / 100, groutM: opts.groutM,
+        pattern: z.pattern || opts.pattern, originMode: opts.originMode, minCutFraction: opts.minCutFraction,
+        minOffcutM: minOffcutM
+      }, store, minOffcutM);
+
+      ['grossArea', 'deduction', 'netArea', 'fullTiles', 'cutCount', 'reusedCuts', 'tiles', 'tilesNoReuse'].forEach(function(f) {
+        merged[f] += r[f];
+      });
+      merged.cells = merged.cells.concat(r.cells);
+      merged.thinnestCut = Math.min(merged.thinnestCut, r.thinnestCut);
+      Object.keys(r.bySize).forEach(function(k) {
+        var sz = merged.bySize[k] || (merged.bySize[k] = { lCm: r.bySize[k].lCm, wCm: r.bySize[k].wCm, count: 0 });
+        sz.count += r.bySize[k].count;
+      });
+      r.cutPieces.forEach(function(p) {
+        var pk = p.wCm + '×' + p.hCm;
+        var m  = pieces[pk] || (pieces[pk] = { wCm: p.wCm, hCm: p.hCm, count: 0, reused: 0 });
+        m.count += p.count; m.reused += p.reused;
+      });
+      if (!merged.pitch) { merged.pitch = r.pitch; merged.origin = r.origin; }
+
+      merged.zones.push({
+        fromM: z.fromM, toM: z.toM, pattern: z.pattern || opts.pattern,
+        tileLCm: z.tileLCm || opts.tileLCm, tileWCm: z.tileWCm || opts.tileWCm,
+        grossArea: r.grossArea, netArea: r.netArea, bySize: r.bySize,
+        tiles: r.tiles, fullTiles: r.fullTiles, cutCount: r.cutCount,
+        pitch: r.pitch, origin: r.origin, thinnestCut: r.thinnestCut
+      });
+    });
+    merged.cutPieces = Object.keys(pieces).map(function(k) { return pieces[k]; });
+
+    var unplaced = (openings || []).filter(function(op) { return !isPlacedOpening(op); });
+    if (unplaced.length > 0 && merged.pitch) {
+      var area  = this.calcTotalDeduction(unplaced);
+      var tiles = Math.floor(area / merged.pitch.area);
+      var first = merged.bySize[Object.keys(merged.bySize)[0]];
+      merged.deduction   += area;
+      merged.netArea      = Math.max(0, merged.netArea - area);
+      merged.tiles        = Math.max(0, merged.tiles - tiles);
+      merged.tilesNoReuse = Math.max(0, merged.tilesNoReuse - tiles);
+      if (first) first.count = Math.max(0, first.count - tiles);
+    }
+    return merged;
+  },
+
+  /**
+   * Takes a pieceW × pieceH piece from the offcut inventory if one fits
+   * (smallest fitting offcut first), otherwise from a new tile.  The two
+   * guillotine remainders go back into the inventory when both of their
+   * sides are at least minOffcutM.
+   * Returns true when the piece came from an offcut.
+   */
+  takePiece: function(store, key, tLenM, tWidM, pieceW, pieceH, minOffcutM) {
+    var list = store[key] || (store[key] = []);
+    var best = -1;
+    for (var i = 0; i < list.length; i++) {
+      var o = list[i];
+      if (o.w + TILE_EPS >= pieceW && o.h + TILE_EPS >= pieceH &&
+          (best === -1 || o.w * o.h < list[best].w * list[best].h)) best = i;
+    }
+
+    var source = (best !== -1) ? list.splice(best, 1)[0] : { w: tLenM, h: tWidM };
+    var min = minOffcutM || 0;
+    [{ w: source.w - pieceW, h: source.h }, { w: pieceW, h: source.h - pieceH }].forEach(function(r) {
+      if (r.w >= min - TILE_EPS && r.h >= min - TILE_EPS && r.w > TILE_EPS && r.h > TILE_EPS) list.push(r);
+    });
+    return best !== -1;
+  },
+
+  /**
+   * Trowel notch for a tile: the longer its side, the deeper the bed.
+   */
+  suggestNotchMm: function(lCm, wCm) {
+    var side = Math.max(lCm, wCm);
+    if (side <= 10) return 4;
+    if (side <= 25) return 6;
+    if (side <= 40) return 8;
+    if (side <= 60) return 10;
+    return 12;
+  },
+
+  /**
+   * Grout per m² of tiling (kg):
+   *   (L + W) / (L × W) × joint width × joint depth × density
+   * with L, W, joint width and depth in mm — the joint volume per m².
+   */
+  calcGroutKgPerSqm: function(lCm, wCm, jointMm, depthMm) {
+    var L = lCm * 10, W = wCm * 10;
+    if (L <= 0 || W <= 0) return 0;
+    return (L + W) / (L * W) * jointMm * depthMm * GROUT_DENSITY;
+  },
+
+  /**
+   * Consumables for a calculated job.
+   *
+   * params — the calculateAll params (walls, openings, groutMm)
+   * result — what calculateAll returned for them
+   * opts = {
+   *   notchMm:         number | 'auto',  // trowel notch; auto from the largest tile
+   *   adhesiveBagKg:   number,           // default 25
+   *   groutDepthMm:    number,           // joint depth ≈ tile thickness (default 8)
+   *   groutBagKg:      number,           // default 5
+   *   spacersPerTile:  number,           // default 4
+   *   spacerPack:      number,           // spacers per packet (default 200)
+   *   externalCorners: number,           // outside corners finished with a trim
+   *   trimTopEdge:     boolean,          // trim along the top of every wall
+   *   trimOpenings:    boolean,          // trim round windows and doors
+   *   trimLengthM:     number            // length of one trim (default 2.5)
+   * }
+   *
+   * Adhesive and grout go by the tiled (net) area, split between the tile
+   * sizes in proportion to the tiles laid.  Spacers go by the tiles bought.
+   * Trims: external corners run the height of the tallest wall; openings
+   * take window perimeters and the sides plus head of doors.  Floors have
+   * no top edge or corners of their own.  Trim pieces are the total length
+   * over one trim, rounded up.
+   */
+  calcConsumables: function(params, result, opts) {
+    var self   = this;
+    opts = opts || {};
+    var walls  = Array.isArray(params.walls) ? params.walls : [];
+    var jointMm = parseFloat(params.groutMm) || 0;
+    var num = function(v, def) { var n = parseFloat(v); return (n > 0) ? n : def; };
+
+    // Tiled area per tile size
+    var sizes = result.bySize || [];
+    var laid  = sizes.reduce(function(sum, sz) { return sum + sz.baseCount * sz.lCm * sz.wCm; }, 0);
+    var shares = sizes.map(function(sz) {
+      return { lCm: sz.lCm, wCm: sz.wCm, area: laid > 0 ? result.netArea * sz.baseCount * sz.lCm * sz.wCm / laid : 0 };
+    });
+
+    var notch = (opts.notchMm === 'auto' || !ADHESIVE_KG_PER_SQM[opts.notchMm])
+      ? shares.reduce(function(n, sz) { return Math.max(n, self.suggestNotchMm(sz.lCm, sz.wCm)); }, 0) || 8
+      : +opts.notchMm;
+    var adhesiveKg = result.netArea * ADHESIVE_KG_PER_SQM[notch];
+    var adhesiveBag = num(opts.adhesiveBagKg, 25);
+
+    var depth = num(opts.groutDepthMm, 8);
+    var groutKg = shares.reduce(function(sum, sz) {
+      return sum + sz.area * self.calcGroutKgPerSqm(sz.lCm, sz.wCm, jointMm, depth);
+    }, 0);
+    var groutBag = num(opts.groutBagKg, 5);
+
+    var spacers   = Math.ceil(result.finalCount * ((opts.spacersPerTile != null) ? (parseFloat(opts.spacersPerTile) || 0) : 4));
+    var spacerPack = num(opts.spacerPack, 200);
+
+    var wallHeights = walls.filter(function(w) { return !w.outline; }).map(function(w) { return parseFloat(w.h) || 0; });
+    var trimM = (parseInt(opts.externalCorners, 10) || 0) * Math.max.apply(null, [0].concat(wallHeights));
+    if (opts.trimTopEdge) {
+      trimM += walls.reduce(function(sum, w) { return sum + (w.outline ? 0 : (parseFloat(w.w) || 0)); }, 0);
+    }
+    if (opts.trimOpenings) {
+      (params.openings || []).forEach(function(op) {
+        var wall = walls[op.wallIndex || 0];
+        if (!wall || wall.outline) return;
+        var ow = parseFloat(op.width) || 0, oh = parseFloat(op.height) || 0;
+        if (op.type === 'window') trimM += 2 * (ow + oh);
+        else if (op.type === 'door') trimM += 2 * oh + ow;
+      });
+    }
+    var trimLen = num(opts.trimLengthM, 2.5);
+
+    return {
+      adhesive: { notchMm: notch, kgPerSqm: ADHESIVE_KG_PER_SQM[notch], kg: adhesiveKg,
+                  bagKg: adhesiveBag, bags: Math.ceil(adhesiveKg / adhesiveBag - TILE_EPS) },
+      grout:    { depthMm: depth, kg: groutKg, bagKg: groutBag, bags: Math.ceil(groutKg / groutBag - TILE_EPS) },
+      spacers:  { count: spacers, pack: spacerPack, packs: Math.ceil(spacers / spacerPack) },
+      trims:    { metres: trimM, lengthM: trimLen, pieces: Math.ceil(trimM / trimLen - TILE_EPS) }
+    };
+  },
+
+  /**
+   * Whole boxes for one tile size.
+   *
+   * size = {lCm, wCm, finalCount, purchaseArea}; def = {tilesPerBox} or
+   * undefined.  With tiles per box the boxes follow the tile count and the
+   * box's m² is derived (sqmMismatch flags a global m²/box that disagrees by
+   * more than 2%).  Without it the boxes follow the purchase area and the
+   * tiles in a box are worked out from sqmPerBox.  Spare boxes are added on
+   * top.  leftoverTiles is what remains of the bought boxes after laying
+   * finalCount tiles; pallets compare the boxes with boxesPerPallet.
+   */
+  calcSizeBoxes: function(size, def, sqmPerBox, spareBoxes, boxesPerPallet) {
+    var area = size.lCm * size.wCm / 10000;
+    var tpb  = def ? parseInt(def.tilesPerBox, 10) || 0 : 0;
+    var fromTiles = tpb > 0;
+    var boxSqm = fromTiles ? tpb * area : (parseFloat(sqmPerBox) || 0);
+    var perBox = fromTiles ? tpb : (area > 0 ? Math.floor(boxSqm / area + TILE_EPS) : 0);
+    var spare  = Math.max(0, parseInt(spareBoxes, 10) || 0);
+
+    var needed = fromTiles ? Math.ceil(size.finalCount / tpb)
+               : (boxSqm > 0 ? Math.ceil(size.purchaseArea / boxSqm - TILE_EPS) : 0);
+    var boxes  = needed + spare;
+    var bpp    = parseInt(boxesPerPallet, 10) || 0;
+
+    return {
+      tilesPerBox:   perBox,
+      boxSqm:        boxSqm,
+      sqmMismatch:   fromTiles && sqmPerBox > 0 && Math.abs(boxSqm - sqmPerBox) / sqmPerBox > 0.02,
+      spareBoxes:    spare,
+      boxCount:      boxes,
+      leftoverTiles: Math.max(0, boxes * perBox - size.finalCount),
+      pallets:       bpp > 0 ? Math.floor(boxes / bpp) : 0,
+      palletRest:    bpp > 0 ? boxes % bpp : boxes,
+      fullPallet:    bpp > 0 && boxes >= bpp
+    };
+  },
+
+  /**
+   * What one boxed tile size costs.  size = calcSizeBoxes() figures plus
+   * purchaseArea; price = {amount, unit}.  A per-box price pays for the
+   * whole boxes, a per-m² one for the m² in them (the purchase area when a
+   * box's m² is unknown).
+   */
+  calcSizeCost: function(size, price) {
+    var sqm = size.boxSqm > 0 ? size.boxCount * size.boxSqm : size.purchaseArea;
+    return (price && price.unit === 'box')
+      ? size.boxCount * (parseFloat(price.amount) || 0)
+      : sqm * this.pricePerSqm(price, size.boxSqm);
+  },
+
+  /**
+   * Master calculation — per-wall, each wall owns its openings.
    *
    * params = {
-   *   walls:        [{w, h}, …],
-   *   openings:     [{width, height}, …],
-   *   tileLengthCm: number,
+   *   walls:        [{w, h, outline?, tileLCm?, tileWCm?, zones?}, …],  // outline: floor polygon
+   *                                          // zones: see splitZones
+   *   openings:     [{width, height, wallIndex}, …], // wallIndex → params.walls
+   *   tileLengthCm: number,   // default tile size
    *   tileWidthCm:  number,
    *   groutMm:      number,
-   *   wastePercent: number,   // 0–100; 0 is valid
-   *   sqmPerBox:    number
+   *   pattern:      string,   // LAYOUT_PATTERNS key (default 'standard')
+   *   wastePercent: number,   // 0–100; extra safety margin on top of the cuts
+   *   sqmPerBox:    number,
+   *   minOffcutCm:  number,   // smallest offcut side worth keeping (default 5)
+   *   originMode:   string,   // 'corner' | 'centre' | 'optimal' (calcLayoutOrigin)
+   *   minCutFraction: number, // thinnest acceptable cut, fraction of the tile (optimal)
+   *   prices:       { [sizeKey]: {amount, unit: 'sqm'|'box'} }  // optional
+   *   boxes:        { [sizeKey]: {tilesPerBox} },  // optional; else sqmPerBox
+   *   spareBoxes:   { wall: n, floor: n },  // extra boxes per size, by the
+   *                                         // surface types the size is laid on
+   *   boxesPerPallet: number                // 0 = no pallet check
    * }
    *
-   * Formula (as specified):
-   *   grossArea      = Σ (wall.w × wall.h)
-   *   totalDeduction = Σ (opening.width × opening.height)
-   *   netArea        = max(0, grossArea − totalDeduction)
-   *
-   *   effectiveTileArea = (tileL_m + grout_m) × (tileW_m + grout_m)
-   *   realTileArea      = tileL_m × tileW_m  (physical face, no grout)
+   * Per wall:
+   *   grossArea  = wall.w × wall.h, or the outline polygon's area
+   *   deduction  = Σ (opening.width × opening.height)  — this wall's openings only
+   *                (on an outline: only the part inside it)
+   *   netArea    = max(0, grossArea − deduction)
+   *   pitch      = (tileL + grout) × (tileW + grout)
+   *   cells      = pattern on the pitch, clipped to the wall, cut around openings
+   *   baseCount  = full tiles + cut pieces that no offcut could supply
+   *   finalCount = Σ per tile size ceil(count × (1 + wastePercent / 100))
    *
-   *   baseCount  = ceil(netArea / effectiveTileArea)
-   *   finalCount = ceil(baseCount × (1 + wastePercent / 100))
-   *
-   *   purchaseArea = finalCount × realTileArea
-   *   boxCount     = ceil(purchaseArea / sqmPerBox)
-   */
-calculateAll: function(params) {
-    var walls      = Array.isArray(params.walls)    ? params.walls    : [];
-    var openings   = Array.isArray(params.openings) ? params.openings : [];
-
-    var tLenM = (parseFloat(params.tileLengthCm) || 0) / 100; // 1.2მ
-    var tWidM = (parseFloat(params.tileWidthCm)  || 0) / 100; // 0.6მ
-    var waste = (params.wastePercent != null) ? (parseFloat(params.wastePercent) || 0) : 0;
-    var sqmBox = parseFloat(params.sqmPerBox) || 0;
-
-    var totalBaseCount = 0;
-    var totalGrossArea = 0;
-
-    // შენი ლოგიკის იმპლემენტაცია:
-    walls.forEach(function(wall) {
-        var wW = parseFloat(wall.w) || 0;
-        var wH = parseFloat(wall.h) || 0;
-        
-        if (wW > 0 && wH > 0) {
-            totalGrossArea += (wW * wH);
-
-            // 1. სიგრძეზე ფილების რაოდენობა
-            var countX = wW / tLenM;
-            var decimalX = countX % 1;
-            var finalX = (decimalX > 0.5) ? Math.ceil(countX) : (Math.floor(countX) + 0.5);
-            if (decimalX === 0) finalX = countX; // თუ ზუსტად იყოფა
-
-            // 2. სიმაღლეზე ფილების რაოდენობა
-            var countY = wH / tWidM;
-            var decimalY = countY % 1;
-            var finalY = (decimalY > 0.5) ? Math.ceil(countY) : (Math.floor(countY) + 0.5);
-            if (decimalY === 0) finalY = countY; // თუ ზუსტად იყოფა
-
-            // ამ კედლის ფილების ჯამი
-            totalBaseCount += (finalX * finalY);
-        }
+   * Walls are processed in order and share one offcut inventory per tile
+   * size; tilesSaved is how many cut pieces came from offcuts.  Totals are the
+   * sums of the per-wall figures.  Boxes are bought per tile size (see
+   * calcSizeBoxes); boxCount is their sum.  Per-wall figures (incl.
+   * cutPieces) are returned in `walls`; a wall's boxCount follows the same
+   * rule for its own tiles, without the spare boxes.
+   * cutWastePercent is the waste the pattern itself produces: tile area
+   * consumed (before the safety margin) over the net area, minus 100%.
+   * bySize lists the count per tile size (Versailles lays three sizes).
+   * originCm is where each wall's pattern starts; thinnestCut is the
+   * narrowest cut as a fraction of the tile (per wall and overall).
+   * Cost: a wall's line total is its purchase area per size × the m² price
+   * (a box price spread over the box's m²).  The grand total prices the
+   * whole boxes bought (or the purchase area when a size has no box size),
+   * so totalCost is usually a little above the sum of the wall lines.  Both
+   * are null when no size has a price.
+   * effectiveTileArea / tilePitchCm are null when walls use different tiles.
+   */
+  calculateAll: function(params) {
+    var self     = this;
+    var walls    = Array.isArray(params.walls) ? params.walls : [];
+    var groups   = this.groupOpeningsByWall(params.openings, walls.length);
+
+    var defLenCm = parseFloat(params.tileLengthCm) || 0;
+    var defWidCm = parseFloat(params.tileWidthCm)  || 0;
+    var groutM   = (parseFloat(params.groutMm) || 0) / 1000;
+    var waste    = (params.wastePercent != null) ? (parseFloat(params.wastePercent) || 0) : 0;
+    var sqmBox   = parseFloat(params.sqmPerBox) || 0;
+    var minOffcutM = (params.minOffcutCm != null) ? (parseFloat(params.minOffcutCm) || 0) / 100 : TILE_MIN_OFFCUT_M;
+    var minCut   = Math.max(0, Math.min(1, parseFloat(params.minCutFraction) || 0));
+    var prices   = params.prices || {};
+    var priced   = Object.keys(prices).some(function(k) { return prices[k] && parseFloat(prices[k].amount) > 0; });
+    var boxDefs  = params.boxes || {};
+    // m² in one box of a size: tiles per box × tile face, else the global figure
+    var boxSqm   = function(lCm, wCm) {
+      var def = boxDefs[self.sizeKey(lCm, wCm)];
+      var tpb = def ? parseInt(def.tilesPerBox, 10) || 0 : 0;
+      return tpb > 0 ? tpb * lCm * wCm / 10000 : sqmBox;
+    };
+    var offcuts  = {};   // tile size → [{w, h}, …] shared by every wall
+    var pitchKeys = {};
+    var bySize    = {};
+
+    var totals = { grossArea: 0, totalDeduction: 0, netArea: 0, baseCount: 0, finalCount: 0, purchaseArea: 0,
+                   fullTiles: 0, cutCount: 0, tilesSaved: 0, baseArea: 0 };
+
+    var wallResults = walls.map(function(wall, idx) {
+      var tLenM = (parseFloat(wall.tileLCm) || defLenCm) / 100;
+      var tWidM = (parseFloat(wall.tileWCm) || defWidCm) / 100;
+
+      var opts = { tLenM: tLenM, tWidM: tWidM, groutM: groutM, pattern: wall.pattern || params.pattern,
+                   originMode: params.originMode, minCutFraction: params.minCutFraction, minOffcutM: minOffcutM,
+                   tileLCm: tLenM * 100, tileWCm: tWidM * 100 };
+
+      var r          = self.calcZonedWallPieces(wall, groups[idx], opts, offcuts, minOffcutM);
+      var baseCount  = r.tiles;
+      var finalCount = 0;
+      var purchase   = 0;
+      var cost       = 0;
+      var wallBoxes  = 0;
+
+      // Safety margin per tile size, so every size rounds up on its own
+      Object.keys(r.bySize).forEach(function(k) {
+        var sz    = r.bySize[k];
+        var area  = (sz.lCm / 100) * (sz.wCm / 100);
+        var count = Math.ceil(sz.count * (1 + waste / 100));
+        finalCount += count;
+        purchase   += count * area;
+        // Same box rule as the per-size totals, without the spare boxes
+        wallBoxes  += self.calcSizeBoxes({ lCm: sz.lCm, wCm: sz.wCm, finalCount: count, purchaseArea: count * area },
+                                         boxDefs[self.sizeKey(sz.lCm, sz.wCm)], sqmBox, 0, 0).boxCount;
+        cost       += count * area * self.pricePerSqm(prices[self.sizeKey(sz.lCm, sz.wCm)], boxSqm(sz.lCm, sz.wCm));
+        totals.baseArea += sz.count * area;
+        var agg = bySize[k] || (bySize[k] = { lCm: sz.lCm, wCm: sz.wCm, baseCount: 0, finalCount: 0, purchaseArea: 0, surfaces: {} });
+        agg.surfaces[wall.surface === 'floor' ? 'floor' : 'wall'] = true;
+        agg.baseCount  += sz.count;
+        agg.finalCount += count;
+        agg.purchaseArea += count * area;
+      });
+
+      totals.grossArea      += r.grossArea;
+      totals.totalDeduction += r.deduction;
+      totals.netArea        += r.netArea;
+      totals.baseCount      += baseCount;
+      totals.finalCount     += finalCount;
+      totals.purchaseArea   += purchase;
+      totals.fullTiles      += r.fullTiles;
+      totals.cutCount       += r.cutCount;
+      totals.tilesSaved     += r.tilesNoReuse - r.tiles;
+      (r.zones || [r]).forEach(function(z) {
+        pitchKeys[z.pitch.length.toFixed(4) + 'x' + z.pitch.width.toFixed(4)] = z.pitch;
+      });
+
+      return {
+        grossArea:    r.grossArea,
+        deduction:    r.deduction,
+        netArea:      r.netArea,
+        openingCount: groups[idx].length,
+        fullTiles:    r.fullTiles,
+        cutCount:     r.cutCount,
+        cutPieces:    r.cutPieces,
+        tilesSaved:   r.tilesNoReuse - r.tiles,
+        baseCount:    baseCount,
+        finalCount:   finalCount,
+        purchaseArea: purchase,
+        boxCount:     wallBoxes,
+        tilePitchCm:  { length: r.pitch.length * 100, width: r.pitch.width * 100 },
+        effectiveTileArea: r.pitch.area,
+        cost:         priced ? cost : null,
+        originCm:     { x: r.origin.x * 100, y: r.origin.y * 100 },
+        thinnestCut:  r.thinnestCut,
+        belowMinCut:  r.thinnestCut < minCut - TILE_EPS,
+        zones:        (r.zones || []).map(function(z) {
+          var count = Object.keys(z.bySize).reduce(function(n, k) {
+            return n + Math.ceil(z.bySize[k].count * (1 + waste / 100));
+          }, 0);
+          return { fromM: z.fromM, toM: z.toM, tileLCm: z.tileLCm, tileWCm: z.tileWCm, pattern: z.pattern,
+                   netArea: z.netArea, fullTiles: z.fullTiles, cutCount: z.cutCount, finalCount: count,
+                   thinnestCut: z.thinnestCut };
+        })
+      };
     });
 
-    // ღიობების გამოკლება (ფართობის მიხედვით)
-    var totalDeduction = this.calcTotalDeduction(openings);
-    var netArea = Math.max(0, totalGrossArea - totalDeduction);
+    // Per size: whole boxes (plus spares), then what they cost
+    var spares    = params.spareBoxes || {};
+    var totalCost = 0, boxCount = 0, leftoverTiles = 0;
+    Object.keys(bySize).forEach(function(k) {
+      var agg   = bySize[k];
+      var key   = self.sizeKey(agg.lCm, agg.wCm);
+      var price = prices[key];
+      var spare = Object.keys(agg.surfaces).reduce(function(n, type) {
+        return n + (parseInt(spares[type], 10) || 0);
+      }, 0);
+      var boxes = self.calcSizeBoxes(agg, boxDefs[key], sqmBox, spare, params.boxesPerPallet);
+      Object.keys(boxes).forEach(function(f) { agg[f] = boxes[f]; });
+      delete agg.surfaces;
 
-    // თუ გაქვს ღიობები, ვაკლებთ მათ შესაბამის ფილებს (პროპორციულად)
-    if (totalGrossArea > 0 && totalDeduction > 0) {
-        var tilesToSubtract = totalDeduction / (tLenM * tWidM);
-        totalBaseCount = Math.max(0, totalBaseCount - tilesToSubtract);
-    }
+      agg.cost = self.calcSizeCost(agg, price);
+      totalCost     += agg.cost;
+      boxCount      += agg.boxCount;
+      leftoverTiles += agg.leftoverTiles;
+    });
 
-    // საბოლოო დამრგვალება
-    var finalCount = Math.ceil(totalBaseCount * (1 + waste / 100));
-    var purchaseArea = finalCount * (tLenM * tWidM);
+    // One pitch across all walls → report it; mixed tile sizes → null
+    var pitches = Object.keys(pitchKeys).map(function(k) { return pitchKeys[k]; });
+    var shared  = pitches.length === 1 ? pitches[0] : null;
 
     return {
-        grossArea: totalGrossArea,
-        totalDeduction: totalDeduction,
-        netArea: netArea,
-        baseCount: Math.ceil(totalBaseCount), 
-        finalCount: finalCount,
-        purchaseArea: purchaseArea,
-        boxCount: (sqmBox > 0) ? Math.ceil(purchaseArea / sqmBox) : 0,
-        wasteTiles: finalCount - Math.ceil(totalBaseCount)
+      grossArea:      totals.grossArea,
+      totalDeduction: totals.totalDeduction,
+      netArea:        totals.netArea,
+      baseCount:      totals.baseCount,
+      finalCount:     totals.finalCount,
+      purchaseArea:   totals.purchaseArea,
+      boxCount:       boxCount,
+      leftoverTiles:  leftoverTiles,
+      wasteTiles:     totals.finalCount - totals.baseCount,
+      fullTiles:      totals.fullTiles,
+      cutCount:       totals.cutCount,
+      tilesSaved:     totals.tilesSaved,
+      cutWastePercent: totals.netArea > 0 ? Math.max(0, (totals.baseArea / totals.netArea - 1) * 100) : 0,
+      bySize:         Object.keys(bySize).map(function(k) { return bySize[k]; }),
+      offcutsLeft:    Object.keys(offcuts).reduce(function(n, k) { return n + offcuts[k].length; }, 0),
+      tilePitchCm:    shared ? { length: shared.length * 100, width: shared.width * 100 } : null,
+      effectiveTileArea: shared ? shared.area : null,
+      totalCost:      priced ? totalCost : null,
+      thinnestCut:    wallResults.reduce(function(min, w) { return Math.min(min, w.thinnestCut); }, 1),
+      walls:          wallResults
     };
-}
+  }
 
 };
 
@@ -0,0 +1,192 @@
+/**
+ * Flooring (Laminate / Plank) Calculation Logic Engine - v1.0
+ * ოთახი: სიგრძე × სიგანე მეტრებში, დაფები რიგებად ეწყობა არჩეული მიმართულებით.
+ *   run  — რიგის სიგრძე (დაფების გასწვრივ), span — რიგების განივი მიმართულება.
+ *   ორივეს აკლდება დეფორმაციის ღრიჭო (gapM) თითო მხარეს.
+ * წესები: ბოლოების ნაკერების მინ. წანაცვლება მეზობელ რიგებს შორის (minOffsetM),
+ *   საწყისი / ბოლო ნაჭრის მინ. სიგრძე (minPieceM), პირველი / ბოლო რიგის
+ *   მინ. სიგანე (minRipM) — ვიწრო ბოლო რიგი ორ რიგად ნაწილდება.
+ */
+"use strict";
+
+// მასალის ტიპები: დაფის ტიპიური ზომა, შეფუთვა და დაგების წესები (მეტრებში)
+const FL_MATERIALS = {
+    'laminate':   { labelKa: 'ლამინატი',            plankLengthM: 1.380, plankWidthM: 0.193, planksPerPack: 8,  gapM: 0.010, minOffsetM: 0.30, minPieceM: 0.30, minRipM: 0.05 },
+    'engineered': { labelKa: 'საინჟინრო პარკეტი', plankLengthM: 1.900, plankWidthM: 0.190, planksPerPack: 6,  gapM: 0.012, minOffsetM: 0.50, minPieceM: 0.40, minRipM: 0.06 },
+    'lvt':        { labelKa: 'LVT / ვინილი',        plankLengthM: 1.220, plankWidthM: 0.180, planksPerPack: 10, gapM: 0.005, minOffsetM: 0.20, minPieceM: 0.15, minRipM: 0.04 }
+};
+
+const FlooringLogic = {
+    // 1. რიგების სიგანეები. ბოლო რიგი, რომელიც minRipM-ზე ვიწროა, პირველ რიგთან
+    // ერთად თანაბრად იყოფა — ორივე ნაპირზე ერთნაირი (ნახევარზე ფართო) ზოლი.
+    // აბრუნებს [{widthM, ripped}]
+    calcRows: function(spanM, plankWidthM, minRipM) {
+        const span = parseFloat(spanM) || 0;
+        const pw = parseFloat(plankWidthM) || 0;
+        const EPS = 1e-6;
+        if (span <= 0 || pw <= 0) return [];
+
+        const count = Math.ceil(span / pw - EPS);
+        const widths = [];
+        for (let i = 0; i < count; i++) widths.push(pw);
+        const rest = span - (count - 1) * pw;
+        if (count > 1 && rest < (parseFloat(minRipM) || 0) - EPS) {
+            widths[0] = widths[count - 1] = (rest + pw) / 2;
+        } else {
+            widths[count - 1] = rest;
+        }
+        return widths.map(function(w) { return { widthM: w, ripped: w < pw - EPS }; });
+    },
+
+    // 2. ერთი რიგის ნაჭრები: საწყისი ნაჭერი, მთელი დაფები, ბოლო ნაჭერი
+    layRow: function(runM, startM, plankLengthM) {
+        const EPS = 1e-6;
+        if (startM >= runM - EPS) return [runM];
+        const pieces = [startM];
+        let left = runM - startM;
+        while (left > plankLengthM + EPS) { pieces.push(plankLengthM); left -= plankLengthM; }
+        pieces.push(left);
+        return pieces;
+    },
+
+    // 3. ნაკერების პოზიციები რიგის დასაწყისიდან (რიგის ბოლოები არ ითვლება)
+    jointsOf: function(pieces) {
+        const joints = [];
+        let x = 0;
+        for (let i = 0; i < pieces.length - 1; i++) { x += pieces[i]; joints.push(x); }
+        return joints;
+    },
+
+    // 4. მეზობელი რიგების ყველა ნაკერს შორის მანძილი ≥ minOffsetM
+    staggerOk: function(joints, prevJoints, minOffsetM) {
+        return joints.every(function(a) {
+            return prevJoints.every(function(b) { return Math.abs(a - b) >= minOffsetM - 1e-6; });
+        });
+    },
+
+    // 5. მთავარი აგრეგატორი ფუნქცია, რომელსაც app.js იძახებს
+    // params: {lengthM, widthM, direction: 'length'|'width', gapM,
+    //          plankLengthM, plankWidthM, planksPerPack, packPrice,
+    //          minOffsetM, minPieceM, minRipM, reservePct}
+    // რიგი იწყება წინა რიგების ნარჩენით, თუ ის წესებს აკმაყოფილებს; თორემ
+    // მთელი დაფით ან ახლიდან მოჭრილი ნაჭრით (1 სმ ბიჯით). ბოლო ნაჭრის ნარჩენი
+    // შემდეგ რიგებში გამოიყენება.
+    calcFlooringAll: function(params) {
+        const self = this;
+        const EPS = 1e-6;
+        const L = parseFloat(params.lengthM) || 0;
+        const W = parseFloat(params.widthM) || 0;
+        const gap = Math.max(0, parseFloat(params.gapM) || 0);
+        const alongWidth = params.direction === 'width';
+        const runM = Math.max(0, (alongWidth ? W : L) - 2 * gap);
+        const spanM = Math.max(0, (alongWidth ? L : W) - 2 * gap);
+        const P = parseFloat(params.plankLengthM) || 0;
+        const pw = parseFloat(params.plankWidthM) || 0;
+        const minOffset = Math.max(0, parseFloat(params.minOffsetM) || 0);
+        const minPiece = Math.min(P, Math.max(0, parseFloat(params.minPieceM) || 0));
+        const perPack = Math.max(1, parseInt(params.planksPerPack, 10) || 1);
+
+        // ა) რიგები და ნაჭრები
+        const rows = (P > 0 && runM > 0) ? this.calcRows(spanM, pw, params.minRipM) : [];
+        const pool = [];      // გამოსაყენებელი ნარჩენები: [{lengthM, widthM}]
+        let planks = 0;       // ახალი დაფები
+        let cutWasteM = 0;    // minPieceM-ზე მოკლე, გადასაყრელი ნარჩენი (სიგრძე)
+
+        // ნაჭერი len × rw: ყველაზე მოკლე შესაფერისი ნარჩენიდან ან ახალი დაფიდან
+        const take = function(len, rw) {
+            let best = -1;
+            pool.forEach(function(o, i) {
+                if (o.lengthM >= len - EPS && o.widthM >= rw - EPS && (best < 0 || o.lengthM < pool[best].lengthM)) best = i;
+            });
+            let source;
+            if (best >= 0) {
+                source = pool.splice(best, 1)[0];
+            } else {
+                planks++;
+                source = { lengthM: P, widthM: pw, fresh: true };
+            }
+            const left = source.lengthM - len;
+            if (left >= minPiece - EPS && left > EPS) pool.push({ lengthM: left, widthM: source.widthM });
+            else cutWasteM += Math.max(0, left);
+            return source.fresh ? 'new' : 'offcut';
+        };
+
+        let prevJoints = [];
+        const rowPlan = rows.map(function(row, idx) {
+            const rw = row.widthM;
+            const valid = function(s) {
+                const pieces = self.layRow(runM, s, P);
+                if (pieces.length > 1) {
+                    if (pieces[0] < minPiece - EPS) return null;
+                    if (pieces[pieces.length - 1] < minPiece - EPS) return null;
+                }
+                return self.staggerOk(self.jointsOf(pieces), prevJoints, minOffset) ? pieces : null;
+            };
+
+            // საწყისი ნაჭრის კანდიდატები: ნარჩენები (გრძელიდან), მთელი დაფა, შემდეგ 1 სმ ბიჯით
+            const candidates = pool.filter(function(o) { return o.widthM >= rw - EPS; })
+                .map(function(o) { return o.lengthM; })
+                .sort(function(a, b) { return b - a; })
+                .concat([P]);
+            for (let s = Math.round(P * 100) - 1; s >= Math.round(minPiece * 100); s--) candidates.push(s / 100);
+
+            let pieces = null;
+            for (let i = 0; i < candidates.length && !pieces; i++) pieces = valid(candidates[i]);
+            const warning = !pieces;
+            if (!pieces) pieces = self.layRow(runM, P, P);   // წესები ვერ სრულდება — მთელი დაფით
+
+            const cut = pieces.map(function(len, k) {
+                const kind = pieces.length === 1 ? 'single' : (k === 0 ? 'start' : (k === pieces.length - 1 ? 'end' : 'full'));
+                return { lengthM: len, kind: kind, from: take(len, rw) };
+            });
+            prevJoints = self.jointsOf(pieces);
+            return {
+                row: idx + 1,
+                widthM: rw,
+                ripped: row.ripped,
+                startM: pieces[0],
+                endM: pieces[pieces.length - 1],
+                pieces: cut,
+                joints: prevJoints,
+                warning: warning
+            };
+        });
+
+        // ბ) ჯამები: რეზერვი დაზიანებული დაფებისთვის, შეფუთვები, ფართობები
+        const reservePct = Math.max(0, parseFloat(params.reservePct) || 0);
+        const planksWithReserve = Math.ceil(planks * (1 + reservePct / 100) - 1e-9);
+        const packs = planks > 0 ? Math.ceil(planksWithReserve / perPack) : 0;
+        const plankArea = P * pw;
+        const coveredArea = runM * spanM;
+        const purchasedArea = packs * perPack * plankArea;
+
+        return {
+            roomArea: L * W,
+            coveredArea: coveredArea,
+            runM: runM,
+            spanM: spanM,
+            gapM: gap,
+            direction: alongWidth ? 'width' : 'length',
+            plankLengthM: P,
+            plankWidthM: pw,
+            rows: rowPlan,
+            rowCount: rowPlan.length,
+            rippedRows: rowPlan.filter(function(r) { return r.ripped; }).length,
+            planks: planks,
+            planksWithReserve: planksWithReserve,
+            packs: packs,
+            packArea: perPack * plankArea,
+            purchasedArea: purchasedArea,
+            wasteArea: Math.max(0, purchasedArea - coveredArea),
+            wastePercent: purchasedArea > 0 ? (Math.max(0, purchasedArea - coveredArea) / purchasedArea) * 100 : 0,
+            offcuts: pool.map(function(o) { return o.lengthM; }).sort(function(a, b) { return b - a; }),
+            cutWasteM: cutWasteM,
+            staggerWarnings: rowPlan.filter(function(r) { return r.warning; }).length,
+            totalPrice: packs * (parseFloat(params.packPrice) || 0)
+        };
+    }
+};
+
+// გლობალურ ობიექტზე მიბმა, რომ სხვა ფაილებმა დაინახონ
+window.FlooringLogic = FlooringLogic;
+window.FlooringLogic.MATERIALS = FL_MATERIALS;
@@ -0,0 +1,131 @@
+/**
+ * geometry-logic.js — Polygon helpers shared by the calculation engines
+ * ─────────────────────────────────────────────────────────────────────────
+ *
+ * Polygons are arrays of points [{x, y}, …] in metres, in the surface frame
+ * the app already uses for openings: x to the right, y downwards from the
+ * top-left corner.  Winding order does not matter to any helper here.
+ */
+"use strict";
+
+const GeometryLogic = {
+
+  /** Axis-aligned rectangle as a polygon. */
+  rect: function(x, y, w, h) {
+    return [{ x: x, y: y }, { x: x + w, y: y }, { x: x + w, y: y + h }, { x: x, y: y + h }];
+  },
+
+  /**
+   * Wall outline from its edge heights (metres up from the floor): left and
+   * right height, and an optional apex — a gable ridge at apexX.  The floor
+   * is the bottom edge, y = the tallest height.  A zero edge height gives a
+   * triangle, different edges an attic slope or a stair wall.
+   */
+  wallOutline: function(width, leftH, rightH, apexH, apexX) {
+    var top = Math.max(leftH, rightH, apexH || 0);
+    var pts = [{ x: 0, y: top }, { x: 0, y: top - leftH }];
+    if (apexH > 0 && apexX > 0 && apexX < width) pts.push({ x: apexX, y: top - apexH });
+    pts.push({ x: width, y: top - rightH }, { x: width, y: top });
+    return pts.filter(function(p, i) {
+      var q = pts[(i + pts.length - 1) % pts.length];
+      return Math.abs(p.x - q.x) > 1e-9 || Math.abs(p.y - q.y) > 1e-9;
+    });
+  },
+
+  /** Absolute area (shoelace formula). */
+  area: function(poly) {
+    if (!poly || poly.length < 3) return 0;
+    var sum = 0;
+    for (var i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+      sum += (poly[j].x * poly[i].y) - (poly[i].x * poly[j].y);
+    }
+    return Math.abs(sum) / 2;
+  },
+
+  /** {minX, minY, maxX, maxY} of a polygon. */
+  bounds: function(poly) {
+    var b = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    (poly || []).forEach(function(p) {
+      if (p.x < b.minX) b.minX = p.x;
+      if (p.y < b.minY) b.minY = p.y;
+      if (p.x > b.maxX) b.maxX = p.x;
+      if (p.y > b.maxY) b.maxY = p.y;
+    });
+    return b;
+  },
+
+  /** Rotates a point by `angle` radians about `origin` (default 0,0). */
+  rotate: function(p, angle, origin) {
+    var ox = origin ? origin.x : 0;
+    var oy = origin ? origin.y : 0;
+    var c = Math.cos(angle), s = Math.sin(angle);
+    var dx = p.x - ox, dy = p.y - oy;
+    return { x: ox + dx * c - dy * s, y: oy + dx * s + dy * c };
+  },
+
+  /**
+   * Sutherland–Hodgman clip of `subject` by the CONVEX polygon `clipper`.
+   * The subject may be concave (an L-shaped floor); the result then can have
+   * zero-width bridges, which carry no area, so area() of it is exact.
+   */
+  clip: function(subject, clipper) {
+    if (!subject || subject.length < 3 || !clipper || clipper.length < 3) return [];
+    var sign = this.signedArea(clipper) >= 0 ? 1 : -1;
+    var output = subject.slice();
+
+    for (var i = 0; i < clipper.length && output.length; i++) {
+      var a = clipper[i];
+      var b = clipper[(i + 1) % clipper.length];
+      var input = output;
+      output = [];
+      for (var k = 0; k < input.length; k++) {
+        var cur  = input[k];
+        var prev = input[(k + input.length - 1) % input.length];
+        var curIn  = sign * geomCross(a, b, cur)  >= -1e-12;
+        var prevIn = sign * geomCross(a, b, prev) >= -1e-12;
+        if (curIn) {
+          if (!prevIn) output.push(geomIntersect(prev, cur, a, b));
+          output.push(cur);
+        } else if (prevIn) {
+          output.push(geomIntersect(prev, cur, a, b));
+        }
+      }
+    }
+    return output;
+  },
+
+  /** Signed shoelace area — positive for counter-clockwise in a y-up frame. */
+  signedArea: function(poly) {
+    var sum = 0;
+    for (var i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+      sum += (poly[j].x * poly[i].y) - (poly[i].x * poly[j].y);
+    }
+    return sum / 2;
+  },
+
+  /** Ray-casting point-in-polygon test. */
+  contains: function(poly, p) {
+    var inside = false;
+    for (var i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+      var a = poly[i], b = poly[j];
+      if (((a.y > p.y) !== (b.y > p.y)) &&
+          (p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x)) inside = !inside;
+    }
+    return inside;
+  }
+};
+
+function geomCross(a, b, p) {
+  return (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+}
+
+function geomIntersect(p1, p2, a, b) {
+  var dx = p2.x - p1.x, dy = p2.y - p1.y;
+  var ex = b.x - a.x,   ey = b.y - a.y;
+  var den = dx * ey - dy * ex;
+  if (Math.abs(den) < 1e-15) return { x: p2.x, y: p2.y };
+  var t = ((a.x - p1.x) * ey - (a.y - p1.y) * ex) / den;
+  return { x: p1.x + t * dx, y: p1.y + t * dy };
+}
+
+window.GeometryLogic = GeometryLogic;
@@ -0,0 +1,173 @@
+/**
+ * Paint Calculation Logic Engine - v1.0
+ * კედლები და ღიობები — იგივე მოდელი, რაც შპალერში:
+ *   კედელი {name, widthM, heightM, outline?}, ღიობი {type, width, height, x, y, wallIndex}
+ *   (y — კედლის ზედა კიდიდან ქვემოთ, მეტრებში).
+ * საღებავი: ფართობი × ფენები / დაფარვა (მ²/ლ); ქილები ზომებისა და ფასების მიხედვით.
+ */
+"use strict";
+
+const PaintLogic = {
+    // 1. კედლის ბრუტო ფართობი (outline — არამართკუთხა კედლის პოლიგონი)
+    calcWallArea: function(wall) {
+        if (Array.isArray(wall.outline) && wall.outline.length >= 3) return window.GeometryLogic.area(wall.outline);
+        return (parseFloat(wall.widthM) || 0) * (parseFloat(wall.heightM) || 0);
+    },
+
+    // 2. ღიობის ფართობი — მხოლოდ ის ნაწილი, რომელიც კედელზე ხვდება
+    calcOpeningArea: function(wall, op) {
+        const G = window.GeometryLogic;
+        const outline = (Array.isArray(wall.outline) && wall.outline.length >= 3)
+            ? wall.outline
+            : G.rect(0, 0, parseFloat(wall.widthM) || 0, parseFloat(wall.heightM) || 0);
+        return G.area(G.clip(outline, G.rect(parseFloat(op.x) || 0, parseFloat(op.y) || 0,
+            parseFloat(op.width) || 0, parseFloat(op.height) || 0)));
+    },
+
+    // 3. საჭირო ლიტრები: ფართობი × ფენები / დაფარვა
+    calcLitres: function(area, coats, coverage) {
+        const a = parseFloat(area) || 0;
+        const n = Math.max(0, parseFloat(coats) || 0);
+        const c = parseFloat(coverage) || 0;
+        return c > 0 ? (a * n) / c : 0;
+    },
+
+    // 4. ქილების ოპტიმალური კომბინაცია.
+    // cans: [{sizeL, price}]. თუ ყველა ზომას ფასი აქვს — ყველაზე იაფი ნაკრები,
+    // რომელიც litres-ს ფარავს; თუ არა — ყველაზე მცირე ნარჩენი (ზედმეტი ლიტრი).
+    // თანაბრობისას — ნაკლები ზედმეტი, შემდეგ ნაკლები ქილა.
+    // დინამიკური პროგრამირება 0.1 ლ ბიჯით (ქილები 0.9 / 2.5 / 10 ლ და ა.შ.).
+    // აბრუნებს {counts: [{sizeL, price, count}], totalL, surplusL, cost, cans}
+    calcCanMix: function(litres, cans) {
+        const sizes = (cans || []).map(function(c) {
+            return { sizeL: parseFloat(c.sizeL) || 0, price: parseFloat(c.price) || 0 };
+        }).filter(function(c) { return c.sizeL > 0; });
+        const need = Math.max(0, parseFloat(litres) || 0);
+        const empty = {
+            counts: sizes.map(function(c) { return { sizeL: c.sizeL, price: c.price, count: 0 }; }),
+            totalL: 0, surplusL: 0, cost: 0, cans: 0
+        };
+        if (sizes.length === 0 || need <= 0) return empty;
+
+        const byPrice = sizes.every(function(c) { return c.price > 0; });
+        const units = sizes.map(function(c) { return Math.max(1, Math.round(c.sizeL * 10)); });
+        const needU = Math.ceil(need * 10 - 1e-9);
+        const maxU  = needU + Math.max.apply(null, units);
+
+        // best[u] — ზუსტად u ერთეულის ყველაზე იაფი ნაკრები: {cost, cans, last}
+        const best = [{ cost: 0, cans: 0, last: -1 }];
+        for (let u = 1; u <= maxU; u++) {
+            let pick = null;
+            sizes.forEach(function(c, i) {
+                const prev = best[u - units[i]];
+                if (!prev) return;
+                const cost = prev.cost + (byPrice ? c.price : 0);
+                const count = prev.cans + 1;
+                if (!pick || cost < pick.cost - 1e-9 || (Math.abs(cost - pick.cost) < 1e-9 && count < pick.cans)) {
+                    pick = { cost: cost, cans: count, last: i };
+                }
+            });
+            best[u] = pick;
+        }
+
+        // u იზრდება, ამიტომ თანაბარ ფასზე ნაკლები ზედმეტი რჩება
+        let bestU = -1;
+        for (let u = needU; u <= maxU; u++) {
+            if (best[u] && (bestU < 0 || best[u].cost < best[bestU].cost - 1e-9)) bestU = u;
+        }
+        if (bestU < 0) return empty;
+
+        const counts = sizes.map(function() { return 0; });
+        for (let u = bestU; u > 0; u -= units[best[u].last]) counts[best[u].last]++;
+
+        const totalL = counts.reduce(function(sum, n, i) { return sum + n * sizes[i].sizeL; }, 0);
+        return {
+            counts: sizes.map(function(c, i) { return { sizeL: c.sizeL, price: c.price, count: counts[i] }; }),
+            totalL: totalL,
+            surplusL: Math.max(0, totalL - need),
+            cost: counts.reduce(function(sum, n, i) { return sum + n * sizes[i].price; }, 0),
+            cans: counts.reduce(function(sum, n) { return sum + n; }, 0)
+        };
+    },
+
+    // 5. მთავარი აგრეგატორი ფუნქცია, რომელსაც app.js იძახებს
+    // params.walls:    [{name, widthM, heightM, outline?}]
+    // params.openings: [{type, width, height, x, y, wallIndex}]  wallIndex → params.walls
+    // params.ceiling:  {lengthM, widthM} ან null — ჭერიც იღებება
+    // params.coverageM2PerL, params.coats, params.cans: [{sizeL, price}]
+    // params.primer:   {coverageM2PerL, cans} ან null — ერთი ფენა, იგივე ფართობზე
+    calcPaintAll: function(params) {
+        const self = this;
+        const walls = params.walls || [];
+        const openings = params.openings || [];
+        const coats = Math.max(1, parseInt(params.coats, 10) || 1);
+        const coverage = parseFloat(params.coverageM2PerL) || 0;
+
+        // ა) კედლები: ბრუტო, გამოქვითვა, სუფთა ფართობი
+        const wallResults = walls.map(function(w, idx) {
+            const wall = {
+                name: w.name || ('კედელი ' + (idx + 1)),
+                widthM: parseFloat(w.widthM) || 0,
+                heightM: parseFloat(w.heightM) || 0,
+                outline: (Array.isArray(w.outline) && w.outline.length >= 3) ? w.outline : null
+            };
+            const own = openings.filter(function(op) { return op.wallIndex === idx; });
+            const grossArea = self.calcWallArea(wall);
+            const deduction = own.reduce(function(sum, op) { return sum + self.calcOpeningArea(wall, op); }, 0);
+            const netArea = Math.max(0, grossArea - deduction);
+            return {
+                name: wall.name,
+                widthM: wall.widthM,
+                heightM: wall.heightM,
+                outline: wall.outline,
+                openingCount: own.length,
+                grossArea: grossArea,
+                deduction: deduction,
+                netArea: netArea,
+                litres: self.calcLitres(netArea, coats, coverage)
+            };
+        });
+
+        // ბ) ჭერი
+        let ceiling = null;
+        if (params.ceiling) {
+            const l = parseFloat(params.ceiling.lengthM) || 0;
+            const w = parseFloat(params.ceiling.widthM) || 0;
+            ceiling = { name: 'ჭერი', lengthM: l, widthM: w, area: l * w, litres: self.calcLitres(l * w, coats, coverage) };
+        }
+
+        // გ) ჯამები და ქილები
+        const wallArea = wallResults.reduce(function(sum, w) { return sum + w.netArea; }, 0);
+        const grossArea = wallResults.reduce(function(sum, w) { return sum + w.grossArea; }, 0);
+        const ceilingArea = ceiling ? ceiling.area : 0;
+        const totalArea = wallArea + ceilingArea;
+        const litres = this.calcLitres(totalArea, coats, coverage);
+        const mix = this.calcCanMix(litres, params.cans);
+
+        // დ) გრუნტი — ერთი ფენა მთელ ფართობზე
+        let primer = null;
+        if (params.primer) {
+            const pLitres = this.calcLitres(totalArea, 1, params.primer.coverageM2PerL);
+            primer = { litres: pLitres, mix: this.calcCanMix(pLitres, params.primer.cans) };
+        }
+
+        return {
+            wallArea: wallArea,
+            grossArea: grossArea,
+            totalDeduction: grossArea - wallArea,
+            ceilingArea: ceilingArea,
+            totalArea: totalArea,
+            coats: coats,
+            coverageM2PerL: coverage,
+            litres: litres,
+            mix: mix,
+            primer: primer,
+            totalPrice: mix.cost + (primer ? primer.mix.cost : 0),
+            walls: wallResults,
+            ceiling: ceiling
+        };
+    }
+};
+
+// გლობალურ ობიექტზე მიბმა, რომ სხვა ფაილებმა დაინახონ
+window.PaintLogic = PaintLogic;
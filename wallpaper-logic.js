@@ -1,25 +1,73 @@
 /**
- * Wallpaper Calculation Logic Engine - v3.2
- * ინდუსტრიული სტანდარტი: 80სმ-იანი რეზერვი ასაწყობი შპალერისთვის
+ * Wallpaper Calculation Logic Engine - v4.0
+ * v3.3: რამდენიმე კედელი, კარები და ფანჯრები — მოკლე ზოლები ღიობების ზემოთ/ქვემოთ
+ * v3.4: ზოლის სიგრძე რაპორტის და მატჩის ტიპის მიხედვით (ფიქსირებული 80სმ-ის ნაცვლად)
+ * v3.5: ზოლები რულონებზე ნაწილდება — ჭრის გეგმა, ნარჩენებიდან მოკლე ზოლები
+ * v3.6: ჭერი — ზოლები ოთახის მოკლე ან გრძელ მხარეზე
+ * v3.7: არამართკუთხა კედლები — ყოველი ზოლი კონტურის საკუთარი სიმაღლით
+ * v3.8: ნაკერები — ფანჯრის/კარის კიდესთან ან კუთხესთან ახლოს მოხვედრილი ნაკერის გაფრთხილება
+ * v3.9: შპალერის ტიპები (რულონის სტანდარტული ზომები) და ზედა/ქვედა მოჭრის მარაგი
+ * v4.0: წებოს შეკვრები და ქვესაფენი ქაღალდის (lining paper) რულონები
  */
+
+// ნაკერი ღიობის კიდიდან ან კუთხიდან ამაზე ახლოს — გაფრთხილება (მეტრებში)
+const WP_SEAM_WARN_M = 0.05;
+
+// შპალერის ტიპები: რულონის სტანდარტული ზომა და ნაგულისხმევი მოჭრის მარაგი
+// ზოლის თავსა და ბოლოში (ჭერთან და პლინტუსთან ადგილზე იჭრება). მარაგი
+// პროექტში შეიძლება შეიცვალოს — calcWallpaperAll იღებს trimTopM / trimBottomM.
+const WP_PRESETS = {
+    'eu':        { labelKa: 'ევროპული 0.53 × 10.05 მ',        rollWidthM: 0.53, rollLengthM: 10.05, trimTopM: 0.05, trimBottomM: 0.05 },
+    'wide':      { labelKa: 'განიერი ფლიზელინი 1.06 × 10.05 მ', rollWidthM: 1.06, rollLengthM: 10.05, trimTopM: 0.05, trimBottomM: 0.05 },
+    'us-double': { labelKa: 'ამერიკული ორმაგი 0.52 × 10.06 მ', rollWidthM: 0.52, rollLengthM: 10.06, trimTopM: 0.05, trimBottomM: 0.05 }
+};
+
+// წებოს ტიპები: ერთი შეკვრის ნაგულისხმევი დაფარვა (მ²) — შეფუთვაზე მითითებული
+const WP_PASTE_TYPES = {
+    'paste-the-wall': { labelKa: 'კედელზე წასასმელი', coverageM2: 25 },
+    'non-woven':      { labelKa: 'ფლიზელინის',        coverageM2: 30 },
+    'vinyl':          { labelKa: 'ვინილის',           coverageM2: 20 }
+};
+
+// მატჩის ტიპები: free — ნახატი არ ეწყობა, straight — ზოლები ერთ დონეზე,
+// half-drop — ყოველი მეორე ზოლი ნახევარი რაპორტით დაბლაა, reverse — ყოველი
+// მეორე ზოლი თავდაყირაა (ერთფეროვანი შპალერი, რაპორტი არ ითვლება)
+const WP_MATCH_TYPES = {
+    'free':      { labelKa: 'თავისუფალი' },
+    'straight':  { labelKa: 'სწორი' },
+    'half-drop': { labelKa: 'ნახევრად წანაცვლებული' },
+    'reverse':   { labelKa: 'შებრუნებული' }
+};
+
 const WallpaperLogic = {
-    // 1. კედლის ფართობის გამოთვლა
-    calcWallArea: function(width, height) {
+    // 1. კედლის ფართობის გამოთვლა (outline — არამართკუთხა კედლის პოლიგონი)
+    calcWallArea: function(width, height, outline) {
+        if (Array.isArray(outline) && outline.length >= 3) return window.GeometryLogic.area(outline);
         return (parseFloat(width) || 0) * (parseFloat(height) || 0);
     },
 
-    // 2. ზოლის ეფექტური სიმაღლის გამოთვლა
-    // ლოგიკა: თუ ნახატი ასაწყობია (repeat > 0), ვამატებთ 80სმ-ს, თუ არა - 5სმ-ს.
-    calcEffectiveStripHeight: function(wallHeight, patternRepeat) {
-        const h = parseFloat(wallHeight) || 0;
-        const r = parseFloat(patternRepeat) || 0;
-        
-        if (h <= 0) return 0;
+    // 2. ზოლის ეფექტური სიმაღლის გამოთვლა (რულონიდან მოსაჭრელი სიგრძე)
+    // ლოგიკა: straight და half-drop — მრგვალდება რაპორტის მთელ ჯერადამდე
+    // (half-drop-ის წანაცვლებას ფაზის გამოტოვება ითვალისწინებს —
+    // packStripsIntoRolls, skipM); free / reverse — ზუსტად კედლის სიმაღლე.
+    // matchType არ არის — რაპორტით straight, მის გარეშე free.
+    // trimM — ზედა + ქვედა მოჭრის მარაგი; ემატება სიმაღლეს დამრგვალებამდე.
+    calcEffectiveStripHeight: function(wallHeight, patternRepeat, matchType, trimM) {
+        if ((parseFloat(wallHeight) || 0) <= 0) return 0;
+        const h = (parseFloat(wallHeight) || 0) + Math.max(0, parseFloat(trimM) || 0);
+        const r = (parseFloat(patternRepeat) || 0) / 100;
+        const match = this.resolveMatchType(matchType, patternRepeat);
 
-        // შენი მოთხოვნილი ლოგიკა: ასაწყობზე 80სმ რეზერვი
-        const safetyMargin = (r > 0) ? 0.80 : 0;
-        
-        return h + safetyMargin;
+        if (r <= 0 || match === 'free' || match === 'reverse') return h;
+
+        // 1e-9: 2.70 / 0.27 არ უნდა გახდეს 11 რაპორტი მცურავი წერტილის გამო
+        return Math.ceil(h / r - 1e-9) * r;
+    },
+
+    // 2ა. მატჩის ტიპი: უცნობი ან ცარიელი — რაპორტის მიხედვით
+    resolveMatchType: function(matchType, patternRepeat) {
+        if (WP_MATCH_TYPES[matchType]) return matchType;
+        return (parseFloat(patternRepeat) || 0) > 0 ? 'straight' : 'free';
     },
 
     // 3. იმის დათვლა, თუ რამდენი ზოლი ამოვა ერთი რულონიდან
@@ -33,52 +81,421 @@ const WallpaperLogic = {
         return Math.floor(len / effH);
     },
 
-    // 4. მთავარი აგრეგატორი ფუნქცია, რომელსაც app.js იძახებს
+    // 4. ღიობის ფართობი, რომელიც კედელზე ხვდება (კედლის გარეთ დარჩენილი ნაწილი არ იქვითება)
+    calcOpeningArea: function(wall, op) {
+        if (Array.isArray(wall.outline) && wall.outline.length >= 3) {
+            const G = window.GeometryLogic;
+            return G.area(G.clip(wall.outline, G.rect(parseFloat(op.x) || 0, parseFloat(op.y) || 0,
+                parseFloat(op.width) || 0, parseFloat(op.height) || 0)));
+        }
+        const x1 = Math.max(0, parseFloat(op.x) || 0);
+        const y1 = Math.max(0, parseFloat(op.y) || 0);
+        const x2 = Math.min(wall.widthM, (parseFloat(op.x) || 0) + (parseFloat(op.width) || 0));
+        const y2 = Math.min(wall.heightM, (parseFloat(op.y) || 0) + (parseFloat(op.height) || 0));
+        return (x2 > x1 && y2 > y1) ? (x2 - x1) * (y2 - y1) : 0;
+    },
+
+    // 5. ერთი კედლის ზოლები, მარცხნიდან მარჯვნივ.
+    // ზოლი, რომელიც მთლიანად კარის/ფანჯრის სიგანეშია, იჭრება მოკლე ზოლებად
+    // (კარის ზემოთ, ფანჯრის ზემოთ და ქვემოთ). ზოლი, რომელსაც ღიობი მხოლოდ
+    // ნაწილობრივ ფარავს, სრული სიმაღლისაა — მას ადგილზე ჭრიან.
+    // ღიობები: {x, y, width, height} მეტრებში, y — ჭერიდან ქვემოთ (როგორც ფილებში).
+    // wall.outline (ფრონტონი, მანსარდა, კიბის კედელი): ყოველ ზოლს თავისი სიმაღლე
+    // აქვს — კონტურის უმაღლესი წერტილიდან ზოლის სიგანეში იატაკამდე.
+    // აბრუნებს: [{x, width, pieces: [{y, lengthM, kind: 'full'|'short'}]}]
+    calcWallStrips: function(wall, openings, rollWidth) {
+        const W = wall.widthM, H = wall.heightM;
+        const G = window.GeometryLogic;
+        const outline = (Array.isArray(wall.outline) && wall.outline.length >= 3) ? wall.outline : null;
+        const EPS = 1e-6;
+        const strips = [];
+        if (W <= 0 || H <= 0 || rollWidth <= 0) return strips;
+
+        const count = Math.ceil(W / rollWidth - EPS);
+        for (let i = 0; i < count; i++) {
+            const sx = i * rollWidth;
+            const ex = Math.min(W, sx + rollWidth);
+            // ზოლის ზედა და ქვედა კიდე
+            let top = 0, bottom = H;
+            if (outline) {
+                const band = G.clip(outline, G.rect(sx, -EPS, ex - sx, H + 2 * EPS));
+                if (G.area(band) < EPS) continue;
+                const bb = G.bounds(band);
+                top = Math.max(0, bb.minY);
+                bottom = Math.min(H, bb.maxY);
+            }
+            const touching = (openings || []).filter(function(op) {
+                return op.x < ex - EPS && op.x + op.width > sx + EPS;
+            });
+            const spans = touching.every(function(op) {
+                return op.x <= sx + EPS && op.x + op.width >= ex - EPS;
+            });
+
+            let pieces;
+            if (touching.length === 0 || !spans) {
+                pieces = [{ y: top, lengthM: bottom - top, kind: 'full' }];
+            } else {
+                // ღიობების სიმაღლის ინტერვალებს შორის დარჩენილი ნაწილები
+                const cuts = touching.map(function(op) {
+                    return [Math.max(top, op.y), Math.min(bottom, op.y + op.height)];
+                }).sort(function(a, b) { return a[0] - b[0]; });
+                pieces = [];
+                let y = top;
+                cuts.forEach(function(c) {
+                    if (c[0] - y > EPS) pieces.push({ y: y, lengthM: c[0] - y, kind: 'short' });
+                    y = Math.max(y, c[1]);
+                });
+                if (bottom - y > EPS) pieces.push({ y: y, lengthM: bottom - y, kind: 'short' });
+            }
+            strips.push({ x: sx, width: ex - sx, pieces: pieces });
+        }
+        return strips;
+    },
+
+    // 5ა. ნაკერები — ზოლებს შორის საზღვრები (პირველი ზოლის მარცხენა კიდე კუთხეა, არა ნაკერი).
+    // ნაკერი, რომელიც ღიობის კიდიდან ან კედლის კუთხიდან toleranceM-ზე ახლოსაა,
+    // ვიწრო ზოლს ტოვებს, რომელიც ჩარჩოსთან ან კუთხეში ცუდად ეკვრის — ამას
+    // მოლესვამდე ამოწმებენ. ზუსტად კიდეზე მოხვედრილი ნაკერი სუფთაა და არ ითვლება.
+    // აბრუნებს [{x, warnings: [{kind: 'opening'|'corner', type?, distanceM}]}]
+    calcSeams: function(wall, openings, strips, toleranceM) {
+        const tol = toleranceM != null ? toleranceM : WP_SEAM_WARN_M;
+        const W = wall.widthM;
+        const EPS = 1e-6;
+        return strips.slice(1).map(function(s) {
+            const warnings = [];
+            const near = function(edge) {
+                const d = Math.abs(s.x - edge);
+                return (d > EPS && d < tol) ? d : null;
+            };
+            [0, W].forEach(function(corner) {
+                const d = near(corner);
+                if (d !== null) warnings.push({ kind: 'corner', distanceM: d });
+            });
+            (openings || []).forEach(function(op) {
+                [op.x, op.x + op.width].forEach(function(edge) {
+                    const d = near(edge);
+                    if (d !== null) warnings.push({ kind: 'opening', type: op.type, distanceM: d });
+                });
+            });
+            return { x: s.x, warnings: warnings };
+        });
+    },
+
+    // 6. ზოლების განაწილება რულონებზე (ჭრის გეგმა).
+    // ზოლები გრძელიდან მოკლისკენ იჭრება; თითოეული პირველივე რულონიდან, რომლის
+    // ნარჩენიც ეტევა (first-fit decreasing), თორემ ახალი რულონიდან. ასე მოკლე
+    // ზოლები კარის ზემოთ / ფანჯრის ქვემოთ წინა რულონების ნარჩენებიდან იჭრება.
+    // ნახატის მატჩი: ყოველ რულონს ახსოვს, ნახატის რომელ ფაზაზე იწყება მისი
+    // ნარჩენი; ზოლს სჭირდება თავისი ფაზა (phaseM), ამიტომ ზედმეტი ნაწილი (skipM)
+    // ჯერ იჭრება და იკარგება. free / reverse მატჩზე skipM ყოველთვის 0-ია.
+    // half-drop-ის წანაცვლებაც მხოლოდ ასე ითვლება: lengthM-ში ნახევარი რაპორტი
+    // არ უნდა იყოს, თორემ ის ორჯერ დაიკარგება.
+    // pieces: [{lengthM (მოსაჭრელი), phaseM, ...}] — დანარჩენი ველები გეგმაში გადადის.
+    // აბრუნებს [{cuts: [{piece, startM, skipM}], usedM, offcutM}]
+    packStripsIntoRolls: function(pieces, rollLength, patternRepeat) {
+        const r = (parseFloat(patternRepeat) || 0) / 100;
+        const EPS = 1e-6;
+        const rolls = [];
+        if (rollLength <= 0) return rolls;
+
+        const order = pieces.slice().sort(function(a, b) { return b.lengthM - a.lengthM; });
+        order.forEach(function(piece) {
+            const skipFor = function(roll) {
+                if (r <= 0) return 0;
+                const skip = ((piece.phaseM - roll.phaseM) % r + r) % r;
+                return skip > r - EPS ? 0 : skip;
+            };
+            let roll = rolls.find(function(rl) {
+                return rl.usedM + skipFor(rl) + piece.lengthM <= rollLength + EPS;
+            });
+            if (!roll) {
+                // ახალი რულონი პირველივე ნაჭრის ფაზიდან იწყება
+                roll = { cuts: [], usedM: 0, phaseM: piece.phaseM, offcutM: 0 };
+                rolls.push(roll);
+            }
+            const skip = skipFor(roll);
+            roll.cuts.push({ piece: piece, startM: roll.usedM + skip, skipM: skip });
+            roll.usedM += skip + piece.lengthM;
+            roll.phaseM = r > 0 ? (piece.phaseM + piece.lengthM) % r : 0;
+        });
+        rolls.forEach(function(rl) {
+            rl.offcutM = Math.max(0, rollLength - rl.usedM);
+            delete rl.phaseM;
+        });
+        return rolls;
+    },
+
+    // 7. ჭერი: ზოლები ოთახის მოკლე ('short') ან გრძელ ('long') მხარეზე გადაიჭიმება.
+    // ზოლის სიგრძე = არჩეული მხარე, ზოლები კი მეორე მხარის გასწვრივ ეწყობა.
+    calcCeilingStrips: function(ceiling, rollWidth) {
+        const a = parseFloat(ceiling.lengthM) || 0;
+        const b = parseFloat(ceiling.widthM) || 0;
+        const direction = ceiling.direction === 'long' ? 'long' : 'short';
+        const stripLengthM = direction === 'long' ? Math.max(a, b) : Math.min(a, b);
+        const spanM = direction === 'long' ? Math.min(a, b) : Math.max(a, b);
+        return {
+            name: 'ჭერი',
+            lengthM: a,
+            widthM: b,
+            direction: direction,
+            stripLengthM: stripLengthM,
+            spanM: spanM,
+            area: this.calcWallArea(a, b),
+            strips: this.calcWallStrips({ widthM: spanM, heightM: stripLengthM }, [], rollWidth)
+        };
+    },
+
+    // 7ა. წებოს შეკვრები: დასაფარი ფართობი / ერთი შეკვრის დაფარვა, ზემოთ დამრგვალებით
+    calcPastePackets: function(area, coverageM2) {
+        const a = parseFloat(area) || 0;
+        const c = parseFloat(coverageM2) || 0;
+        if (a <= 0 || c <= 0) return 0;
+        return Math.ceil(a / c - 1e-9);
+    },
+
+    // 7ბ. ქვესაფენი ქაღალდი იმავე კედლებზე: ზოლები ნახატის გარეშე, იგივე მოჭრის
+    // მარაგით, რულონებზე ისევე ნაწილდება, როგორც შპალერი.
+    // walls: calcWallpaperAll-ის კედლები ({widthM, heightM, outline, openings, netArea})
+    // lining: {rollWidthM, rollLengthM, price}
+    calcLining: function(walls, lining, trimM) {
+        const self = this;
+        const rollWidth = parseFloat(lining.rollWidthM) || 0;
+        const rollLength = parseFloat(lining.rollLengthM) || 0;
+        const pieces = [];
+        walls.forEach(function(w) {
+            self.calcWallStrips(w, w.openings, rollWidth).forEach(function(s) {
+                s.pieces.forEach(function(p) {
+                    pieces.push({ lengthM: self.calcEffectiveStripHeight(p.lengthM, 0, 'free', trimM), phaseM: 0 });
+                });
+            });
+        });
+        const rolls = this.packStripsIntoRolls(pieces, rollLength, 0).length;
+        return {
+            rollWidthM: rollWidth,
+            rollLengthM: rollLength,
+            area: walls.reduce(function(sum, w) { return sum + w.netArea; }, 0),
+            strips: pieces.length,
+            rolls: rolls,
+            cost: rolls * (parseFloat(lining.price) || 0)
+        };
+    },
+
+    // 8. მთავარი აგრეგატორი ფუნქცია, რომელსაც app.js იძახებს
+    // params.walls:    [{name, widthM, heightM, outline?}]  (არ არის — wallWidthM × wallHeightM)
+    // params.openings: [{type, width, height, x, y, wallIndex}]  wallIndex → params.walls
+    // params.ceiling:  {lengthM, widthM, direction} ან null — ჭერიც იფარება
+    // params.seamToleranceM: ნაკერის გაფრთხილების მანძილი (ნაგულისხმევი 5 სმ)
+    // params.trimTopM, params.trimBottomM: მოჭრის მარაგი ზოლის თავსა და ბოლოში (ნაგულისხმევი 0)
+    // params.paste:  {type, coverageM2, price} ან null — წებო შპალერის (და ქვესაფენის) ფართობზე
+    // params.lining: {rollWidthM, rollLengthM, price} ან null — ქვესაფენი კედლებზე
     calcWallpaperAll: function(params) {
+        const self = this;
         // ცვლადების ამოღება (ზუსტად იმ სახელებით, რასაც app.js აგზავნის)
-        const wallWidth = parseFloat(params.wallWidthM) || 0;
-        const wallHeight = parseFloat(params.wallHeightM) || 0;
         const rollWidth = parseFloat(params.rollWidthM) || 0;
         const rollLength = parseFloat(params.rollLengthM) || 0;
         const patternRepeat = parseFloat(params.patternRepeatCm) || 0;
+        const matchType = this.resolveMatchType(params.matchType, patternRepeat);
+        const trimTopM = Math.max(0, parseFloat(params.trimTopM) || 0);
+        const trimBottomM = Math.max(0, parseFloat(params.trimBottomM) || 0);
+        const trimM = trimTopM + trimBottomM;
 
-        // ა) კედლის ფართობი
-        const wallArea = this.calcWallArea(wallWidth, wallHeight);
+        const walls = (Array.isArray(params.walls) && params.walls.length > 0)
+            ? params.walls
+            : [{ widthM: params.wallWidthM, heightM: params.wallHeightM }];
+        const openings = params.openings || [];
 
-        // ბ) ზოლების ჯამური რაოდენობა კედლისთვის
-        const totalStrips = rollWidth > 0 ? Math.ceil(wallWidth / rollWidth) : 0;
-        
-        // გ) ერთი ზოლის სიგრძე რეზერვით
-        const effectiveStripHeight = this.calcEffectiveStripHeight(wallHeight, patternRepeat);
+        // ა) კედლები: ფართობი, გამოქვითვა და ზოლები
+        const r = patternRepeat / 100;
+        const pieces = [];
+        let matchWasteM = 0;   // რაპორტზე დამრგვალებით დაკარგული სიგრძე (ფაზის გამოტოვება — skipWasteM)
+        let trimWasteM = 0;    // ზედა / ქვედა მოჭრის მარაგი
+
+        // ზოლების ნაჭრები ჭრის გეგმისთვის; აბრუნებს [სრული, მოკლე] რაოდენობას
+        const collectPieces = function(strips, surfaceName) {
+            let full = 0, short = 0;
+            strips.forEach(function(s, col) {
+                // ნახატის ფაზა ზედა კიდეზე: half-drop-ზე ყოველი მეორე ზოლი ნახევარი რაპორტით
+                const topPhase = (matchType === 'half-drop' && col % 2 === 1) ? r / 2 : 0;
+                s.dropM = topPhase;
+                s.pieces.forEach(function(p) {
+                    p.effectiveLengthM = self.calcEffectiveStripHeight(p.lengthM, patternRepeat, matchType, trimM);
+                    matchWasteM += p.effectiveLengthM - p.lengthM - trimM;
+                    trimWasteM += trimM;
+                    if (p.kind === 'full') full++; else short++;
+                    pieces.push({
+                        lengthM: p.effectiveLengthM,
+                        // ნაჭერი ზედა მარაგით ზემოთ იწყება, ამიტომ ფაზაც იმდენით ადრეა
+                        phaseM: (r > 0 && (matchType === 'straight' || matchType === 'half-drop'))
+                            ? (((topPhase + p.y - trimTopM) % r) + r) % r : 0,
+                        surfaceName: surfaceName, stripNo: col + 1, kind: p.kind, ref: p
+                    });
+                });
+            });
+            return [full, short];
+        };
+        const wallResults = walls.map(function(w, idx) {
+            const wall = {
+                name: w.name || ('კედელი ' + (idx + 1)),
+                widthM: parseFloat(w.widthM) || 0,
+                heightM: parseFloat(w.heightM) || 0,
+                outline: (Array.isArray(w.outline) && w.outline.length >= 3) ? w.outline : null
+            };
+            const own = openings.filter(function(op) { return op.wallIndex === idx; }).map(function(op) {
+                return {
+                    type: op.type,
+                    x: parseFloat(op.x) || 0, y: parseFloat(op.y) || 0,
+                    width: parseFloat(op.width) || 0, height: parseFloat(op.height) || 0
+                };
+            });
+            const grossArea = self.calcWallArea(wall.widthM, wall.heightM, wall.outline);
+            const deduction = own.reduce(function(sum, op) { return sum + self.calcOpeningArea(wall, op); }, 0);
+            const strips = self.calcWallStrips(wall, own, rollWidth);
+            const counts = collectPieces(strips, wall.name);
+            const seams = self.calcSeams(wall, own, strips, params.seamToleranceM);
+
+            return {
+                name: wall.name,
+                widthM: wall.widthM,
+                heightM: wall.heightM,
+                outline: wall.outline,
+                openingCount: own.length,
+                grossArea: grossArea,
+                deduction: deduction,
+                netArea: Math.max(0, grossArea - deduction),
+                fullStrips: counts[0],
+                shortStrips: counts[1],
+                strips: strips,
+                openings: own,
+                seams: seams
+            };
+        });
+
+        // ჭერი — ცალკე ზედაპირი, ღიობების გარეშე
+        const ceiling = params.ceiling ? this.calcCeilingStrips(params.ceiling, rollWidth) : null;
+        if (ceiling) {
+            ceiling.fullStrips = collectPieces(ceiling.strips, ceiling.name)[0];
+            ceiling.seams = this.calcSeams({ widthM: ceiling.spanM }, [], ceiling.strips, params.seamToleranceM);
+        }
+
+        // ნაკერების გაფრთხილებები ყველა ზედაპირზე: [{surfaceName, x, kind, type?, distanceM}]
+        const seamWarnings = [];
+        wallResults.concat(ceiling ? [ceiling] : []).forEach(function(surface) {
+            surface.seams.forEach(function(seam) {
+                seam.warnings.forEach(function(wn) {
+                    seamWarnings.push(Object.assign({ surfaceName: surface.name, x: seam.x }, wn));
+                });
+            });
+        });
+
+        // ბ) ჯამები
+        const wallArea = wallResults.reduce(function(sum, w) { return sum + w.netArea; }, 0);
+        const ceilingArea = ceiling ? ceiling.area : 0;
+        const grossArea = wallResults.reduce(function(sum, w) { return sum + w.grossArea; }, 0);
+        const fullStrips = wallResults.reduce(function(sum, w) { return sum + w.fullStrips; }, 0) +
+            (ceiling ? ceiling.fullStrips : 0);
+        const shortStrips = wallResults.reduce(function(sum, w) { return sum + w.shortStrips; }, 0);
+        const totalStrips = fullStrips + shortStrips;
+
+        // გ) ერთი სრული ზოლის სიგრძე რეზერვით (ყველაზე მაღალი კედელი)
+        const maxHeight = wallResults.reduce(function(m, w) { return Math.max(m, w.heightM); }, 0);
+        const effectiveStripHeight = this.calcEffectiveStripHeight(maxHeight, patternRepeat, matchType, trimM);
 
         // დ) ზოლები ერთ რულონში
+        // half-drop-ზეც: ერთი ფაზის ზოლები რულონზე გამოტოვების გარეშე მიჰყვება ერთმანეთს,
+        // ასე რომ ჭრის გეგმა რულონიდან ზუსტად ამდენს იღებს (ზოლები თუ საკმარისია)
         const stripsPerRoll = this.calcStripsPerRoll(rollLength, effectiveStripHeight);
-        
-        // ე) საჭირო რულონების რაოდენობა (მრგვალდება ყოველთვის ზემოთ)
-        const totalRolls = stripsPerRoll > 0 ? Math.ceil(totalStrips / stripsPerRoll) : 0;
-        
+
+        // ე) ჭრის გეგმა და რულონების რაოდენობა
+        const rolls = this.packStripsIntoRolls(pieces, rollLength, matchType === 'free' || matchType === 'reverse' ? 0 : patternRepeat);
+        rolls.forEach(function(roll, i) {
+            roll.cuts.forEach(function(c) { c.piece.ref.roll = i + 1; });
+        });
+        const totalRolls = rolls.length;
+        const cuttingPlan = rolls.map(function(roll, i) {
+            return {
+                roll: i + 1,
+                cuts: roll.cuts.map(function(c) {
+                    return {
+                        wallName: c.piece.surfaceName,
+                        stripNo: c.piece.stripNo,
+                        kind: c.piece.kind,
+                        lengthM: c.piece.lengthM,
+                        startM: c.startM,
+                        skipM: c.skipM
+                    };
+                }),
+                usedM: roll.usedM,
+                offcutM: roll.offcutM
+            };
+        });
+        const skipWasteM = rolls.reduce(function(sum, roll) {
+            return sum + roll.cuts.reduce(function(a, c) { return a + c.skipM; }, 0);
+        }, 0);
+
         // ვ) ჯამური შესყიდული ფართობი (app.js-ისთვის კრიტიკული ველი)
         const totalPurchasedArea = totalRolls * (rollWidth * rollLength);
 
-        // ზ) ნარჩენის პროცენტი
-        const wastePercent = totalPurchasedArea > 0 
-            ? ((totalPurchasedArea - wallArea) / totalPurchasedArea) * 100 
+        // ზ) ნარჩენის პროცენტი (ჭრის ნარჩენიც — რაპორტზე დამრგვალება)
+        const totalArea = wallArea + ceilingArea;
+        const wastePercent = totalPurchasedArea > 0
+            ? ((totalPurchasedArea - totalArea) / totalPurchasedArea) * 100
             : 0;
-        // 1. ჯერ ვთვლით ფასს
-            const totalPrice = totalRolls * (params.rollPrice || 0); 
+        const wallpaperPrice = totalRolls * (params.rollPrice || 0);
+
+        // თ) ქვესაფენი და წებო; ქვესაფენსაც იგივე წებო სჭირდება
+        const lining = params.lining ? this.calcLining(wallResults, params.lining, trimM) : null;
+        let paste = null;
+        if (params.paste) {
+            const pasteType = WP_PASTE_TYPES[params.paste.type] ? params.paste.type : 'non-woven';
+            const coverageM2 = parseFloat(params.paste.coverageM2) || WP_PASTE_TYPES[pasteType].coverageM2;
+            const pasteArea = totalArea + (lining ? lining.area : 0);
+            const packets = this.calcPastePackets(pasteArea, coverageM2);
+            paste = {
+                type: pasteType,
+                labelKa: WP_PASTE_TYPES[pasteType].labelKa,
+                area: pasteArea,
+                coverageM2: coverageM2,
+                packets: packets,
+                cost: packets * (parseFloat(params.paste.price) || 0)
+            };
+        }
+        const totalPrice = wallpaperPrice + (paste ? paste.cost : 0) + (lining ? lining.cost : 0);
 
         return {
             wallArea: wallArea,
+            ceilingArea: ceilingArea,
+            totalArea: totalArea,
+            grossArea: grossArea,
+            totalDeduction: grossArea - wallArea,
             totalStrips: totalStrips,
+            fullStrips: fullStrips,
+            shortStrips: shortStrips,
             stripsPerRoll: stripsPerRoll,
             totalRolls: totalRolls,
             effectiveStripHeight: effectiveStripHeight,
             totalPurchasedArea: totalPurchasedArea,
             wastePercent: wastePercent,
-            totalPrice: totalPrice
+            matchType: matchType,
+            matchWasteM: matchWasteM + skipWasteM,
+            trimWasteM: trimWasteM,
+            trimTopM: trimTopM,
+            trimBottomM: trimBottomM,
+            offcutM: rolls.reduce(function(sum, roll) { return sum + roll.offcutM; }, 0),
+            cuttingPlan: cuttingPlan,
+            seamWarnings: seamWarnings,
+            wallpaperPrice: wallpaperPrice,
+            paste: paste,
+            lining: lining,
+            totalPrice: totalPrice,
+            walls: wallResults,
+            ceiling: ceiling
         };
     }
 };
 
 // გლობალურ ობიექტზე მიბმა, რომ სხვა ფაილებმა დაინახონ
-window.WallpaperLogic = WallpaperLogic;
\ No newline at end of file
+window.WallpaperLogic = WallpaperLogic;
+window.WallpaperLogic.MATCH_TYPES = WP_MATCH_TYPES;
+window.WallpaperLogic.SEAM_WARN_M = WP_SEAM_WARN_M;
+window.WallpaperLogic.PRESETS = WP_PRESETS;
+window.WallpaperLogic.PASTE_TYPES = WP_PASTE_TYPES;
\ No newline at end of file